@@ -0,0 +1,232 @@
+// app.js
+// Builds the Express app. Stripe, the Mongo database and config are passed
+// in, so the same routes run against live services in index.js and against
+// local stand-ins elsewhere. Nothing here listens on a port or starts timers.
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import rateLimit from "express-rate-limit";
+import helmet from "helmet";
+import cors from "cors";
+import {
+  createGoogleIdTokenVerifier,
+  createSessionTokenService,
+  createTokenVerifier,
+} from "./auth.js";
+import { createBillingService } from "./billing.js";
+import { createBlogService } from "./blog.js";
+import { getCollections } from "./collections.js";
+import { createCustomerService } from "./customers.js";
+import { createJobExecutorFromConfig } from "./jobExecutors.js";
+import { createLogger, createRequestLogger, getRouteLabel } from "./logger.js";
+import { createMailerFromConfig } from "./mailer.js";
+import { FREE_ACTIONS_LIMIT, createMeteringService } from "./metering.js";
+import { createMetrics } from "./metrics.js";
+import { createOperationsService } from "./operations.js";
+import { createOrganizationsService } from "./organizations.js";
+import { createQuotaPolicy } from "./quota.js";
+import { createScheduledJobsService } from "./scheduledJobs.js";
+import { createAdminAuditRecorder, createAdminRouter } from "./routes/admin.js";
+import {
+  createAuthRouter,
+  createRequireAdmin,
+  createRequireUser,
+} from "./routes/auth.js";
+import { createBillingRouter, createWebhookRouter } from "./routes/billing.js";
+import { createBlogRouter } from "./routes/blog.js";
+import { createBlogPagesRouter } from "./routes/blogPages.js";
+import { createEmailsRouter } from "./routes/emails.js";
+import { createHealthRouter } from "./routes/health.js";
+import { createMeteringRouter } from "./routes/metering.js";
+import { createOperationsRouter } from "./routes/operations.js";
+import { createOrganizationsRouter } from "./routes/organizations.js";
+import { createPreferenceProfilesRouter } from "./routes/preferenceProfiles.js";
+import { createPreferencesRouter } from "./routes/preferences.js";
+import { createScheduledJobsRouter } from "./routes/scheduledJobs.js";
+import { createTemplatesRouter } from "./routes/templates.js";
+
+const publicDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "public"
+);
+
+// logger defaults to JSON lines on stdout at config.log.level (see
+// logger.js), and metrics to a fresh set of counters (see metrics.js). mailer
+// defaults to the transport in config.mail. idTokenVerifier defaults to
+// checking Google's published keys; pass one built with a local JWKS to sign
+// in without network access. jobExecutor runs scheduled jobs (see
+// jobExecutors.js) and defaults to the one named by config.jobs.
+export function createApp({
+  stripe,
+  db,
+  config,
+  logger = createLogger(config.log),
+  metrics = createMetrics(),
+  mailer = createMailerFromConfig(config.mail, logger),
+  idTokenVerifier,
+  jobExecutor = createJobExecutorFromConfig(config.jobs, logger),
+}) {
+  const collections = getCollections(db);
+  const freeQuotaPolicy = createQuotaPolicy({
+    allowance: FREE_ACTIONS_LIMIT,
+    ...config.freeQuota,
+  });
+
+  // Extension auth: Google ID tokens are exchanged for server-issued session tokens
+  idTokenVerifier ??= createGoogleIdTokenVerifier({
+    clientIds: config.auth.googleClientIds,
+  });
+  const sessionTokens = createSessionTokenService({
+    secret: config.auth.sessionSecret,
+  });
+  const requireUser = createRequireUser({
+    verifier: createTokenVerifier({
+      sessions: sessionTokens,
+      idTokens: idTokenVerifier,
+    }),
+    allowUnauthenticatedEmail: config.auth.allowUnauthenticatedEmail,
+  });
+  // Admin and blog-editing routes take an admin key instead
+  const requireAdmin = createRequireAdmin({ adminKeys: config.adminKeys });
+  const recordAdminAudit = createAdminAuditRecorder(collections);
+
+  const customers = createCustomerService({ collections, config });
+  const metering = createMeteringService({
+    collections,
+    freeQuotaPolicy,
+    metrics,
+  });
+  const operations = createOperationsService({ collections, customers });
+  const scheduledJobs = createScheduledJobsService({
+    collections,
+    customers,
+    metering,
+    executor: jobExecutor,
+    logger,
+  });
+  const organizations = createOrganizationsService({
+    stripe,
+    collections,
+    config,
+    logger,
+  });
+  const blog = createBlogService({ collections });
+  const billing = createBillingService({
+    stripe,
+    collections,
+    config,
+    metering,
+    organizations,
+    logger,
+  });
+
+  // Everything a route module may depend on
+  const context = {
+    stripe,
+    db,
+    collections,
+    config,
+    logger,
+    metrics,
+    freeQuotaPolicy,
+    mailer,
+    idTokenVerifier,
+    sessionTokens,
+    requireUser,
+    requireAdmin,
+    recordAdminAudit,
+    customers,
+    metering,
+    billing,
+    operations,
+    scheduledJobs,
+    organizations,
+    blog,
+  };
+
+  const app = express();
+  // Background jobs (see jobs.js) work on the same services
+  app.locals.context = context;
+
+  // Request ids, logging and latency for everything below, then the probes,
+  // which stay clear of the rate limiter
+  app.use(
+    createRequestLogger({
+      logger,
+      quietPaths: ["/healthz", "/readyz", "/metrics"],
+      onFinish(req, res, seconds) {
+        metrics.httpRequestDuration.observe(
+          {
+            method: req.method,
+            route: getRouteLabel(req),
+            status: res.statusCode,
+          },
+          seconds
+        );
+      },
+    })
+  );
+  app.use(createHealthRouter(context));
+
+  // Security middleware
+  app.use(helmet({ contentSecurityPolicy: { directives: config.csp } }));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 500, // limit each IP to 500 requests per windowMs
+    message: { error: "Too many requests, please try again later" },
+  });
+  app.use(limiter);
+
+  // CORS - restrict to specific origins
+  app.use(cors({ origin: config.corsOrigins, credentials: true }));
+
+  // Serve static files (icons, images)
+  app.use(express.static(publicDir));
+
+  // Serve privacy page at /privacy
+  app.get("/privacy", (req, res) => {
+    res.sendFile(path.join(publicDir, "privacy.html"));
+  });
+
+  // Serve terms page at /terms
+  app.get("/terms", (req, res) => {
+    res.sendFile(path.join(publicDir, "terms.html"));
+  });
+
+  // Serve payment pages without .html extension
+  app.get("/payment-success", (req, res) => {
+    res.sendFile(path.join(publicDir, "payment-success.html"));
+  });
+
+  app.get("/payment-cancel", (req, res) => {
+    res.sendFile(path.join(publicDir, "payment-cancel.html"));
+  });
+
+  // Server-rendered blog pages, feeds and sitemap
+  app.use(createBlogPagesRouter(context));
+
+  app.use(createWebhookRouter(context));
+
+  // Now you can safely parse JSON for all other routes. Event snapshots of
+  // large operations, and long blog posts, need more than the default 100kb.
+  app.use("/operations", express.json({ limit: "2mb" }));
+  app.use("/api/blog", express.json({ limit: "1mb" }));
+  app.use(express.json());
+
+  app.use(createAuthRouter(context));
+  app.use(createBillingRouter(context));
+  app.use(createMeteringRouter(context));
+  app.use(createEmailsRouter(context));
+  app.use(createBlogRouter(context));
+  app.use(createPreferencesRouter(context));
+  app.use(createPreferenceProfilesRouter(context));
+  app.use(createTemplatesRouter(context));
+  app.use(createOperationsRouter(context));
+  app.use(createScheduledJobsRouter(context));
+  app.use(createOrganizationsRouter(context));
+  app.use(createAdminRouter(context));
+
+  return app;
+}
@@ -0,0 +1,111 @@
+// auth.js
+// Token verification for requests coming from the extension.
+//
+// A verifier is any object with `verify(token)` that resolves to
+// `{ email }` for a valid token and throws otherwise. Google ID tokens are
+// checked against Google's published keys by default; pass `jwks` (e.g. from
+// jose's createLocalJWKSet) to verify against a local key pair instead.
+import crypto from "crypto";
+import { SignJWT, createRemoteJWKSet, decodeJwt, jwtVerify } from "jose";
+
+const GOOGLE_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["https://accounts.google.com", "accounts.google.com"];
+const SESSION_ISSUER = "gc-bulk-edit";
+
+export class AuthError extends Error {}
+
+// Single-use codes and link tokens are stored hashed, never as sent
+export function hashSecret(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+// Compare a secret sent by a client in constant time. Hashing both sides
+// first gives them the same byte length, which timingSafeEqual requires.
+export function secretsMatch(given, expected) {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashSecret(given), "hex"),
+    Buffer.from(hashSecret(expected), "hex")
+  );
+}
+
+export function createGoogleIdTokenVerifier({
+  clientIds,
+  jwks = createRemoteJWKSet(new URL(GOOGLE_JWKS_URL)),
+  issuers = GOOGLE_ISSUERS,
+}) {
+  if (!clientIds?.length)
+    throw new Error("Google ID token verifier needs at least one client id");
+
+  return {
+    async verify(token) {
+      let payload;
+      try {
+        ({ payload } = await jwtVerify(token, jwks, {
+          issuer: issuers,
+          audience: clientIds,
+        }));
+      } catch (err) {
+        throw new AuthError(`Invalid ID token: ${err.message}`);
+      }
+
+      if (typeof payload.email !== "string" || payload.email_verified !== true)
+        throw new AuthError("ID token has no verified email");
+
+      return { email: payload.email.toLowerCase() };
+    },
+  };
+}
+
+// Short-lived HS256 tokens minted by the server after an ID token has been
+// verified, so the extension doesn't need a fresh Google token per request.
+export function createSessionTokenService({ secret, ttlSeconds = 60 * 60 }) {
+  if (!secret || secret.length < 32)
+    throw new Error("Session secret must be at least 32 characters");
+  const key = new TextEncoder().encode(secret);
+
+  return {
+    async issue(email) {
+      const token = await new SignJWT({ email })
+        .setProtectedHeader({ alg: "HS256" })
+        .setIssuer(SESSION_ISSUER)
+        .setSubject(email)
+        .setIssuedAt()
+        .setExpirationTime(`${ttlSeconds}s`)
+        .sign(key);
+      return {
+        token,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000),
+      };
+    },
+
+    async verify(token) {
+      try {
+        const { payload } = await jwtVerify(token, key, {
+          issuer: SESSION_ISSUER,
+          algorithms: ["HS256"],
+        });
+        return { email: payload.email };
+      } catch (err) {
+        throw new AuthError(`Invalid session token: ${err.message}`);
+      }
+    },
+  };
+}
+
+// Route a token to the session verifier if the server issued it, otherwise
+// treat it as a Google ID token.
+export function createTokenVerifier({ sessions, idTokens }) {
+  return {
+    async verify(token) {
+      let claims;
+      try {
+        claims = decodeJwt(token);
+      } catch {
+        throw new AuthError("Malformed token");
+      }
+      return claims.iss === SESSION_ISSUER
+        ? sessions.verify(token)
+        : idTokens.verify(token);
+    },
+  };
+}
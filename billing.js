@@ -0,0 +1,434 @@
+// billing.js
+// Stripe-side customer state: syncing subscriptions onto customer documents,
+// the webhook event ledger and referral rewards.
+import crypto from "crypto";
+import { findPlan, findPlanByPriceId } from "./plans.js";
+import {
+  ACCESS_GRANTING_STATUSES,
+  CANCELABLE_SUBSCRIPTION_STATUSES,
+  getInvoiceSubscriptionId,
+  getStripeId,
+  getSubscriptionPeriodEnd,
+  pickCurrentSubscription,
+} from "./subscriptions.js";
+
+// Reward for referring a customer who completes checkout: a discount on the
+// referrer's subscription when a referral coupon is configured and they're
+// subscribed, bonus actions otherwise
+const REFERRAL_BONUS_ACTIONS = 100;
+const REFERRAL_BONUS_EXPIRY_DAYS = 90;
+
+// Events stuck in "processing" longer than this are assumed to have crashed mid-run
+const STRIPE_EVENT_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const REFERRAL_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function generateReferralCode() {
+  let code = "";
+  for (let i = 0; i < 8; i++)
+    code +=
+      REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)];
+  return code;
+}
+
+export function isValidReferralCode(code) {
+  return typeof code === "string" && /^[A-Z2-9]{8}$/.test(code);
+}
+
+export function createBillingService({
+  stripe,
+  collections,
+  config,
+  metering,
+  organizations,
+  logger,
+}) {
+  const { customersCollection, referralsCollection, stripeEventsCollection } =
+    collections;
+  const { plans } = config;
+  const { grantBonusActions } = metering;
+  const { syncSubscriptionToOrganization } = organizations;
+
+  // ---------------- SUBSCRIPTION SYNC -----------------
+  // Persist a Stripe subscription's state onto the matching customer document
+  // and derive subscription_status (access) from it. Subscriptions bought by
+  // an organization are synced onto it instead (see organizations.js).
+  async function syncSubscriptionToCustomer(subscription) {
+    const customer_id = getStripeId(subscription.customer);
+    const customer = await customersCollection.findOne({ customer_id });
+
+    if (!customer) {
+      if (await syncSubscriptionToOrganization(subscription)) return;
+      logger.warn("Webhook: Customer not found in DB", { customer_id });
+      return;
+    }
+
+    const priceId = subscription.items?.data?.[0]?.price?.id ?? customer.plan;
+
+    // One-time purchases (lifetime) keep access whatever happens to subscriptions
+    const grantsAccess =
+      ACCESS_GRANTING_STATUSES.includes(subscription.status) ||
+      Boolean(customer.lifetime_access);
+
+    // Don't let events for an old subscription revoke access granted by a newer one
+    if (
+      customer.subscription_id &&
+      customer.subscription_id !== subscription.id &&
+      customer.subscription_status &&
+      !grantsAccess
+    ) {
+      logger.info("Webhook: Ignoring update for stale subscription", {
+        customer_id,
+        subscription_id: subscription.id,
+        status: subscription.status,
+        current_subscription_id: customer.subscription_id,
+      });
+      return;
+    }
+
+    // Moving onto a plan with a per-period quota starts it with a full
+    // allowance rather than waiting for the next paid invoice
+    const quota = findPlanByPriceId(plans, priceId)?.entitlements
+      .actions_per_period;
+    const grantsQuota =
+      grantsAccess &&
+      quota &&
+      !customer.lifetime_access &&
+      (priceId !== customer.plan || !customer.subscription_status);
+
+    await customersCollection.updateOne(
+      { customer_id },
+      {
+        $set: {
+          subscription_status: grantsAccess,
+          ...(!customer.lifetime_access && { plan: priceId }),
+          ...(grantsQuota && { free_actions_remaining: quota }),
+          subscription_id: subscription.id,
+          subscription_state: subscription.status,
+          current_period_end: getSubscriptionPeriodEnd(subscription),
+          cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+          subscription_updated_at: new Date(),
+          ...(subscription.trial_start && { trial_used: true }),
+        },
+      }
+    );
+
+    logger.info("Webhook: Subscription updated", {
+      customer_id,
+      subscription_id: subscription.id,
+      status: subscription.status,
+      access: grantsAccess,
+    });
+  }
+
+  // Subscription events carry a snapshot from when they fired. Deliveries can
+  // arrive out of order and failed ones are replayed later (see
+  // routes/admin.js), so sync the subscription as Stripe has it now rather
+  // than let an old snapshot overwrite a newer state.
+  async function handleSubscriptionEvent(snapshot) {
+    let subscription;
+    try {
+      subscription = await stripe.subscriptions.retrieve(snapshot.id);
+    } catch (stripeErr) {
+      if (stripeErr.code !== "resource_missing") throw stripeErr;
+      subscription = snapshot;
+    }
+    await syncSubscriptionToCustomer(subscription);
+  }
+
+  async function handleCheckoutCompleted(session) {
+    const customer_id = getStripeId(session.customer);
+    const subscriptionId = getStripeId(session.subscription);
+
+    if (subscriptionId) {
+      // Fetch the full subscription so period end and status are accurate
+      const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+      await syncSubscriptionToCustomer(subscription);
+    } else {
+      await grantOneTimePurchase(customer_id, session);
+    }
+
+    // Only after access is granted, so a failing reward can't hold it up. The
+    // event fails and is retried then, and the reward with it.
+    if (session.metadata?.referral_code)
+      await creditReferral(customer_id, session.metadata.referral_code);
+  }
+
+  // One-time purchase: the plan key was attached when the session was created
+  async function grantOneTimePurchase(customer_id, session) {
+    const plan = findPlan(plans, session.metadata?.plan);
+    const result = await customersCollection.updateOne(
+      { customer_id },
+      {
+        $set: {
+          subscription_status: true,
+          ...(plan && { plan: plan.price_id }),
+          ...(plan?.mode === "payment" && { lifetime_access: true }),
+        },
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      logger.warn("Webhook: Customer not found in DB", { customer_id });
+    } else {
+      logger.info("Webhook: Subscription marked active", { customer_id });
+    }
+  }
+
+  // Plans with a per-period quota get a fresh allowance with each paid invoice,
+  // as well as when the customer moves onto them (see syncSubscriptionToCustomer)
+  async function grantPlanPeriodActions(subscription) {
+    const plan = findPlanByPriceId(
+      plans,
+      subscription.items?.data?.[0]?.price?.id
+    );
+    const quota = plan?.entitlements.actions_per_period;
+    if (!quota) return;
+
+    await customersCollection.updateOne(
+      { customer_id: getStripeId(subscription.customer) },
+      { $set: { free_actions_remaining: quota } }
+    );
+  }
+
+  async function handleInvoiceEvent(type, invoice) {
+    const subscriptionId = getInvoiceSubscriptionId(invoice);
+    if (!subscriptionId) {
+      logger.info("Webhook: Invoice has no subscription", {
+        event_type: type,
+        invoice_id: invoice.id,
+      });
+      return;
+    }
+
+    if (type === "invoice.payment_failed") {
+      logger.warn("Webhook: Payment failed", {
+        customer_id: getStripeId(invoice.customer),
+        subscription_id: subscriptionId,
+      });
+    }
+
+    // The invoice alone doesn't carry the resulting subscription status
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    await syncSubscriptionToCustomer(subscription);
+
+    if (type === "invoice.paid") await grantPlanPeriodActions(subscription);
+  }
+
+  // ---------------- REFERRALS -----------------
+  // Give the customer a referral code the first time they ask for one
+  async function ensureReferralCode(customer) {
+    if (customer.referral_code) return customer.referral_code;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const updated = await customersCollection.findOneAndUpdate(
+          { _id: customer._id, referral_code: { $exists: false } },
+          { $set: { referral_code: generateReferralCode() } },
+          { returnDocument: "after" }
+        );
+        if (updated) return updated.referral_code;
+        // Another request assigned one first
+        return (await customersCollection.findOne({ _id: customer._id }))
+          .referral_code;
+      } catch (err) {
+        if (err.code !== 11000) throw err; // code collision, try another
+      }
+    }
+    throw new Error("Failed to generate a unique referral code");
+  }
+
+  // Reward the owner of referralCode for the referred customer's checkout
+  async function creditReferral(referredCustomerId, referralCode) {
+    const referrer = await customersCollection.findOne({
+      referral_code: referralCode,
+    });
+    const referred = await customersCollection.findOne({
+      customer_id: referredCustomerId,
+    });
+    if (!referrer || !referred || referrer._id.equals(referred._id)) {
+      logger.info("Webhook: Ignoring referral code", {
+        referral_code: referralCode,
+      });
+      return;
+    }
+
+    // The row is written first, with reward null until the reward is given,
+    // so a referred customer is only ever credited once. A retried event finds
+    // the row still unrewarded and gives the reward then.
+    try {
+      await referralsCollection.insertOne({
+        referrer_doc_id: referrer._id,
+        referred_doc_id: referred._id,
+        referral_code: referralCode,
+        reward: null,
+        created_at: new Date(),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      const existing = await referralsCollection.findOne({
+        referred_doc_id: referred._id,
+      });
+      if (existing?.reward || !existing?.referrer_doc_id.equals(referrer._id))
+        return; // already credited for this customer
+    }
+
+    const couponId = config.stripe.referralCouponId;
+    let reward;
+    if (couponId && referrer.subscription_status && referrer.subscription_id) {
+      await stripe.subscriptions.update(referrer.subscription_id, {
+        discounts: [{ coupon: couponId }],
+      });
+      reward = { type: "coupon", coupon: couponId };
+    } else {
+      await grantBonusActions(referrer, {
+        amount: REFERRAL_BONUS_ACTIONS,
+        reason: "referral",
+        note: `Referred customer ${referredCustomerId}`,
+        expiresAt: new Date(
+          Date.now() + REFERRAL_BONUS_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+        ),
+      });
+      reward = { type: "bonus_actions", amount: REFERRAL_BONUS_ACTIONS };
+    }
+
+    await referralsCollection.updateOne(
+      { referred_doc_id: referred._id },
+      { $set: { reward, credited_at: new Date() } }
+    );
+    logger.info("Webhook: Credited referrer", {
+      customer_id: referrer.customer_id,
+      reward: reward.type,
+    });
+  }
+
+  // ---------------- STRIPE EVENT LEDGER -----------------
+  async function processStripeEvent(event) {
+    switch (event.type) {
+      case "checkout.session.completed":
+        await handleCheckoutCompleted(event.data.object);
+        break;
+      case "customer.subscription.created":
+      case "customer.subscription.updated":
+      case "customer.subscription.deleted":
+        await handleSubscriptionEvent(event.data.object);
+        break;
+      case "invoice.paid":
+      case "invoice.payment_failed":
+        await handleInvoiceEvent(event.type, event.data.object);
+        break;
+      default:
+        logger.debug("Webhook: Ignoring unhandled event type", {
+          event_type: event.type,
+        });
+    }
+  }
+
+  // Record the event in the ledger and claim it for processing. Returns false
+  // if the event was already processed or is being processed right now.
+  async function claimStripeEvent(event) {
+    const now = new Date();
+    try {
+      await stripeEventsCollection.insertOne({
+        event_id: event.id,
+        type: event.type,
+        status: "processing",
+        attempts: 1,
+        error: null,
+        payload: event,
+        received_at: now,
+        updated_at: now,
+      });
+      return true;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // 11000 = duplicate key
+    }
+
+    // Seen before: only retry failures or runs that never finished
+    const result = await stripeEventsCollection.updateOne(
+      {
+        event_id: event.id,
+        $or: [
+          { status: "failed" },
+          {
+            status: "processing",
+            updated_at: {
+              $lt: new Date(now.getTime() - STRIPE_EVENT_PROCESSING_TIMEOUT_MS),
+            },
+          },
+        ],
+      },
+      {
+        $set: { status: "processing", updated_at: now },
+        $inc: { attempts: 1 },
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Run a claimed event and store the outcome on its ledger entry
+  async function runStripeEvent(event) {
+    let status = "processed";
+    let error = null;
+
+    try {
+      await processStripeEvent(event);
+    } catch (err) {
+      logger.error("Webhook: Failed to process event", {
+        event_id: event.id,
+        event_type: event.type,
+        err,
+      });
+      status = "failed";
+      error = err.message;
+    }
+
+    await stripeEventsCollection.updateOne(
+      { event_id: event.id },
+      {
+        $set: {
+          status,
+          error,
+          updated_at: new Date(),
+          ...(status === "processed" && { processed_at: new Date() }),
+        },
+      }
+    );
+
+    return { event_id: event.id, type: event.type, status, error };
+  }
+
+  // The customer's current billable subscription in Stripe, or null
+  async function getCurrentSubscription(customer) {
+    if (customer.subscription_id) {
+      try {
+        const subscription = await stripe.subscriptions.retrieve(
+          customer.subscription_id
+        );
+        if (CANCELABLE_SUBSCRIPTION_STATUSES.includes(subscription.status))
+          return subscription;
+      } catch (stripeErr) {
+        if (stripeErr.code !== "resource_missing") throw stripeErr;
+      }
+    }
+
+    const subscriptions = await stripe.subscriptions.list({
+      customer: customer.customer_id,
+      status: "all",
+      limit: 10,
+    });
+    return pickCurrentSubscription(subscriptions.data);
+  }
+
+  return {
+    syncSubscriptionToCustomer,
+    handleCheckoutCompleted,
+    handleInvoiceEvent,
+    ensureReferralCode,
+    creditReferral,
+    processStripeEvent,
+    claimStripeEvent,
+    runStripeEvent,
+    getCurrentSubscription,
+  };
+}
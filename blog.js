@@ -0,0 +1,373 @@
+// blog.js
+// Blog posts and their publishing state. A post is one of:
+//
+//   draft      only visible to admins
+//   published  public
+//   scheduled  public once publish_at has passed
+//
+// Posts written before statuses existed have none and count as published.
+// Every change an admin makes is also saved as a numbered revision of the
+// slug (see routes/blog.js), which is what rollback restores from.
+//
+// Posts are written in Markdown, kept in `markdown`, and served as the HTML
+// rendered from it into `content` (see markdown.js). Posts can still be sent
+// as HTML, with no markdown; either way only sanitized HTML is stored.
+//
+// Tags are lowercase slugs like "keyboard-shortcuts". Public listings are
+// ordered newest first by date, then by slug, which is also what their
+// cursors encode.
+import { renderMarkdown, sanitizePostHtml } from "./markdown.js";
+
+export const BLOG_STATUSES = ["draft", "published", "scheduled"];
+
+// The fields an admin writes; a revision stores a copy of them
+export const BLOG_CONTENT_FIELDS = [
+  "title",
+  "date",
+  "description",
+  "markdown",
+  "content",
+  "tags",
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SLUG_LENGTH = 200;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_CONTENT_LENGTH = 200_000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+const MAX_SEARCH_LENGTH = 200;
+const RELATED_POSTS_LIMIT = 3;
+export const BLOG_PAGE_LIMIT = 50;
+
+// Paths under /api/blog that a slug would otherwise shadow
+const RESERVED_SLUGS = ["search", "tags"];
+
+// Newest first; slug breaks ties between posts on the same date
+const POST_ORDER = { date: -1, slug: -1 };
+
+export function isValidSlug(slug) {
+  return (
+    typeof slug === "string" &&
+    slug.length <= MAX_SLUG_LENGTH &&
+    SLUG_PATTERN.test(slug)
+  );
+}
+
+export function isValidTag(tag) {
+  return (
+    typeof tag === "string" &&
+    tag.length <= MAX_TAG_LENGTH &&
+    SLUG_PATTERN.test(tag)
+  );
+}
+
+function isValidDate(date) {
+  return (
+    typeof date === "string" &&
+    DATE_PATTERN.test(date) &&
+    !Number.isNaN(Date.parse(date))
+  );
+}
+
+function validateText(value, max, field, errors) {
+  if (typeof value !== "string" || !value.trim() || value.length > max)
+    errors.push(`${field} must be 1-${max} characters`);
+}
+
+// Check a post sent by an admin. With `existing`, fields left out keep their
+// current values, so an update only needs to send what changes. Returns the
+// fields to store, with publish_at as a Date, and a list of problems.
+export function validateBlogPost(
+  input,
+  { existing = null, now = new Date() } = {}
+) {
+  if (!input || typeof input !== "object" || Array.isArray(input))
+    return { post: null, errors: ["post must be an object"] };
+
+  const errors = [];
+  const merged = { ...existing, ...input };
+  const post = {};
+
+  if (!existing && !isValidSlug(input.slug))
+    errors.push(
+      `slug must be lowercase letters, digits and single hyphens, at most ${MAX_SLUG_LENGTH} characters`
+    );
+  else if (!existing && RESERVED_SLUGS.includes(input.slug))
+    errors.push(`slug can't be one of: ${RESERVED_SLUGS.join(", ")}`);
+  validateText(merged.title, MAX_TITLE_LENGTH, "title", errors);
+  validateText(
+    merged.description,
+    MAX_DESCRIPTION_LENGTH,
+    "description",
+    errors
+  );
+  for (const field of ["title", "description"]) post[field] = merged[field];
+
+  // Sending content without markdown switches a post to HTML
+  const markdown =
+    "markdown" in input
+      ? input.markdown
+      : "content" in input
+      ? null
+      : existing?.markdown ?? null;
+  if (markdown !== null) {
+    validateText(markdown, MAX_CONTENT_LENGTH, "markdown", errors);
+    post.markdown = markdown;
+  } else {
+    validateText(merged.content, MAX_CONTENT_LENGTH, "content", errors);
+    post.markdown = null;
+    post.content = merged.content;
+  }
+  if (typeof (post.markdown ?? post.content) === "string") {
+    post.content = renderPostContent(post);
+    if (!post.content) errors.push("content is empty once sanitized");
+  }
+
+  post.status = merged.status ?? (existing ? "published" : "draft");
+  if (!BLOG_STATUSES.includes(post.status))
+    errors.push(`status must be one of: ${BLOG_STATUSES.join(", ")}`);
+
+  // publish_at only means something for scheduled posts
+  post.publish_at = null;
+  if (post.status === "scheduled") {
+    const publishAt =
+      merged.publish_at === undefined || merged.publish_at === null
+        ? null
+        : new Date(merged.publish_at);
+    if (!publishAt || Number.isNaN(publishAt.getTime()))
+      errors.push("publish_at is required for scheduled posts");
+    else if (publishAt <= now && "publish_at" in input)
+      errors.push("publish_at must be in the future");
+    else post.publish_at = publishAt;
+  }
+
+  // Tags are case-insensitive and listed once each
+  const tags = merged.tags ?? [];
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS)
+    errors.push(`tags must be a list of at most ${MAX_TAGS} tags`);
+  else {
+    post.tags = [
+      ...new Set(
+        tags.map((tag) => (typeof tag === "string" ? tag.toLowerCase() : tag))
+      ),
+    ];
+    if (!post.tags.every(isValidTag))
+      errors.push(
+        `tags must be lowercase letters, digits and single hyphens, at most ${MAX_TAG_LENGTH} characters`
+      );
+  }
+
+  // The date shown on the post defaults to the day it goes out
+  if (merged.date === undefined || merged.date === null)
+    post.date = (post.publish_at ?? now).toISOString().slice(0, 10);
+  else if (!isValidDate(merged.date)) errors.push("date must be YYYY-MM-DD");
+  else post.date = merged.date;
+
+  return { post, errors };
+}
+
+// The HTML to store for a post: rendered from its Markdown when it has some,
+// otherwise its own HTML, sanitized
+export function renderPostContent({ markdown, content }) {
+  return markdown ? renderMarkdown(markdown) : sanitizePostHtml(content);
+}
+
+// The HTML to serve for a stored post. Posts stored before content was
+// sanitized may still hold raw HTML, so it goes through the allow-list again.
+export function getPostHtml({ content }) {
+  return sanitizePostHtml(content ?? "");
+}
+
+// Mongo filter for posts the public can see at `now`
+export function publicPostsFilter(now = new Date()) {
+  return {
+    $or: [
+      { status: { $exists: false } },
+      { status: "published" },
+      { status: "scheduled", publish_at: { $lte: now } },
+    ],
+  };
+}
+
+// When a post went out: its scheduled time, or the start of its date
+export function getPostPublishedAt(post) {
+  return post.publish_at ?? new Date(`${post.date}T00:00:00Z`);
+}
+
+export function getPostUpdatedAt(post) {
+  return post.updated_at ?? getPostPublishedAt(post);
+}
+
+// Listing cursors are the last post's date and slug, which can't contain "_"
+export function getPostCursor({ date, slug }) {
+  return `${date}_${slug}`;
+}
+
+// The filter for posts after `cursor` in listing order, or null if it is invalid
+function cursorFilter(cursor) {
+  if (typeof cursor !== "string") return null;
+  const [date, slug, ...rest] = cursor.split("_");
+  if (rest.length || !isValidDate(date) || !isValidSlug(slug)) return null;
+  return { $or: [{ date: { $lt: date } }, { date, slug: { $lt: slug } }] };
+}
+
+// What listings and search results return for a post
+export function postSummary({ slug, title, date, description, tags }) {
+  return { slug, title, date, description, tags: tags ?? [] };
+}
+
+// What the public API returns for a post
+export function publicPost(post) {
+  return { ...postSummary(post), content: getPostHtml(post) };
+}
+
+// What the admin API returns for a post
+export function adminPost(post) {
+  return {
+    ...publicPost(post),
+    markdown: post.markdown ?? null,
+    status: post.status ?? "published",
+    publish_at: post.publish_at ?? null,
+    revision: post.revision ?? 0,
+    author: post.author ?? null,
+    created_at: post.created_at ?? null,
+    updated_at: post.updated_at ?? null,
+  };
+}
+
+export function revisionSummary({
+  slug,
+  revision,
+  title,
+  status,
+  action,
+  author,
+  created_at,
+}) {
+  return { slug, revision, title, status, action, author, created_at };
+}
+
+// Reading posts, shared by the blog API (routes/blog.js) and the rendered
+// blog pages and feeds (routes/blogPages.js)
+export function createBlogService({ collections }) {
+  const { blogCollection } = collections;
+
+  function listProjection(withContent) {
+    return { _id: 0, markdown: 0, ...(!withContent && { content: 0 }) };
+  }
+
+  // Every public post, newest first, for the sitemap and feeds. Content is
+  // left out unless asked for.
+  async function getPublishedPosts({ withContent = false } = {}) {
+    return await blogCollection
+      .find(publicPostsFilter(), { projection: listProjection(withContent) })
+      .sort(POST_ORDER)
+      .toArray();
+  }
+
+  // One page of public posts, optionally with a tag, starting after the
+  // `before` cursor of the previous page. Returns null for a bad cursor.
+  async function listPublishedPosts({ tag, before, limit = BLOG_PAGE_LIMIT }) {
+    const filters = [publicPostsFilter()];
+    if (tag !== undefined) filters.push({ tags: tag });
+    if (before !== undefined) {
+      const after = cursorFilter(before);
+      if (!after) return null;
+      filters.push(after);
+    }
+
+    const page = await blogCollection
+      .find({ $and: filters }, { projection: listProjection(false) })
+      .sort(POST_ORDER)
+      .limit(limit + 1)
+      .toArray();
+    const posts = page.slice(0, limit);
+    return {
+      posts,
+      next_cursor:
+        page.length > limit ? getPostCursor(posts[posts.length - 1]) : null,
+    };
+  }
+
+  // Tags on public posts, most used first
+  async function getPublishedTags() {
+    const tags = await blogCollection
+      .aggregate([
+        { $match: publicPostsFilter() },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ])
+      .toArray();
+    return tags.map(({ _id, count }) => ({ tag: _id, count }));
+  }
+
+  // Full-text search over title, description and content (see the text
+  // index in collections.js), best match first
+  async function searchPublishedPosts(query, { limit = BLOG_PAGE_LIMIT } = {}) {
+    if (typeof query !== "string" || !query.trim()) return [];
+    return await blogCollection
+      .find(
+        {
+          $and: [
+            publicPostsFilter(),
+            { $text: { $search: query.slice(0, MAX_SEARCH_LENGTH) } },
+          ],
+        },
+        {
+          projection: {
+            ...listProjection(false),
+            score: { $meta: "textScore" },
+          },
+        }
+      )
+      .sort({ score: { $meta: "textScore" }, ...POST_ORDER })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Other public posts sharing the most tags with `post`, then the newest
+  // ones, so every post has suggestions
+  async function getRelatedPosts(post, { limit = RELATED_POSTS_LIMIT } = {}) {
+    const tags = post.tags ?? [];
+    return await blogCollection
+      .aggregate([
+        {
+          $match: { $and: [publicPostsFilter(), { slug: { $ne: post.slug } }] },
+        },
+        {
+          $addFields: {
+            shared_tags: {
+              $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, tags] },
+            },
+          },
+        },
+        { $sort: { shared_tags: -1, ...POST_ORDER } },
+        { $limit: limit },
+        { $project: { ...listProjection(false), shared_tags: 0 } },
+      ])
+      .toArray();
+  }
+
+  // Drafts and scheduled posts are only returned with includeUnpublished
+  async function getBlogPostBySlug(slug, { includeUnpublished = false } = {}) {
+    // Sanitize slug to prevent NoSQL injection
+    if (typeof slug !== "string" || slug.length > 200) return null;
+    return await blogCollection.findOne(
+      { slug, ...(!includeUnpublished && publicPostsFilter()) },
+      { projection: { _id: 0 } }
+    );
+  }
+
+  return {
+    getPublishedPosts,
+    listPublishedPosts,
+    getPublishedTags,
+    searchPublishedPosts,
+    getRelatedPosts,
+    getBlogPostBySlug,
+  };
+}
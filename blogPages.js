@@ -0,0 +1,346 @@
+// blogPages.js
+// The blog as crawlers and feed readers see it: pages rendered on the server
+// from the templates in views/blog, plus the sitemap, RSS and Atom feeds and
+// robots.txt. Everything here is built from post documents (see blog.js) and
+// the site's public URL; routes/blogPages.js serves it.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getPostHtml, getPostPublishedAt, getPostUpdatedAt } from "./blog.js";
+
+const viewsDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "views",
+  "blog"
+);
+const INDEX_TEMPLATE = fs.readFileSync(
+  path.join(viewsDir, "index.html"),
+  "utf8"
+);
+const POST_TEMPLATE = fs.readFileSync(path.join(viewsDir, "post.html"), "utf8");
+
+const SITE_NAME = "GC Bulk Edit";
+const BLOG_TITLE = "GC Bulk Edit Blog - Tips & Guides for Google Calendar";
+const BLOG_DESCRIPTION =
+  "Learn tips, tricks, and best practices for managing your Google Calendar more efficiently with bulk editing.";
+const FEED_LIMIT = 20;
+
+// Pages listed in the sitemap besides the blog's
+const SITEMAP_PAGES = ["/", "/privacy", "/terms"];
+
+// Also used for XML, where the same five characters need escaping
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Values are inserted as given, so they must already be escaped
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => values[name]);
+}
+
+export function getPostUrl(siteUrl, post) {
+  return `${siteUrl}/blog/${encodeURIComponent(post.slug)}`;
+}
+
+// JSON inside a <script> must not be able to close it
+function jsonLd(data) {
+  const json = JSON.stringify(data).replace(/</g, "\\u003c");
+  return `<script type="application/ld+json">${json}</script>`;
+}
+
+function renderHead({ title, description, url, type, siteUrl, extra = [] }) {
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<link rel="alternate" type="application/rss+xml" title="${SITE_NAME} Blog" href="${siteUrl}/rss.xml" />`,
+    `<link rel="alternate" type="application/atom+xml" title="${SITE_NAME} Blog" href="${siteUrl}/atom.xml" />`,
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:type" content="${type}" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${siteUrl}/icon128.png" />`,
+    `<meta name="twitter:card" content="summary" />`,
+    ...extra,
+  ].join("\n    ");
+}
+
+function getTagUrl(siteUrl, tag) {
+  return `${siteUrl}/blog?tag=${encodeURIComponent(tag)}`;
+}
+
+function renderTags(siteUrl, tags, activeTag = null) {
+  if (!tags?.length) return "";
+  const links = tags.map(
+    (tag) =>
+      `<a class="tag${tag === activeTag ? " active" : ""}" href="${escapeHtml(
+        getTagUrl(siteUrl, tag)
+      )}">#${escapeHtml(tag)}</a>`
+  );
+  return `<div class="tags">${links.join(" ")}</div>`;
+}
+
+function renderPostSummary(siteUrl, post) {
+  const url = escapeHtml(getPostUrl(siteUrl, post));
+  return `<li>
+        <a class="post-title" href="${url}">${escapeHtml(post.title)}</a>
+        <span class="post-date">📅 ${escapeHtml(post.date)}</span>
+        <p class="post-desc">${escapeHtml(post.description)}</p>
+        ${renderTags(siteUrl, post.tags)}
+        <a class="read-more" href="${url}">
+          Read more
+          <svg viewBox="0 0 24 24"><path d="M12 4l-1.41 1.41L16.17 11H4v2h12.17l-5.58 5.59L12 20l8-8z"/></svg>
+        </a>
+      </li>`;
+}
+
+// One page of the blog index: the newest posts, those tagged `tag`, or the
+// results of a search for `query`. `posts` are summaries in display order,
+// `tags` every tag in use, and nextCursor the cursor of the page after this.
+export function renderBlogIndexPage({
+  siteUrl,
+  posts,
+  tags = [],
+  tag = null,
+  query = null,
+  before = null,
+  nextCursor = null,
+}) {
+  const params = new URLSearchParams({
+    ...(tag && { tag }),
+    ...(before && { before }),
+  });
+  const url = `${siteUrl}/blog${params.size ? `?${params}` : ""}`;
+  const title = query
+    ? `Search results for "${query}" - ${SITE_NAME} Blog`
+    : tag
+    ? `Posts tagged #${tag} - ${SITE_NAME} Blog`
+    : BLOG_TITLE;
+
+  let heading = "";
+  if (query)
+    heading = `${posts.length} result${
+      posts.length === 1 ? "" : "s"
+    } for "${escapeHtml(query)}"`;
+  else if (tag) heading = `Posts tagged #${escapeHtml(tag)}`;
+  if (heading)
+    heading = `<p class="listing-title">${heading} · <a href="${siteUrl}/blog">All posts</a></p>`;
+
+  const empty = query
+    ? "No posts match your search."
+    : tag
+    ? "No posts with this tag yet."
+    : "No blog posts yet. Check back soon!";
+  const items = posts.length
+    ? posts.map((post) => renderPostSummary(siteUrl, post)).join("\n      ")
+    : `<li class="no-posts">${empty}</li>`;
+
+  let pagination = "";
+  if (nextCursor) {
+    const next = new URLSearchParams({
+      ...(tag && { tag }),
+      before: nextCursor,
+    });
+    pagination = `<nav class="pagination"><a href="${escapeHtml(
+      `${siteUrl}/blog?${next}`
+    )}">Older posts →</a></nav>`;
+  }
+
+  return fillTemplate(INDEX_TEMPLATE, {
+    head: renderHead({
+      title,
+      description: BLOG_DESCRIPTION,
+      url,
+      type: "website",
+      siteUrl,
+      // Search results shouldn't be indexed, but the posts they link to should
+      extra: query ? ['<meta name="robots" content="noindex, follow" />'] : [],
+    }),
+    filters: `<form class="search" action="${siteUrl}/blog" method="get" role="search">
+        <input type="search" name="q" value="${escapeHtml(
+          query ?? ""
+        )}" placeholder="Search posts" maxlength="200" aria-label="Search posts" />
+        <button type="submit">Search</button>
+      </form>
+      ${renderTags(siteUrl, tags, tag)}
+      ${heading}`,
+    posts: `<ul class="post-list">\n      ${items}\n      </ul>\n      ${pagination}`,
+  });
+}
+
+function renderRelatedPosts(siteUrl, related) {
+  if (!related.length) return "";
+  const items = related.map(
+    (post) =>
+      `<li><a href="${escapeHtml(getPostUrl(siteUrl, post))}">${escapeHtml(
+        post.title
+      )}</a></li>`
+  );
+  return `<aside class="related">
+      <h2>Related posts</h2>
+      <ul>${items.join("")}</ul>
+    </aside>`;
+}
+
+// The post body is HTML, sanitized by getPostHtml; everything else is text
+// `related` are summaries of posts to suggest after this one
+export function renderBlogPostPage({ siteUrl, post, related = [] }) {
+  const url = getPostUrl(siteUrl, post);
+  const publishedAt = getPostPublishedAt(post).toISOString();
+  const updatedAt = getPostUpdatedAt(post).toISOString();
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@type": "BlogPosting",
+    headline: post.title,
+    description: post.description,
+    keywords: (post.tags ?? []).join(", "),
+    datePublished: publishedAt,
+    dateModified: updatedAt,
+    url,
+    mainEntityOfPage: { "@type": "WebPage", "@id": url },
+    image: `${siteUrl}/icon128.png`,
+    author: { "@type": "Organization", name: SITE_NAME, url: siteUrl },
+    publisher: {
+      "@type": "Organization",
+      name: SITE_NAME,
+      logo: { "@type": "ImageObject", url: `${siteUrl}/icon128.png` },
+    },
+  };
+
+  return fillTemplate(POST_TEMPLATE, {
+    head: renderHead({
+      title: `${post.title} - ${SITE_NAME} Blog`,
+      description: post.description,
+      url,
+      type: "article",
+      siteUrl,
+      extra: [
+        `<meta property="article:published_time" content="${publishedAt}" />`,
+        `<meta property="article:modified_time" content="${updatedAt}" />`,
+        jsonLd(structuredData),
+      ],
+    }),
+    post: `<article>
+      <h1>${escapeHtml(post.title)}</h1>
+      <span class="post-date">📅 ${escapeHtml(post.date)}</span>
+      ${renderTags(siteUrl, post.tags)}
+      <div class="post-content">${getPostHtml(post)}</div>
+    </article>
+    ${renderRelatedPosts(siteUrl, related)}`,
+  });
+}
+
+export function renderBlogNotFoundPage({ siteUrl }) {
+  return fillTemplate(POST_TEMPLATE, {
+    head: [
+      `<title>Post not found - ${SITE_NAME} Blog</title>`,
+      `<meta name="robots" content="noindex" />`,
+    ].join("\n    "),
+    post: `<div class="error">Blog post not found. <a href="${siteUrl}/blog">See all posts</a>.</div>`,
+  });
+}
+
+// ---------------- SITEMAP & FEEDS ----------------
+
+// When any of the posts last changed; the Unix epoch when there are none
+function getLatestUpdate(posts) {
+  return new Date(Math.max(0, ...posts.map((post) => getPostUpdatedAt(post))));
+}
+
+export function renderSitemap({ siteUrl, posts }) {
+  const entries = [
+    ...SITEMAP_PAGES.map((page) => ({ loc: `${siteUrl}${page}` })),
+    {
+      loc: `${siteUrl}/blog`,
+      lastmod: posts.length ? getLatestUpdate(posts) : null,
+    },
+    ...posts.map((post) => ({
+      loc: getPostUrl(siteUrl, post),
+      lastmod: getPostUpdatedAt(post),
+    })),
+  ];
+  const urls = entries.map(
+    ({ loc, lastmod }) =>
+      `  <url><loc>${escapeHtml(loc)}</loc>${
+        lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ""
+      }</url>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+// Feeds carry the newest posts in full; `posts` are newest first
+export function renderRssFeed({ siteUrl, posts }) {
+  const recent = posts.slice(0, FEED_LIMIT);
+  const items = recent.map((post) => {
+    const url = escapeHtml(getPostUrl(siteUrl, post));
+    return `    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${url}</link>
+      <guid isPermaLink="true">${url}</guid>
+      <pubDate>${getPostPublishedAt(post).toUTCString()}</pubDate>
+      <description>${escapeHtml(post.description)}</description>
+      <content:encoded>${escapeHtml(getPostHtml(post))}</content:encoded>
+    </item>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(BLOG_TITLE)}</title>
+    <link>${siteUrl}/blog</link>
+    <description>${escapeHtml(BLOG_DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${getLatestUpdate(recent).toUTCString()}</lastBuildDate>
+    <atom:link href="${siteUrl}/rss.xml" rel="self" type="application/rss+xml" />
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtomFeed({ siteUrl, posts }) {
+  const recent = posts.slice(0, FEED_LIMIT);
+  const entries = recent.map((post) => {
+    const url = escapeHtml(getPostUrl(siteUrl, post));
+    return `  <entry>
+    <title>${escapeHtml(post.title)}</title>
+    <link href="${url}" />
+    <id>${url}</id>
+    <published>${getPostPublishedAt(post).toISOString()}</published>
+    <updated>${getPostUpdatedAt(post).toISOString()}</updated>
+    <summary>${escapeHtml(post.description)}</summary>
+    <content type="html">${escapeHtml(getPostHtml(post))}</content>
+  </entry>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(BLOG_TITLE)}</title>
+  <subtitle>${escapeHtml(BLOG_DESCRIPTION)}</subtitle>
+  <link href="${siteUrl}/blog" />
+  <link href="${siteUrl}/atom.xml" rel="self" />
+  <id>${siteUrl}/blog</id>
+  <updated>${getLatestUpdate(recent).toISOString()}</updated>
+  <author><name>${SITE_NAME}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+// Only production is open to crawlers, so staging never ends up in results
+export function renderRobots({ siteUrl, env }) {
+  if (env !== "production") return "User-agent: *\nDisallow: /\n";
+  return `User-agent: *
+Disallow: /admin
+Disallow: /api/
+Sitemap: ${siteUrl}/sitemap.xml
+`;
+}
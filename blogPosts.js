@@ -1,79 +0,0 @@
-// Blog posts for GC Bulk Edit
-// Run `node migrateBlogPosts.js` to add these to MongoDB
-
-const blogPosts = [
-  {
-    slug: "how-to-move-multiple-google-calendar-events-at-same-time",
-    title: "How To Move Multiple Google Calendar Events At The Same Time",
-    date: "2025-12-31",
-    description:
-      "Learn how to move multiple Google Calendar events at once using GC Bulk Edit. Save time and boost your productivity with bulk editing features.",
-    content: `
-<p>We've all been there. You're looking at your Google Calendar, and suddenly you realize that your entire Tuesday needs to shift to Wednesday. Maybe a meeting got rescheduled. Maybe you're adjusting for a holiday. Or maybe you just planned everything on the wrong day. (No judgment, it happens to the best of us.)</p>
-
-<p>The problem? Google Calendar doesn't let you move multiple events at once. You're stuck clicking, dragging, and editing each event one by one. If you've got five events to move, that's annoying. If you've got twenty? That's your whole afternoon gone.</p>
-
-<p>That's exactly why we built the <strong>Google Calendar Bulk Edit</strong> extension. It lets you select multiple events and move them all at the same time. Seconds instead of minutes.</p>
-
-<h2>Why Would You Need to Move Multiple Events?</h2>
-
-<p>Life is unpredictable. Calendars need to adapt. Here are a few scenarios where being able to <strong>move multiple events</strong> at once is a game-changer:</p>
-
-<ul>
-  <li><strong>Meeting reschedules:</strong> A key stakeholder moves a recurring sync, and now everything else needs to shift.</li>
-  <li><strong>Travel changes:</strong> Your flight got delayed, so all your meetings for that day need to move forward by two hours.</li>
-  <li><strong>Project timeline shifts:</strong> The deadline moved, and now your entire planning block needs to slide to next week.</li>
-  <li><strong>Personal life adjustments:</strong> You blocked time for errands, but something came up. Now you need to move all those blocks to a different day.</li>
-</ul>
-
-<p>In all of these cases, doing it manually in Google Calendar is tedious. With GC Bulk Edit, you can handle it in a few clicks.</p>
-
-<h2>How to Move Multiple Events with GC Bulk Edit</h2>
-
-<p>Here's the step-by-step process. It's simple once you've got the extension installed.</p>
-
-<h3>Step 1: Install the Extension</h3>
-
-<p>Head over to the <a href="https://chromewebstore.google.com/detail/kklojeonebikceffbffplnkajeckobbk" target="_blank" rel="noopener noreferrer">Chrome Web Store</a> and install the Google Calendar Bulk Edit extension. It takes about 10 seconds. Once it's installed, you'll see a new icon in your browser toolbar.</p>
-
-<h3>Step 2: Open Google Calendar and Select Your Events</h3>
-
-<p>Navigate to Google Calendar in your browser. Now, here's where the magic happens. Hold down <strong>Alt</strong> (or your configured modifier key) and click on the events you want to move. Each selected event will highlight so you can see exactly what you've picked.</p>
-
-<p>Want to select a bunch of events at once? Hold your modifier key and drag to create a selection box. Any events inside the box will be selected automatically. This is incredibly useful when you've got a packed schedule.</p>
-
-<h3>Step 3: Move All Selected Events</h3>
-
-<p>Once your events are selected, press the <strong>Move</strong> keybind (default is <strong>Alt + B</strong>). A dialog will pop up asking how far you want to move the events, forward or backward in time.</p>
-
-<p>Enter the amount (for example, "+2 hours" or "-1 day"), hit confirm, and watch as all your events shift to their new positions. That's it. What would have taken you 15 minutes of clicking now takes 15 seconds.</p>
-
-<h2>Tips for Faster Google Calendar Productivity</h2>
-
-<p>Once you start using GC Bulk Edit, you'll find all sorts of ways to <strong>edit events faster</strong> and keep your calendar under control. Here are a few power-user tips:</p>
-
-<ul>
-  <li><strong>Use the Action Menu:</strong> Right-click while holding your modifier key to open a context menu with all available actions. Move, delete, rename, change color, and more.</li>
-  <li><strong>Learn the keybinds:</strong> Every action has a keyboard shortcut. Once you memorize them, you'll fly through calendar management.</li>
-  <li><strong>Batch your changes:</strong> Instead of moving events one at a time as things change, wait until you have a few changes to make, then do them all at once. It's faster and less disruptive to your workflow.</li>
-  <li><strong>Use Undo:</strong> Made a mistake? Press <strong>Alt + U</strong> to undo your last action. The extension remembers what you did so you can reverse it instantly.</li>
-</ul>
-
-<h2>Why This Matters for Your Productivity</h2>
-
-<p>Time is your most valuable resource. Every minute you spend wrestling with your calendar is a minute you're not spending on actual work.</p>
-
-<p>The <strong>Google Calendar productivity</strong> gains from bulk editing are real. Users report saving 10-20 minutes per week on calendar management alone. That's almost two hours a month you get back, just from not clicking through events one by one.</p>
-
-<p>And honestly? It's not just about the time. It's about the frustration. There's something deeply satisfying about selecting 15 events and moving them all with a single action. It feels like your tools are finally working <em>with</em> you, not against you.</p>
-
-<h2>Ready to Take Control of Your Calendar?</h2>
-
-<p>If you're tired of the slow, manual process of editing Google Calendar events one at a time, give GC Bulk Edit a try. It's free to start, with 50 free actions so you can see how it fits into your workflow.</p>
-
-<p><a href="https://chromewebstore.google.com/detail/kklojeonebikceffbffplnkajeckobbk" target="_blank" rel="noopener noreferrer"><strong>Download the extension from the Chrome Web Store</strong></a> and start moving multiple events like a pro. Your future self, the one with a perfectly organized calendar, will thank you.</p>
-`,
-  },
-];
-
-export default blogPosts;
@@ -0,0 +1,153 @@
+// collections.js
+// Every Mongo collection the app uses, and the indexes they rely on.
+
+export function getCollections(db) {
+  return {
+    customersCollection: db.collection("customers"),
+    blogCollection: db.collection("blogPosts"),
+    blogRevisionsCollection: db.collection("blogPostRevisions"),
+    stripeEventsCollection: db.collection("stripeEvents"),
+    actionReservationsCollection: db.collection("actionReservations"),
+    bonusActionsCollection: db.collection("bonusActions"),
+    actionUsageCollection: db.collection("actionUsage"),
+    referralsCollection: db.collection("referrals"),
+    adminAuditLogCollection: db.collection("adminAuditLog"),
+    emailLinkRequestsCollection: db.collection("emailLinkRequests"),
+    templatesCollection: db.collection("templates"),
+    operationsCollection: db.collection("operations"),
+    scheduledJobsCollection: db.collection("scheduledJobs"),
+    organizationsCollection: db.collection("organizations"),
+    organizationInvitesCollection: db.collection("organizationInvites"),
+  };
+}
+
+// Safe to run on every start: createIndex is a no-op for existing indexes
+export async function ensureIndexes(db) {
+  const {
+    customersCollection,
+    blogCollection,
+    blogRevisionsCollection,
+    stripeEventsCollection,
+    actionReservationsCollection,
+    bonusActionsCollection,
+    actionUsageCollection,
+    referralsCollection,
+    adminAuditLogCollection,
+    emailLinkRequestsCollection,
+    templatesCollection,
+    operationsCollection,
+    scheduledJobsCollection,
+    organizationsCollection,
+    organizationInvitesCollection,
+  } = getCollections(db);
+
+  // One ledger entry per Stripe event id so retries and duplicate deliveries are detected
+  await stripeEventsCollection.createIndex({ event_id: 1 }, { unique: true });
+  await stripeEventsCollection.createIndex({ status: 1, received_at: -1 });
+
+  await actionReservationsCollection.createIndex(
+    { reservation_id: 1 },
+    { unique: true }
+  );
+  await actionReservationsCollection.createIndex({ status: 1, expires_at: 1 });
+
+  // Bonus actions are separate grants that expire, spent after the period allowance
+  await bonusActionsCollection.createIndex({
+    customer_doc_id: 1,
+    expires_at: 1,
+  });
+
+  // One entry per /consume-actions call, for support and usage history
+  await actionUsageCollection.createIndex({ customer_doc_id: 1, _id: -1 });
+
+  // One document per referred customer, so a referral is only ever credited once
+  await referralsCollection.createIndex(
+    { referred_doc_id: 1 },
+    { unique: true }
+  );
+  await referralsCollection.createIndex({ referrer_doc_id: 1 });
+  await customersCollection.createIndex(
+    { referral_code: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { referral_code: { $type: "string" } },
+    }
+  );
+
+  await adminAuditLogCollection.createIndex({ target: 1, created_at: -1 });
+
+  // Posts are addressed by slug; revisions are numbered per slug
+  await blogCollection.createIndex({ slug: 1 }, { unique: true });
+  // Listings run newest first, optionally by tag (see blog.js)
+  await blogCollection.createIndex({ date: -1, slug: -1 });
+  await blogCollection.createIndex({ tags: 1, date: -1, slug: -1 });
+  await blogCollection.createIndex(
+    { title: "text", description: "text", content: "text" },
+    {
+      name: "blog_search",
+      weights: { title: 10, description: 5, content: 1 },
+      default_language: "english",
+    }
+  );
+  await blogRevisionsCollection.createIndex(
+    { slug: 1, revision: -1 },
+    { unique: true }
+  );
+
+  await emailLinkRequestsCollection.createIndex({ token_hash: 1 });
+  await emailLinkRequestsCollection.createIndex({
+    customer_doc_id: 1,
+    new_email: 1,
+    status: 1,
+  });
+
+  await templatesCollection.createIndex({ owner_doc_id: 1, updated_at: -1 });
+  await templatesCollection.createIndex(
+    { share_token_hash: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { share_token_hash: { $type: "string" } },
+    }
+  );
+
+  // Undo history; each entry is removed when its plan's retention runs out
+  await operationsCollection.createIndex({ customer_doc_id: 1, _id: -1 });
+  await operationsCollection.createIndex(
+    { expires_at: 1 },
+    { expireAfterSeconds: 0 }
+  );
+
+  // Workers claim the job that has been due longest
+  await scheduledJobsCollection.createIndex({ status: 1, next_run_at: 1 });
+  await scheduledJobsCollection.createIndex({
+    customer_doc_id: 1,
+    created_at: -1,
+  });
+
+  // An email belongs to at most one organization
+  await organizationsCollection.createIndex(
+    { "members.email": 1 },
+    { unique: true }
+  );
+  await organizationsCollection.createIndex(
+    { customer_id: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { customer_id: { $type: "string" } },
+    }
+  );
+  await organizationInvitesCollection.createIndex({ token_hash: 1 });
+  await organizationInvitesCollection.createIndex({
+    organization_id: 1,
+    status: 1,
+  });
+  // Member customers point back at their organization's subscription
+  await customersCollection.createIndex(
+    { "organization_access.organization_id": 1 },
+    {
+      partialFilterExpression: {
+        "organization_access.organization_id": { $exists: true },
+      },
+    }
+  );
+}
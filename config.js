@@ -0,0 +1,276 @@
+// config.js
+// Everything the server reads from the environment, loaded and validated once
+// at startup. The app itself only sees the resulting object, never process.env.
+//
+// APP_ENV (development, staging or production) picks the defaults. Stripe runs
+// in test or live mode (STRIPE_MODE, live by default only in production) and
+// every Stripe setting is read for that mode together: *_PROD variables in
+// live mode, *_TEST variables in test mode. A secret key belonging to the other
+// mode is rejected, so test customers can't end up in the production database.
+// See .env.example for the full list of variables.
+import { LOG_LEVELS } from "./logger.js";
+import { buildPlanCatalog } from "./plans.js";
+import { QUOTA_PERIODS } from "./quota.js";
+
+export class ConfigError extends Error {}
+
+const APP_ENVS = ["development", "staging", "production"];
+const STRIPE_MODES = ["test", "live"];
+const STRIPE_ENV_SUFFIXES = { test: "TEST", live: "PROD" };
+const MAIL_TRANSPORTS = ["smtp", "console", "file"];
+// Three weeks; setInterval can't wait longer than about 596 hours
+const MAX_RECONCILE_INTERVAL_HOURS = 24 * 21;
+const MAX_FREE_QUOTA_ROLLING_DAYS = 366;
+const JOB_EXECUTORS = ["none", "dry-run"];
+
+// Staging has no default: it must say where it is served from
+const DEFAULT_PUBLIC_URLS = {
+  development: "http://localhost:3000",
+  production: "https://gcbulkedit.dev",
+};
+// Other addresses the site is served from, on top of PUBLIC_URL and CORS_ORIGINS
+const SITE_ALIASES = { production: ["https://www.gcbulkedit.dev"] };
+
+// Origins always allowed to call the API: the page the extension runs on,
+// plus any Chrome extension (the extension ID may change)
+const EXTENSION_ORIGINS = [
+  "https://calendar.google.com",
+  "https://www.google.com",
+  /^chrome-extension:\/\//,
+];
+
+function splitList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Typed accessors over env that collect every problem instead of stopping at
+// the first, so a bad deploy reports everything it is missing at once
+function createReader(env, problems) {
+  return {
+    string(name, fallback = null) {
+      return env[name] || fallback;
+    },
+    required(name) {
+      if (!env[name]) problems.push(`${name} is required`);
+      return env[name] || null;
+    },
+    oneOf(name, values, fallback) {
+      const value = env[name] || fallback;
+      if (!values.includes(value))
+        problems.push(`${name} must be one of: ${values.join(", ")}`);
+      return value;
+    },
+    integer(name, fallback) {
+      if (!env[name]) return fallback;
+      const value = Number(env[name]);
+      if (!Number.isInteger(value) || value < 0)
+        problems.push(`${name} must be a whole number`);
+      return value;
+    },
+    boolean(name) {
+      if (env[name] && !["true", "false"].includes(env[name]))
+        problems.push(`${name} must be "true" or "false"`);
+      return env[name] === "true";
+    },
+    url(name, fallback) {
+      const value = env[name] || fallback;
+      if (!value) {
+        problems.push(`${name} is required`);
+        return null;
+      }
+      try {
+        // Origins only: paths are appended by the routes
+        return new URL(value).origin;
+      } catch {
+        problems.push(`${name} must be a URL`);
+        return null;
+      }
+    },
+  };
+}
+
+// ADMIN_API_KEYS holds comma-separated name:key pairs so the audit log can say
+// who did what; a bare ADMIN_API_KEY is accepted as the admin named "admin".
+function parseAdminKeys(env) {
+  const keys = splitList(env.ADMIN_API_KEYS)
+    .map((pair) => pair.split(":"))
+    .filter(([name, key]) => name && key)
+    .map(([name, key]) => ({ name, key }));
+  if (env.ADMIN_API_KEY) keys.push({ name: "admin", key: env.ADMIN_API_KEY });
+  return keys;
+}
+
+// "test" or "live" for Stripe secret and restricted keys, null otherwise
+function getStripeKeyMode(key) {
+  return /^(?:sk|rk)_(test|live)_/.exec(key ?? "")?.[1] ?? null;
+}
+
+function loadStripeConfig(read, appEnv, problems) {
+  const mode = read.oneOf(
+    "STRIPE_MODE",
+    STRIPE_MODES,
+    appEnv === "production" ? "live" : "test"
+  );
+  if (appEnv === "production" && mode !== "live")
+    problems.push("STRIPE_MODE must be live when APP_ENV is production");
+
+  const suffix = STRIPE_ENV_SUFFIXES[mode] ?? STRIPE_ENV_SUFFIXES.test;
+  const secretKey = read.required(`STRIPE_SECRET_KEY_${suffix}`);
+  const keyMode = getStripeKeyMode(secretKey);
+  if (secretKey && keyMode !== mode)
+    problems.push(
+      `STRIPE_SECRET_KEY_${suffix} is not a ${mode}-mode key (got ${
+        keyMode ?? "an unrecognised key"
+      })`
+    );
+
+  return {
+    mode,
+    secretKey,
+    webhookSecret: read.required(`STRIPE_WEBHOOK_SECRET_${suffix}`),
+    apiVersion: "2025-11-17.clover",
+    // Recorded as the plan of customers who haven't bought anything yet
+    defaultPriceId: read.required(`STRIPE_PRICE_ID_${suffix}`),
+    referralCouponId: read.string(`STRIPE_REFERRAL_COUPON_ID_${suffix}`),
+  };
+}
+
+// Production has to deliver mail; the console and file transports only
+// record it, for local development
+function loadMailConfig(read, appEnv, problems) {
+  const transport = read.oneOf(
+    "MAIL_TRANSPORT",
+    MAIL_TRANSPORTS,
+    appEnv === "production" ? "smtp" : "console"
+  );
+  if (appEnv === "production" && transport !== "smtp")
+    problems.push("MAIL_TRANSPORT must be smtp when APP_ENV is production");
+
+  let smtpUrl = null;
+  if (transport === "smtp") {
+    smtpUrl = read.required("SMTP_URL");
+    if (smtpUrl && !/^smtps?:\/\//.test(smtpUrl))
+      problems.push("SMTP_URL must be an smtp:// or smtps:// URL");
+  }
+
+  return {
+    transport,
+    smtpUrl,
+    filePath: read.string("MAIL_FILE_PATH", "mail.log"),
+    from: read.string("MAIL_FROM", "GC Bulk Edit <noreply@gcbulkedit.dev>"),
+  };
+}
+
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const read = createReader(env, problems);
+
+  const appEnv = read.oneOf("APP_ENV", APP_ENVS, "development");
+  const stripe = loadStripeConfig(read, appEnv, problems);
+  const publicUrl = read.url("PUBLIC_URL", DEFAULT_PUBLIC_URLS[appEnv]);
+
+  const sessionSecret = read.required("SESSION_SECRET");
+  if (sessionSecret && sessionSecret.length < 32)
+    problems.push("SESSION_SECRET must be at least 32 characters");
+  const googleClientIds = splitList(env.GOOGLE_CLIENT_IDS);
+  if (!googleClientIds.length) problems.push("GOOGLE_CLIENT_IDS is required");
+  const mail = loadMailConfig(read, appEnv, problems);
+  const freeQuotaPeriod = read.oneOf(
+    "FREE_QUOTA_PERIOD",
+    QUOTA_PERIODS,
+    "calendar_month"
+  );
+  // Only used by rolling periods
+  const freeQuotaRollingDays = read.integer("FREE_QUOTA_ROLLING_DAYS", 30);
+  if (
+    freeQuotaPeriod === "rolling" &&
+    (freeQuotaRollingDays < 1 ||
+      freeQuotaRollingDays > MAX_FREE_QUOTA_ROLLING_DAYS)
+  )
+    problems.push(
+      `FREE_QUOTA_ROLLING_DAYS must be between 1 and ${MAX_FREE_QUOTA_ROLLING_DAYS}`
+    );
+  const reconcileIntervalHours = read.integer("RECONCILE_INTERVAL_HOURS", 0);
+  if (reconcileIntervalHours > MAX_RECONCILE_INTERVAL_HOURS)
+    problems.push(
+      `RECONCILE_INTERVAL_HOURS must be at most ${MAX_RECONCILE_INTERVAL_HOURS}`
+    );
+  const jobPollSeconds = read.integer("JOB_POLL_SECONDS", 30);
+  if (jobPollSeconds === 0)
+    problems.push("JOB_POLL_SECONDS must be at least 1");
+  const jobExecutor = read.oneOf("JOB_EXECUTOR", JOB_EXECUTORS, "none");
+  // The dry run changes nothing, so jobs would look like they ran
+  if (appEnv === "production" && jobExecutor !== "none")
+    problems.push("JOB_EXECUTOR must be none when APP_ENV is production");
+
+  const config = {
+    env: appEnv,
+    port: read.integer("PORT", 3000),
+    publicUrl,
+    mongoUri: read.required("MONGO_URI"),
+    dbName: read.string("MONGO_DB_NAME", "gc-bulk-edit-db"),
+    stripe,
+    plans: buildPlanCatalog(env, STRIPE_ENV_SUFFIXES[stripe.mode]),
+    freeQuota: {
+      period: freeQuotaPeriod,
+      rollingDays: freeQuotaRollingDays,
+    },
+    auth: {
+      googleClientIds,
+      sessionSecret,
+      // Lets extension versions that predate token auth keep sending a bare
+      // email while they roll out. Leave unset in production once they're gone.
+      allowUnauthenticatedEmail: read.boolean("ALLOW_UNAUTHENTICATED_EMAIL"),
+    },
+    corsOrigins: [
+      ...EXTENSION_ORIGINS,
+      ...(publicUrl ? [publicUrl] : []),
+      ...(SITE_ALIASES[appEnv] ?? []),
+      ...splitList(env.CORS_ORIGINS),
+    ],
+    csp: {
+      defaultSrc: ["'self'"],
+      scriptSrc: [
+        "'self'",
+        "'unsafe-inline'",
+        "https://connect.facebook.net",
+        "https://chimpstatic.com",
+      ],
+      styleSrc: [
+        "'self'",
+        "'unsafe-inline'",
+        "https://cdn-images.mailchimp.com",
+      ],
+      formAction: ["'self'", "https://dev.us16.list-manage.com"],
+      imgSrc: ["'self'", "https://www.facebook.com", "data:"],
+      connectSrc: [
+        "'self'",
+        "https://www.facebook.com",
+        ...splitList(env.CSP_CONNECT_SRC),
+      ],
+      frameSrc: ["'self'", "https://www.facebook.com"],
+    },
+    adminKeys: parseAdminKeys(env),
+    mail,
+    reconcile: {
+      intervalHours: reconcileIntervalHours,
+      apply: read.boolean("RECONCILE_APPLY"),
+    },
+    // Scheduled jobs stay off until an executor is configured
+    jobs: {
+      executor: jobExecutor,
+      pollSeconds: jobPollSeconds,
+    },
+    log: { level: read.oneOf("LOG_LEVEL", LOG_LEVELS, "info") },
+    metrics: { token: read.string("METRICS_TOKEN") },
+  };
+
+  if (problems.length)
+    throw new ConfigError(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+  return config;
+}
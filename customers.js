@@ -0,0 +1,73 @@
+// customers.js
+// Customer document lookups shared by the route modules.
+import {
+  DEFAULT_PLAN_KEY,
+  FREE_ENTITLEMENTS,
+  PRO_ENTITLEMENTS,
+  findPlan,
+  findPlanByPriceId,
+} from "./plans.js";
+
+// Email validation helper
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// The address the customer document was created for, usually the one that
+// bought the plan. Linked emails share the plan but only the owner manages
+// them. Documents from before owner_email was stored list the owner first.
+export function getOwnerEmail(customer) {
+  return customer.owner_email ?? customer.emails[0];
+}
+
+// An organization seat belongs to the member's address, not to every email
+// linked to the same customer document. Snapshots from before the address
+// was recorded belong to the owner email.
+function hasOrganizationAccess(customer, email) {
+  const access = customer?.organization_access;
+  return Boolean(
+    access?.subscription_status &&
+      (access.email ?? getOwnerEmail(customer)) === email
+  );
+}
+
+// Paying customers, and members of an organization whose subscription is
+// active (see organizations.js), have access to paid features. `email` is
+// the address asking, which organization access depends on.
+export function isSubscribed(customer, email) {
+  return Boolean(
+    customer?.subscription_status || hasOrganizationAccess(customer, email)
+  );
+}
+
+// Price id of the plan that gives the customer access, their own first
+export function getAccessPriceId(customer, email) {
+  if (customer.subscription_status) return customer.plan;
+  if (hasOrganizationAccess(customer, email))
+    return customer.organization_access.plan;
+  return null;
+}
+
+export function createCustomerService({ collections, config }) {
+  const { customersCollection } = collections;
+  const { plans } = config;
+
+  async function findCustomerByEmail(normalizedEmail) {
+    return await customersCollection.findOne({
+      emails: { $in: [normalizedEmail] },
+    });
+  }
+
+  // What the customer's plan allows `email`; customers without access get
+  // the free tier
+  function getCustomerEntitlements(customer, email) {
+    if (!isSubscribed(customer, email)) return FREE_ENTITLEMENTS;
+    const plan =
+      findPlanByPriceId(plans, getAccessPriceId(customer, email)) ??
+      findPlan(plans, DEFAULT_PLAN_KEY);
+    // Paying customers on a price missing from the catalog keep full access
+    return plan?.entitlements ?? PRO_ENTITLEMENTS;
+  }
+
+  return { findCustomerByEmail, getCustomerEntitlements };
+}
@@ -0,0 +1,42 @@
+// jobExecutors.js
+// Executors run the calendar changes of scheduled jobs (see scheduledJobs.js).
+// An executor is any object with
+//
+//   execute({ job, recipe, maxActions }) -> { action_count }
+//
+// that applies `recipe` (the format in templates.js) to the job owner's
+// calendar, changing at most maxActions events, and reports how many it
+// changed. Throwing a JobError with retryable: false fails the run without
+// retrying; any other error is retried with backoff.
+//
+// The server has no access to customers' calendars yet, so the only executor
+// is the dry run, and config.js keeps scheduled jobs off in production.
+
+export class JobError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+// Logs what would run and changes nothing, for local development
+export function createDryRunExecutor(logger) {
+  return {
+    async execute({ job, recipe, maxActions }) {
+      logger.info("Scheduled job dry run", {
+        job_id: job._id,
+        max_actions: maxActions,
+        recipe,
+      });
+      return { action_count: 0 };
+    },
+  };
+}
+
+// Build the executor named by config.jobs.executor, or null for "none", which
+// leaves scheduled jobs turned off
+export function createJobExecutorFromConfig({ executor }, logger) {
+  if (executor === "none") return null;
+  if (executor === "dry-run") return createDryRunExecutor(logger);
+  throw new Error(`Unknown job executor: ${executor}`);
+}
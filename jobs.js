@@ -0,0 +1,81 @@
+// jobs.js
+// Background timers started by the server entry point. Returns a function
+// that stops them again.
+import { reconcileCustomers, summarizeReport } from "./reconcile.js";
+import { createWorkerId } from "./scheduledJobs.js";
+
+export function startBackgroundJobs({
+  stripe,
+  collections,
+  config,
+  metering,
+  scheduledJobs,
+  logger,
+}) {
+  const timers = [];
+
+  // Return expired reservations even for customers who never come back
+  timers.push(
+    setInterval(() => {
+      metering
+        .releaseExpiredReservations()
+        .catch((err) =>
+          logger.error("Release expired reservations failed", { err })
+        );
+    }, 60 * 1000)
+  );
+
+  // Optional scheduled Stripe reconciliation (see reconcileSubscriptions.js).
+  // RECONCILE_INTERVAL_HOURS enables it; fixes are only written when
+  // RECONCILE_APPLY=true, otherwise each run just logs its dry-run report.
+  const { intervalHours, apply } = config.reconcile;
+  if (intervalHours > 0) {
+    let reconcileRunning = false;
+    timers.push(
+      setInterval(async () => {
+        if (reconcileRunning) return;
+        reconcileRunning = true;
+        try {
+          const report = await reconcileCustomers({
+            stripe,
+            customersCollection: collections.customersCollection,
+            organizationsCollection: collections.organizationsCollection,
+            apply,
+            // Per-email and full Stripe customer scans are left to the manual
+            // command
+            checkDuplicates: false,
+            findOrphans: false,
+          });
+          logger.info("Scheduled reconciliation", {
+            summary: summarizeReport(report),
+          });
+        } catch (err) {
+          logger.error("Scheduled reconciliation failed", { err });
+        } finally {
+          reconcileRunning = false;
+        }
+      }, intervalHours * 60 * 60 * 1000)
+    );
+  }
+
+  // Scheduled bulk edits (see scheduledJobs.js), when an executor is configured
+  if (scheduledJobs.enabled) {
+    const workerId = createWorkerId();
+    let workerRunning = false;
+    timers.push(
+      setInterval(async () => {
+        if (workerRunning) return;
+        workerRunning = true;
+        try {
+          await scheduledJobs.runDueJobs(workerId);
+        } catch (err) {
+          logger.error("Scheduled jobs worker failed", { err });
+        } finally {
+          workerRunning = false;
+        }
+      }, config.jobs.pollSeconds * 1000)
+    );
+  }
+
+  return () => timers.forEach(clearInterval);
+}
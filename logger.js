@@ -0,0 +1,150 @@
+// logger.js
+// Structured logging. Every line is one JSON object:
+//
+//   {"time":"...","level":"info","msg":"Create checkout request","request_id":"...","email":"j***@example.com"}
+//
+// written to stdout, or stderr for warnings and errors. Lines logged while a
+// request is handled carry its request_id, wherever in the app they come
+// from (see createRequestLogger). Email addresses are masked anywhere they
+// appear, and fields named like credentials are replaced outright, so
+// customer data and secrets stay out of the logs.
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const SENSITIVE_KEYS =
+  /^(authorization|cookie|password|secret|token|api_key|id_token|session_token|.*_secret)$/i;
+const EMAIL_PATTERN =
+  /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+// Request ids passed in by a proxy are reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+const MAX_DEPTH = 5;
+
+// Fields added to every line logged while a request is handled
+const logContext = new AsyncLocalStorage();
+
+// Keep the first character and the domain: enough to tell addresses apart
+export function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, "$1***@$2");
+}
+
+function serializeError(err) {
+  return {
+    type: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    stack: err.stack,
+  };
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === "string") return maskEmails(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== "object") return value;
+  // Mongo ObjectIds
+  if (typeof value.toHexString === "function") return value.toHexString();
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value))
+    redacted[key] = SENSITIVE_KEYS.test(key)
+      ? "[redacted]"
+      : redact(item, depth + 1);
+  return redacted;
+}
+
+function writeLine(level, line) {
+  const stream =
+    level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// `write(level, line)` defaults to stdout/stderr; pass another to capture
+// lines elsewhere. child() returns a logger adding `fields` to every line.
+export function createLogger({
+  level = "info",
+  write = writeLine,
+  fields = {},
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...fields,
+      ...logContext.getStore(),
+      ...extra,
+    });
+    write(lineLevel, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (more) =>
+      createLogger({ level, write, fields: { ...fields, ...more } }),
+  };
+}
+
+// The route a request matched, like "/api/blog/:slug", so metrics and logs
+// group requests without one entry per URL
+export function getRouteLabel(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "other";
+}
+
+// Path segments that may be a secret or an address, like the token in
+// /templates/shared/:token or the email in /organization/members/:email
+const SECRET_SEGMENT_PATTERN = /^[\w-]{16,}$|@|%40/;
+
+// A request's path for the logs: the route it matched, or for requests that
+// matched none, the path with anything that could be a secret taken out
+function getLoggedPath(req) {
+  if (req.route) return getRouteLabel(req);
+  return req.path
+    .split("/")
+    .map((segment) =>
+      SECRET_SEGMENT_PATTERN.test(segment) ? ":redacted" : segment
+    )
+    .join("/");
+}
+
+// Middleware giving each request an id (sent back as X-Request-Id), running
+// the rest of the request with it in the log context, and logging one line
+// when the response is sent. onFinish(req, res, seconds) is called then too.
+// Requests for `quietPaths` are logged at debug level.
+export function createRequestLogger({ logger, onFinish, quietPaths = [] }) {
+  return function requestLogger(req, res, next) {
+    const incoming = req.get("X-Request-Id");
+    const requestId = REQUEST_ID_PATTERN.test(incoming ?? "")
+      ? incoming
+      : crypto.randomUUID();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      onFinish?.(req, res, seconds);
+      const level = quietPaths.includes(req.path) ? "debug" : "info";
+      logContext.run({ request_id: requestId }, () =>
+        logger[level]("Request finished", {
+          method: req.method,
+          path: getLoggedPath(req),
+          route: getRouteLabel(req),
+          status: res.statusCode,
+          duration_ms: Math.round(seconds * 1000),
+        })
+      );
+    });
+
+    logContext.run({ request_id: requestId }, next);
+  };
+}
@@ -0,0 +1,125 @@
+// markdown.js
+// Blog posts are written in Markdown and stored as HTML, rendered once when a
+// post is saved. public/blog injects that HTML into the page, so everything
+// stored goes through an allow-list sanitizer first: Markdown can contain raw
+// HTML, and posts sent as HTML go through the same list.
+//
+// Post files (see migrateBlogPosts.js) start with front matter:
+//
+//   ---
+//   slug: how-to-move-events
+//   title: How To Move Events
+//   date: 2025-12-31
+//   description: One line shown in the post list
+//   ---
+//
+// tags is a comma-separated list, and status and publish_at may also be set,
+// as in the admin API (see blog.js).
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+
+const FRONT_MATTER_KEYS = [
+  "slug",
+  "title",
+  "date",
+  "description",
+  "status",
+  "publish_at",
+  "tags",
+];
+
+const marked = new Marked({ gfm: true });
+
+// The post page already has the title as its h1, so headings start at h2
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h2",
+    "h3",
+    "h4",
+    "p",
+    "br",
+    "hr",
+    "strong",
+    "em",
+    "del",
+    "code",
+    "pre",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    h1: "h2",
+    // Links off the site open in a new tab without access to this one
+    a(tagName, attribs) {
+      if (!/^https?:\/\//i.test(attribs.href ?? ""))
+        return { tagName, attribs };
+      return {
+        tagName,
+        attribs: { ...attribs, target: "_blank", rel: "noopener noreferrer" },
+      };
+    },
+  },
+};
+
+export function sanitizePostHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+}
+
+export function renderMarkdown(markdown) {
+  return sanitizePostHtml(marked.parse(markdown));
+}
+
+// Split a post file into its front matter and Markdown body. Values are
+// single-line strings; surrounding quotes are dropped. Returns the fields for
+// validateBlogPost in blog.js and a list of problems.
+export function parseMarkdownPost(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!match) return { post: null, errors: ["front matter is missing"] };
+
+  const errors = [];
+  const post = {};
+  for (const [i, line] of match[1].split(/\r?\n/).entries()) {
+    if (!line.trim() || line.trimStart().startsWith("#")) continue;
+    const separator = line.indexOf(":");
+    const key = line.slice(0, separator).trim();
+    if (separator === -1 || !FRONT_MATTER_KEYS.includes(key)) {
+      errors.push(
+        `front matter line ${
+          i + 1
+        } must be "key: value" with a key of: ${FRONT_MATTER_KEYS.join(", ")}`
+      );
+      continue;
+    }
+    const value = line.slice(separator + 1).trim();
+    post[key] = /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+    if (key === "tags")
+      post.tags = post.tags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean);
+  }
+
+  post.markdown = text.slice(match[0].length).trim();
+  return { post, errors };
+}
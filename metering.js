@@ -0,0 +1,401 @@
+// metering.js
+// Free action accounting. Free actions are reserved (deducted) by /check-action
+// and committed by /consume-actions. Reservations that are never committed
+// expire and their actions are returned to the customer's balance.
+//
+// A customer's spendable balance is the current period's allowance
+// (free_actions_remaining) plus any unexpired bonus grants. Actions are taken
+// from the allowance first, then from bonuses that expire soonest.
+import crypto from "crypto";
+import { isSubscribed } from "./customers.js";
+
+// Free actions granted per quota period (see quota.js for how periods reset)
+export const FREE_ACTIONS_LIMIT = 50;
+export const BONUS_ACTION_REASONS = ["promo", "referral", "support"];
+export const ACTION_TYPES = [
+  "move",
+  "delete",
+  "recolor",
+  "duplicate",
+  "undo",
+  "other",
+];
+const MAX_ACTIONS_PER_REQUEST = 1000;
+// How long /check-action holds reserved actions before returning them
+const ACTION_RESERVATION_TTL_MS = 10 * 60 * 1000;
+
+export function parseActionCount(value) {
+  if (value === undefined) return 1;
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ACTIONS_PER_REQUEST)
+    return null;
+  return value;
+}
+
+export function createMeteringService({
+  collections,
+  freeQuotaPolicy,
+  metrics,
+}) {
+  const {
+    customersCollection,
+    bonusActionsCollection,
+    actionReservationsCollection,
+    actionUsageCollection,
+  } = collections;
+
+  // Start a new free period if the current one has ended (or never started) and
+  // return the up-to-date customer. Paid customers keep their balance: plans
+  // with a per-period quota refill it when the customer moves onto the plan
+  // and with each paid invoice (see billing.js).
+  async function refreshFreeQuota(customer) {
+    const now = new Date();
+    if (customer.subscription_status) {
+      if (customer.free_actions_remaining !== undefined) return customer;
+      // Give customers created before metering existed their starting balance
+      return (
+        (await customersCollection.findOneAndUpdate(
+          { _id: customer._id, free_actions_remaining: { $exists: false } },
+          { $set: { free_actions_remaining: FREE_ACTIONS_LIMIT } },
+          { returnDocument: "after" }
+        )) ?? (await customersCollection.findOne({ _id: customer._id }))
+      );
+    }
+
+    if (customer.next_reset_at && customer.next_reset_at > now) return customer;
+
+    // Conditional on the period still being due so concurrent requests reset once
+    const updated = await customersCollection.findOneAndUpdate(
+      {
+        _id: customer._id,
+        $or: [
+          { next_reset_at: { $exists: false } },
+          { next_reset_at: null },
+          { next_reset_at: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          free_actions_remaining: freeQuotaPolicy.allowance,
+          free_period_started_at: now,
+          next_reset_at: freeQuotaPolicy.nextResetAt(now),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    return (
+      updated ?? (await customersCollection.findOne({ _id: customer._id }))
+    );
+  }
+
+  async function getActiveBonusActions(customerDocId) {
+    return await bonusActionsCollection
+      .find({
+        customer_doc_id: customerDocId,
+        remaining: { $gt: 0 },
+        expires_at: { $gt: new Date() },
+      })
+      .sort({ expires_at: 1 })
+      .toArray();
+  }
+
+  // Balance fields shared by every route that reports free actions
+  async function getActionBalance(customer) {
+    if (!customer)
+      return {
+        free_actions_remaining: FREE_ACTIONS_LIMIT,
+        bonus_actions_remaining: 0,
+        next_reset_at: null,
+      };
+
+    const bonuses = await getActiveBonusActions(customer._id);
+    const bonusRemaining = bonuses.reduce((sum, b) => sum + b.remaining, 0);
+    return {
+      free_actions_remaining:
+        (customer.free_actions_remaining ?? FREE_ACTIONS_LIMIT) +
+        bonusRemaining,
+      bonus_actions_remaining: bonusRemaining,
+      next_reset_at: customer.subscription_status
+        ? null
+        : customer.next_reset_at ?? null,
+    };
+  }
+
+  async function grantBonusActions(
+    customer,
+    { amount, reason, expiresAt, note = null, grantedBy = null }
+  ) {
+    const grant = {
+      customer_doc_id: customer._id,
+      customer_id: customer.customer_id ?? null,
+      amount,
+      remaining: amount,
+      reason,
+      note,
+      granted_by: grantedBy,
+      granted_at: new Date(),
+      expires_at: expiresAt,
+    };
+    await bonusActionsCollection.insertOne(grant);
+    return grant;
+  }
+
+  // Take `count` actions from the allowance, then from bonuses. Returns where
+  // they came from, or null (having taken nothing) if the balance is too low.
+  // With `partial`, takes as many as are available instead of failing.
+  async function takeActions(customer, count, { partial = false } = {}) {
+    const sources = [];
+    let needed = count;
+
+    // Retry if the allowance changes between the read and the conditional update
+    for (let attempt = 0; attempt < 3 && needed > 0; attempt++) {
+      const current = await customersCollection.findOne(
+        { _id: customer._id },
+        { projection: { free_actions_remaining: 1 } }
+      );
+      const available = Math.max(0, current?.free_actions_remaining ?? 0);
+      const take = Math.min(needed, available);
+      if (take === 0) break;
+
+      const result = await customersCollection.updateOne(
+        { _id: customer._id, free_actions_remaining: { $gte: take } },
+        { $inc: { free_actions_remaining: -take } }
+      );
+      if (result.modifiedCount > 0) {
+        sources.push({ bonus_id: null, count: take });
+        needed -= take;
+      }
+    }
+
+    if (needed > 0) {
+      for (const bonus of await getActiveBonusActions(customer._id)) {
+        const take = Math.min(needed, bonus.remaining);
+        const result = await bonusActionsCollection.updateOne(
+          { _id: bonus._id, remaining: { $gte: take } },
+          { $inc: { remaining: -take } }
+        );
+        if (result.modifiedCount === 0) continue; // spent concurrently
+        sources.push({ bonus_id: bonus._id, count: take });
+        needed -= take;
+        if (needed === 0) break;
+      }
+    }
+
+    if (needed > 0 && !partial) {
+      await returnActions(customer._id, sources, count - needed, new Date());
+      return null;
+    }
+    return { taken: count - needed, sources };
+  }
+
+  // Give back `count` actions taken at `takenAt`, most recently taken source
+  // first. Allowance taken in an earlier free period isn't returned, since the
+  // reset already replaced it.
+  async function returnActions(customerDocId, sources, count, takenAt) {
+    let remaining = count;
+    for (const source of [...sources].reverse()) {
+      if (remaining === 0) break;
+      const amount = Math.min(remaining, source.count);
+      remaining -= amount;
+
+      if (source.bonus_id) {
+        await bonusActionsCollection.updateOne(
+          { _id: source.bonus_id },
+          { $inc: { remaining: amount } }
+        );
+      } else {
+        await customersCollection.updateOne(
+          {
+            _id: customerDocId,
+            $or: [
+              { free_period_started_at: { $exists: false } },
+              { free_period_started_at: { $lte: takenAt } },
+            ],
+          },
+          { $inc: { free_actions_remaining: amount } }
+        );
+      }
+    }
+  }
+
+  // Atomically take actionCount actions and record a reservation held for
+  // ttlMs. Returns null when the balance is insufficient.
+  async function reserveFreeActions(
+    customer,
+    actionCount,
+    { ttlMs = ACTION_RESERVATION_TTL_MS } = {}
+  ) {
+    const taken = await takeActions(customer, actionCount);
+    if (!taken) return null;
+
+    const now = new Date();
+    const reservation = {
+      reservation_id: crypto.randomUUID(),
+      customer_doc_id: customer._id,
+      customer_id: customer.customer_id,
+      action_count: actionCount,
+      sources: taken.sources,
+      status: "reserved",
+      created_at: now,
+      expires_at: new Date(now.getTime() + ttlMs),
+    };
+
+    try {
+      await actionReservationsCollection.insertOne(reservation);
+    } catch (err) {
+      // Don't leave the balance deducted without a reservation to release it
+      await returnActions(customer._id, taken.sources, actionCount, now);
+      throw err;
+    }
+
+    return { reservation };
+  }
+
+  // Mark a reservation as spent. If fewer actions were used than reserved the
+  // difference goes back to the balance. Returns null if the reservation is
+  // unknown, already committed or expired.
+  async function commitReservation(customer, reservationId, usedCount) {
+    const now = new Date();
+    const reservation = await actionReservationsCollection.findOneAndUpdate(
+      {
+        reservation_id: reservationId,
+        customer_doc_id: customer._id,
+        status: "reserved",
+        expires_at: { $gt: now },
+      },
+      { $set: { status: "committed", committed_at: now } }
+    );
+    if (!reservation) return null;
+
+    const used = Math.min(
+      usedCount ?? reservation.action_count,
+      reservation.action_count
+    );
+    const unused = reservation.action_count - used;
+    if (unused > 0) {
+      await actionReservationsCollection.updateOne(
+        { reservation_id: reservationId },
+        { $set: { consumed_count: used } }
+      );
+      await returnActions(
+        customer._id,
+        getReservationSources(reservation),
+        unused,
+        reservation.created_at
+      );
+    }
+
+    return { ...reservation, consumed_count: used };
+  }
+
+  // The customer's oldest reservation that is still open, or null
+  async function findOpenReservation(customer) {
+    const [reservation] = await actionReservationsCollection
+      .find({
+        customer_doc_id: customer._id,
+        status: "reserved",
+        expires_at: { $gt: new Date() },
+      })
+      .sort({ created_at: 1 })
+      .limit(1)
+      .toArray();
+    return reservation ?? null;
+  }
+
+  // Attach a committed reservation to the operation it paid for (see
+  // routes/operations.js), so each paid run backs one recorded operation of at
+  // most the actions it was charged. Null if the reservation is unknown, not
+  // committed, already used or too small.
+  async function claimReservationForOperation(
+    customer,
+    reservationId,
+    actionCount
+  ) {
+    const reservation = await actionReservationsCollection.findOne({
+      reservation_id: reservationId,
+      customer_doc_id: customer._id,
+      status: "committed",
+      operation_recorded_at: null,
+    });
+    if (
+      !reservation ||
+      (reservation.consumed_count ?? reservation.action_count) < actionCount
+    )
+      return null;
+    return await actionReservationsCollection.findOneAndUpdate(
+      { reservation_id: reservationId, operation_recorded_at: null },
+      { $set: { operation_recorded_at: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // Reservations made before bonus actions existed only drew on the allowance
+  function getReservationSources(reservation) {
+    return (
+      reservation.sources ?? [
+        { bonus_id: null, count: reservation.action_count },
+      ]
+    );
+  }
+
+  // Return the actions held by expired reservations to their customers.
+  // Each reservation is flipped to "expired" atomically before refunding so
+  // concurrent sweeps never refund twice.
+  async function releaseExpiredReservations(filter = {}) {
+    const now = new Date();
+    const expired = await actionReservationsCollection
+      .find({ ...filter, status: "reserved", expires_at: { $lte: now } })
+      .toArray();
+
+    for (const { reservation_id } of expired) {
+      const reservation = await actionReservationsCollection.findOneAndUpdate(
+        { reservation_id, status: "reserved" },
+        { $set: { status: "expired", released_at: now } }
+      );
+      if (!reservation) continue;
+
+      await returnActions(
+        reservation.customer_doc_id,
+        getReservationSources(reservation),
+        reservation.action_count,
+        reservation.created_at
+      );
+    }
+  }
+
+  // ------------------------ USAGE LEDGER --------------------------------------
+
+  // count is what the client reported, charged is what came off the balance
+  async function recordUsage(
+    customer,
+    { email, count, charged, actionType, clientVersion, reservationId = null }
+  ) {
+    await actionUsageCollection.insertOne({
+      customer_doc_id: customer._id,
+      customer_id: customer.customer_id ?? null,
+      email,
+      count,
+      charged,
+      action_type: actionType,
+      client_version: clientVersion,
+      subscribed: isSubscribed(customer, email),
+      reservation_id: reservationId,
+      created_at: new Date(),
+    });
+    metrics.actionsConsumed.inc({ action_type: actionType }, count);
+  }
+
+  return {
+    refreshFreeQuota,
+    getActiveBonusActions,
+    getActionBalance,
+    grantBonusActions,
+    takeActions,
+    returnActions,
+    reserveFreeActions,
+    commitReservation,
+    findOpenReservation,
+    claimReservationForOperation,
+    releaseExpiredReservations,
+    recordUsage,
+  };
+}
@@ -0,0 +1,151 @@
+// metrics.js
+// Counters and histograms kept in memory and served in the Prometheus text
+// format at /metrics (see routes/health.js). Each process keeps its own
+// numbers from when it started; Prometheus works out rates across restarts.
+//
+//   http_request_duration_seconds   latency by method, route and status
+//   checkout_sessions_created_total Stripe Checkout sessions by plan and account
+//   stripe_webhook_events_total     webhook deliveries by event type and outcome
+//   actions_consumed_total          metered actions by action type
+//   mongo_errors_total              failed Mongo commands by command name
+
+const LATENCY_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labelNames, labels, extra = "") {
+  const pairs = labelNames.map(
+    (name) => `${name}="${escapeLabelValue(labels[name] ?? "")}"`
+  );
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+// Series are stored by their label values joined in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) ?? { labels, value: 0 };
+      current.value += amount;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values())
+        lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+      return lines.join("\n");
+    },
+  };
+}
+
+function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) ?? {
+        labels,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) =>
+          lines.push(
+            `${name}_bucket${formatLabels(
+              labelNames,
+              labels,
+              `le="${bound}"`
+            )} ${counts[i]}`
+          )
+        );
+        lines.push(
+          `${name}_bucket${formatLabels(
+            labelNames,
+            labels,
+            'le="+Inf"'
+          )} ${count}`,
+          `${name}_sum${formatLabels(labelNames, labels)} ${sum}`,
+          `${name}_count${formatLabels(labelNames, labels)} ${count}`
+        );
+      }
+      return lines.join("\n");
+    },
+  };
+}
+
+export function createMetrics() {
+  const instruments = {
+    httpRequestDuration: createHistogram({
+      name: "http_request_duration_seconds",
+      help: "Time to respond to HTTP requests",
+      labelNames: ["method", "route", "status"],
+      buckets: LATENCY_BUCKETS,
+    }),
+    checkoutSessions: createCounter({
+      name: "checkout_sessions_created_total",
+      help: "Stripe Checkout sessions created",
+      labelNames: ["plan", "account"],
+    }),
+    webhookEvents: createCounter({
+      name: "stripe_webhook_events_total",
+      help: "Stripe webhook deliveries received",
+      labelNames: ["type", "outcome"],
+    }),
+    actionsConsumed: createCounter({
+      name: "actions_consumed_total",
+      help: "Metered actions consumed",
+      labelNames: ["action_type"],
+    }),
+    mongoErrors: createCounter({
+      name: "mongo_errors_total",
+      help: "Mongo commands that failed",
+      labelNames: ["command"],
+    }),
+  };
+
+  function render() {
+    const memory = process.memoryUsage();
+    return [
+      ...Object.values(instruments).map((instrument) => instrument.render()),
+      "# HELP process_uptime_seconds Seconds since the process started",
+      "# TYPE process_uptime_seconds gauge",
+      `process_uptime_seconds ${process.uptime()}`,
+      "# HELP process_resident_memory_bytes Resident memory size",
+      "# TYPE process_resident_memory_bytes gauge",
+      `process_resident_memory_bytes ${memory.rss}`,
+      "",
+    ].join("\n");
+  }
+
+  return { ...instruments, render };
+}
+
+// Count failed commands on a client created with monitorCommands: true
+export function observeMongoCommands(client, metrics) {
+  client.on("commandFailed", (event) =>
+    metrics.mongoErrors.inc({ command: event.commandName })
+  );
+}
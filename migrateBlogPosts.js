@@ -1,35 +1,84 @@
 // migrateBlogPosts.js
-// Script to migrate blogPosts.js posts into MongoDB
+// Script to migrate a directory of Markdown posts into MongoDB:
+//
+//   node migrateBlogPosts.js [directory]   (posts/ by default)
+//
+// Each .md file is one post with front matter (see markdown.js). Posts are
+// published unless their front matter says otherwise. Every file is checked
+// before anything is written, so one bad post doesn't leave a half-done run.
 import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
 import { MongoClient } from "mongodb";
-import blogPosts from "./blogPosts.js";
+import { validateBlogPost } from "./blog.js";
+import { getCollections } from "./collections.js";
+import { loadConfig } from "./config.js";
+import { parseMarkdownPost } from "./markdown.js";
 
 dotenv.config();
 
+async function readPosts(directory) {
+  const files = (await fs.readdir(directory))
+    .filter((file) => file.endsWith(".md"))
+    .sort();
+  const posts = [];
+  const problems = [];
+
+  for (const file of files) {
+    const text = await fs.readFile(path.join(directory, file), "utf8");
+    const parsed = parseMarkdownPost(text);
+    const { post, errors } = parsed.post
+      ? validateBlogPost({ status: "published", ...parsed.post })
+      : parsed;
+    const fileErrors = [...parsed.errors, ...errors];
+    if (fileErrors.length)
+      problems.push(...fileErrors.map((error) => `${file}: ${error}`));
+    else posts.push({ slug: parsed.post.slug, ...post });
+  }
+
+  const slugs = posts.map((post) => post.slug);
+  for (const slug of new Set(slugs))
+    if (slugs.indexOf(slug) !== slugs.lastIndexOf(slug))
+      problems.push(`more than one file has slug ${slug}`);
+
+  return { posts, problems };
+}
+
 async function main() {
-  const client = new MongoClient(process.env.MONGO_URI);
+  const config = loadConfig();
+  const directory = process.argv[2] ?? "posts";
+  const { posts, problems } = await readPosts(directory);
+  if (problems.length) {
+    console.error(
+      `Invalid posts:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+    process.exit(1);
+  }
+
+  const client = new MongoClient(config.mongoUri);
   await client.connect();
-  const db = client.db("gc-bulk-edit-db");
-  const blogCollection = db.collection("blogPosts");
+  const { blogCollection } = getCollections(client.db(config.dbName));
 
   // Insert or update posts (by slug)
-  for (const post of blogPosts) {
+  for (const post of posts) {
+    const now = new Date();
     const exists = await blogCollection.findOne({ slug: post.slug });
     if (!exists) {
-      await blogCollection.insertOne(post);
+      await blogCollection.insertOne({
+        ...post,
+        created_at: now,
+        updated_at: now,
+      });
       console.log(`Inserted: ${post.title}`);
+    } else if (exists.revision) {
+      // Edited through the blog admin API since; don't overwrite that
+      console.log(`Skipped (edited in admin): ${post.title}`);
     } else {
       // Update existing post
+      const { slug, ...fields } = post;
       await blogCollection.updateOne(
-        { slug: post.slug },
-        {
-          $set: {
-            title: post.title,
-            date: post.date,
-            description: post.description,
-            content: post.content,
-          },
-        }
+        { slug },
+        { $set: { ...fields, updated_at: now } }
       );
       console.log(`Updated: ${post.title}`);
     }
@@ -0,0 +1,218 @@
+// operations.js
+// History of bulk operations the extension has run, so they can be undone
+// after a reload. Each operation lists the events it touched with a snapshot
+// of each event before and after:
+//
+//   { event_id, calendar_id, before: { start, end, color } | null, after }
+//
+// start and end are RFC 3339 date-times, or dates for all-day events. color is
+// the event's color id, null for the calendar default. before is null for
+// events the operation created and after is null for events it deleted.
+//
+// Undoing an operation runs its inverse, which swaps before and after: a
+// move moves back, a delete is undone by restoring the event from the trash,
+// and duplicated events are deleted again.
+import { ObjectId } from "mongodb";
+
+export const OPERATION_TYPES = [
+  "move",
+  "recolor",
+  "duplicate",
+  "delete",
+  "restore",
+];
+const INVERSE_OPERATION = {
+  move: "move",
+  recolor: "recolor",
+  duplicate: "delete",
+  delete: "restore",
+  restore: "delete",
+};
+const MAX_EVENTS_PER_OPERATION = 1000;
+const DATE_OR_DATE_TIME =
+  /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+function isShortString(value, max) {
+  return typeof value === "string" && value.length > 0 && value.length <= max;
+}
+
+function validateSnapshot(snapshot, errors, field) {
+  if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  const { start, end, color = null } = snapshot;
+  if (!DATE_OR_DATE_TIME.test(start) || !DATE_OR_DATE_TIME.test(end))
+    errors.push(`${field}.start and ${field}.end must be dates or date-times`);
+  if (color !== null && !isShortString(color, 20))
+    errors.push(`${field}.color must be a color id or null`);
+  return { start, end, color };
+}
+
+// Events created by the operation have no before, deleted ones no after
+function validateEvent(event, opType, errors, field) {
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  const { event_id, calendar_id = null } = event;
+  if (!isShortString(event_id, 200))
+    errors.push(`${field}.event_id is required`);
+  if (calendar_id !== null && !isShortString(calendar_id, 200))
+    errors.push(`${field}.calendar_id must be a string or null`);
+
+  const creates = opType === "duplicate" || opType === "restore";
+  const deletes = opType === "delete";
+  const validated = { event_id, calendar_id, before: null, after: null };
+  for (const [side, expected] of [
+    ["before", !creates],
+    ["after", !deletes],
+  ]) {
+    const value = event[side] ?? null;
+    if (!expected) {
+      if (value !== null)
+        errors.push(`${field}.${side} must be null for ${opType}`);
+      continue;
+    }
+    validated[side] = validateSnapshot(value, errors, `${field}.${side}`);
+  }
+  return validated;
+}
+
+// Returns { events, errors }
+export function validateOperationEvents(opType, events) {
+  if (
+    !Array.isArray(events) ||
+    !events.length ||
+    events.length > MAX_EVENTS_PER_OPERATION
+  )
+    return {
+      events: null,
+      errors: [`events must list 1-${MAX_EVENTS_PER_OPERATION} events`],
+    };
+
+  const errors = [];
+  const validated = events.map((event, i) =>
+    validateEvent(event, opType, errors, `events[${i}]`)
+  );
+  // Keep the response readable when every event has the same problem
+  return { events: validated, errors: errors.slice(0, 20) };
+}
+
+// The operation that reverses `operation`
+export function buildUndoPayload(operation) {
+  return {
+    undo_of: operation._id,
+    op_type: INVERSE_OPERATION[operation.op_type],
+    events: operation.events.map(
+      ({ event_id, calendar_id, before, after }) => ({
+        event_id,
+        calendar_id,
+        before: after,
+        after: before,
+      })
+    ),
+  };
+}
+
+export function operationSummary(operation) {
+  return {
+    id: operation._id,
+    op_type: operation.op_type,
+    event_count: operation.events.length,
+    undo_of: operation.undo_of,
+    undone_at: operation.undone_at,
+    client_version: operation.client_version,
+    created_at: operation.created_at,
+    expires_at: operation.expires_at,
+  };
+}
+
+export function createOperationsService({ collections, customers }) {
+  const { operationsCollection } = collections;
+  const { getCustomerEntitlements } = customers;
+
+  // An unexpired operation of the customer's; null for ids that aren't valid
+  async function findOperation(customer, operationId, extraFilter = {}) {
+    if (typeof operationId !== "string" || !ObjectId.isValid(operationId))
+      return null;
+    return await operationsCollection.findOne({
+      _id: new ObjectId(operationId),
+      customer_doc_id: customer._id,
+      expires_at: { $gt: new Date() },
+      ...extraFilter,
+    });
+  }
+
+  // Kept for the history_days of the plan `email` had at the time it ran
+  async function recordOperation(
+    customer,
+    {
+      email,
+      opType,
+      events,
+      undoOf = null,
+      reservationId = null,
+      clientVersion = null,
+    }
+  ) {
+    const now = new Date();
+    const { history_days } = getCustomerEntitlements(customer, email);
+    const operation = {
+      customer_doc_id: customer._id,
+      op_type: opType,
+      events,
+      undo_of: undoOf,
+      reservation_id: reservationId,
+      undone_at: null,
+      free_undo_used_at: null,
+      client_version: clientVersion,
+      created_at: now,
+      expires_at: new Date(now.getTime() + history_days * 24 * 60 * 60 * 1000),
+    };
+    const { insertedId } = await operationsCollection.insertOne(operation);
+    return { _id: insertedId, ...operation };
+  }
+
+  // Mark an operation undone; null if it isn't found or was already undone
+  async function markUndone(customer, operationId) {
+    const operation = await findOperation(customer, operationId, {
+      undone_at: null,
+    });
+    if (!operation) return null;
+    return await operationsCollection.findOneAndUpdate(
+      { _id: operation._id, undone_at: null },
+      { $set: { undone_at: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // Undos aren't charged, once per operation. Returns the operation while its
+  // free undo is unused. Undoing an undo redoes the original, which is
+  // charged like any other operation.
+  async function findFreeUndo(customer, operationId) {
+    return await findOperation(customer, operationId, {
+      free_undo_used_at: null,
+      undo_of: null,
+    });
+  }
+
+  // Use up the operation's free undo; null if it was already used
+  async function claimFreeUndo(customer, operationId) {
+    const operation = await findFreeUndo(customer, operationId);
+    if (!operation) return null;
+    return await operationsCollection.findOneAndUpdate(
+      { _id: operation._id, free_undo_used_at: null },
+      { $set: { free_undo_used_at: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  return {
+    findOperation,
+    recordOperation,
+    markUndone,
+    findFreeUndo,
+    claimFreeUndo,
+  };
+}
@@ -0,0 +1,323 @@
+// organizations.js
+// Team accounts. An organization has its own Stripe customer and subscription
+// whose quantity is the number of seats; every member, owner included, takes
+// one seat. Members are listed on the organization document with a role:
+//
+//   owner   created the organization, manages billing and seats
+//   admin   invites and removes members, sets the default preferences profile
+//   member  uses the organization's plan
+//
+// An email belongs to at most one organization. While the organization's
+// subscription grants access, each member's customer document carries an
+// organization_access snapshot of it, which is what isSubscribed() and
+// getCustomerEntitlements() in customers.js read. The seat belongs to the
+// member's address, not to every email linked to that customer document.
+// Subscription changes are copied to every member's snapshot as they are
+// synced from Stripe.
+import { FREE_ACTIONS_LIMIT } from "./metering.js";
+import { findPlanByPriceId } from "./plans.js";
+import {
+  DEFAULT_PROFILE_ID,
+  MAX_PROFILES,
+  PREFERENCES_SCHEMA_VERSION,
+  buildDefaultProfile,
+  buildPreferencesWrite,
+  getPreferencesState,
+  preferencesVersionFilter,
+} from "./preferences.js";
+import {
+  ACCESS_GRANTING_STATUSES,
+  getStripeId,
+  getSubscriptionPeriodEnd,
+} from "./subscriptions.js";
+
+export function findMember(organization, email) {
+  return organization.members.find((member) => member.email === email) ?? null;
+}
+
+export function isOrganizationAdmin(member) {
+  return member?.role === "owner" || member?.role === "admin";
+}
+
+// Organizations can only buy plans with unlimited actions: per-period quotas
+// are granted to a single customer's balance, not shared across seats
+export function isTeamPlan(plan) {
+  return plan?.mode === "subscription" && plan.entitlements.unlimited_actions;
+}
+
+// What members' customer documents record about the organization
+function buildAccessSnapshot(organization, email) {
+  return {
+    organization_id: organization._id,
+    email,
+    subscription_status: Boolean(organization.subscription_status),
+    plan: organization.plan ?? null,
+  };
+}
+
+// `name`, or the first of "name (2)", "name (3)", ... that none of the
+// member's other profiles is called
+function pickProfileName(profiles, id, name) {
+  const taken = new Set(
+    profiles.filter((p) => p.id !== id).map((p) => p.name_key)
+  );
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++)
+    candidate = `${name} (${n})`;
+  return candidate;
+}
+
+// The id of the profile an organization pushes to its members
+function getOrganizationProfileId(organization) {
+  return `org-${organization._id}`;
+}
+
+export function createOrganizationsService({
+  stripe,
+  collections,
+  config,
+  logger,
+}) {
+  const { customersCollection, organizationsCollection } = collections;
+  const { plans } = config;
+
+  async function findOrganizationForEmail(normalizedEmail) {
+    return await organizationsCollection.findOne({
+      "members.email": normalizedEmail,
+    });
+  }
+
+  // Point a member's customer document at the organization, creating one
+  // (with its own Stripe customer) for members who haven't used the
+  // extension yet, and give them the organization's default profile
+  async function grantMemberAccess(organization, email) {
+    const organization_access = buildAccessSnapshot(organization, email);
+    let customer = await customersCollection.findOneAndUpdate(
+      { emails: { $in: [email] } },
+      { $set: { organization_access } },
+      { returnDocument: "after" }
+    );
+    if (!customer) {
+      const stripeCustomer = await stripe.customers.create({ email });
+      customer = await customersCollection.findOneAndUpdate(
+        { emails: { $in: [email] } },
+        {
+          $set: { organization_access },
+          $setOnInsert: {
+            customer_id: stripeCustomer.id,
+            subscription_status: false,
+            plan: config.stripe.defaultPriceId,
+            emails: [email],
+            owner_email: email,
+            free_actions_remaining: FREE_ACTIONS_LIMIT,
+            created_at: new Date(),
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+    }
+    if (organization.default_profile)
+      await applyDefaultProfile(organization, customer);
+    return customer;
+  }
+
+  // The member keeps their copy of the organization's profile
+  async function revokeMemberAccess(organization, email) {
+    await customersCollection.updateOne(
+      {
+        emails: { $in: [email] },
+        "organization_access.organization_id": organization._id,
+      },
+      { $unset: { organization_access: "" } }
+    );
+  }
+
+  // Copy a Stripe subscription onto the organization that owns its Stripe
+  // customer and on to its members. Returns false when no organization does,
+  // so the caller can treat it as an individual customer's.
+  async function syncSubscriptionToOrganization(subscription) {
+    const customer_id = getStripeId(subscription.customer);
+    const organization = await organizationsCollection.findOne({ customer_id });
+    if (!organization) return false;
+
+    // Don't let events for an old subscription revoke access granted by a newer one
+    const grantsAccess = ACCESS_GRANTING_STATUSES.includes(subscription.status);
+    if (
+      organization.subscription_id &&
+      organization.subscription_id !== subscription.id &&
+      organization.subscription_status &&
+      !grantsAccess
+    ) {
+      logger.info(
+        "Webhook: Ignoring update for stale organization subscription",
+        {
+          organization_id: organization._id,
+          subscription_id: subscription.id,
+          status: subscription.status,
+        }
+      );
+      return true;
+    }
+
+    const item = subscription.items?.data?.[0];
+    const updated = await organizationsCollection.findOneAndUpdate(
+      { _id: organization._id },
+      {
+        $set: {
+          subscription_status: grantsAccess,
+          plan: item?.price?.id ?? organization.plan,
+          seats: item?.quantity ?? organization.seats,
+          subscription_id: subscription.id,
+          subscription_state: subscription.status,
+          current_period_end: getSubscriptionPeriodEnd(subscription),
+          cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+          subscription_updated_at: new Date(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+
+    await customersCollection.updateMany(
+      { "organization_access.organization_id": organization._id },
+      {
+        $set: {
+          "organization_access.subscription_status": Boolean(
+            updated.subscription_status
+          ),
+          "organization_access.plan": updated.plan ?? null,
+        },
+      }
+    );
+
+    if (updated.members.length > updated.seats)
+      logger.warn("Organization has more members than seats", {
+        organization_id: organization._id,
+        members: updated.members.length,
+        seats: updated.seats,
+      });
+    logger.info("Webhook: Organization subscription updated", {
+      organization_id: organization._id,
+      subscription_id: subscription.id,
+      status: subscription.status,
+      access: grantsAccess,
+      seats: updated.seats,
+    });
+    return true;
+  }
+
+  // ---------------- DEFAULT PROFILE ----------------
+  // Admins can push a preferences profile to every member. It is added to
+  // each member's profiles (replacing the previous push) without switching
+  // to it, unless it is already their active profile. Members at the profile
+  // limit are skipped. Profile names are unique per customer, so if a member
+  // already has another profile by that name the pushed one gets a numbered
+  // name instead, e.g. "Team (2)".
+
+  // Returns "updated", "skipped" or "conflict"
+  async function applyDefaultProfile(organization, customer) {
+    const { preferences } = organization.default_profile;
+    const id = getOrganizationProfileId(organization);
+    const now = new Date();
+    const profiles = customer.preference_profiles ?? [buildDefaultProfile(now)];
+    const name = pickProfileName(
+      profiles,
+      id,
+      organization.default_profile.name
+    );
+    const fields = {
+      name,
+      name_key: name.toLowerCase(),
+      preferences,
+      schema_version: PREFERENCES_SCHEMA_VERSION,
+      updated_at: now,
+    };
+    const profile = {
+      id,
+      ...fields,
+      organization_id: organization._id,
+      created_at: now,
+    };
+
+    if (!customer.preference_profiles) {
+      const result = await customersCollection.updateOne(
+        { _id: customer._id, preference_profiles: { $exists: false } },
+        {
+          $set: {
+            preference_profiles: [...profiles, profile],
+            active_profile_id: DEFAULT_PROFILE_ID,
+          },
+        }
+      );
+      return result.matchedCount ? "updated" : "conflict";
+    }
+
+    // Fails if the member has since taken the name for another profile
+    const nameFree = {
+      preference_profiles: {
+        $not: { $elemMatch: { name_key: fields.name_key, id: { $ne: id } } },
+      },
+    };
+
+    if (!profiles.some((p) => p.id === id)) {
+      const result = await customersCollection.updateOne(
+        {
+          _id: customer._id,
+          [`preference_profiles.${MAX_PROFILES - 1}`]: { $exists: false },
+          ...nameFree,
+        },
+        { $push: { preference_profiles: profile } }
+      );
+      return result.matchedCount ? "updated" : "skipped";
+    }
+
+    // The active profile's values are the live preferences, so those change too
+    const set = {};
+    for (const [field, value] of Object.entries(fields))
+      set[`preference_profiles.$[pushed].${field}`] = value;
+    const filter = { _id: customer._id, ...nameFree };
+    if (customer.active_profile_id === id) {
+      const { version } = getPreferencesState(customer);
+      Object.assign(set, buildPreferencesWrite(preferences, version));
+      Object.assign(filter, {
+        active_profile_id: id,
+        ...preferencesVersionFilter(version),
+      });
+    }
+    const result = await customersCollection.updateOne(
+      filter,
+      { $set: set },
+      { arrayFilters: [{ "pushed.id": id }] }
+    );
+    return result.matchedCount ? "updated" : "conflict";
+  }
+
+  // Push the organization's default profile to every member. Returns counts
+  // of members updated and skipped.
+  async function pushDefaultProfile(organization) {
+    const counts = { updated: 0, skipped: 0 };
+    for (const { email } of organization.members) {
+      const customer = await customersCollection.findOne({
+        emails: { $in: [email] },
+      });
+      const outcome = customer
+        ? await applyDefaultProfile(organization, customer)
+        : "skipped";
+      counts[outcome === "updated" ? "updated" : "skipped"]++;
+    }
+    return counts;
+  }
+
+  function getOrganizationPlanKey(organization) {
+    if (!organization.subscription_status) return null;
+    return findPlanByPriceId(plans, organization.plan)?.key ?? null;
+  }
+
+  return {
+    findOrganizationForEmail,
+    grantMemberAccess,
+    revokeMemberAccess,
+    syncSubscriptionToOrganization,
+    pushDefaultProfile,
+    getOrganizationPlanKey,
+  };
+}
@@ -0,0 +1,89 @@
+// plans.js
+// Catalog of paid plans. Price ids come from the environment so the same
+// catalog works against Stripe test and live mode: each plan reads
+// <priceEnv>_PROD in live mode and <priceEnv>_TEST in test mode (see
+// config.js). Plans whose price id isn't configured are left out.
+//
+// mode:         "subscription" for recurring prices, "payment" for one-time
+// interval:     billing interval of the price, null for one-time purchases
+// entitlements: unlimited_actions, or actions_per_period granted each period;
+//               max_templates and share_templates for saved bulk-edit templates;
+//               history_days the undo history is kept
+
+// Shared by every plan with unlimited actions
+export const PRO_ENTITLEMENTS = {
+  unlimited_actions: true,
+  actions_per_period: null,
+  max_templates: 100,
+  share_templates: true,
+  history_days: 90,
+};
+
+const PLAN_DEFINITIONS = [
+  {
+    key: "monthly",
+    name: "Pro Monthly",
+    priceEnv: "STRIPE_PRICE_ID",
+    mode: "subscription",
+    interval: "month",
+    entitlements: PRO_ENTITLEMENTS,
+  },
+  {
+    key: "yearly",
+    name: "Pro Yearly",
+    priceEnv: "STRIPE_PRICE_ID_YEARLY",
+    mode: "subscription",
+    interval: "year",
+    entitlements: PRO_ENTITLEMENTS,
+  },
+  {
+    key: "basic",
+    name: "Basic Monthly",
+    priceEnv: "STRIPE_PRICE_ID_BASIC",
+    mode: "subscription",
+    interval: "month",
+    entitlements: {
+      unlimited_actions: false,
+      actions_per_period: 500,
+      max_templates: 20,
+      share_templates: false,
+      history_days: 30,
+    },
+  },
+  {
+    key: "lifetime",
+    name: "Lifetime",
+    priceEnv: "STRIPE_PRICE_ID_LIFETIME",
+    mode: "payment",
+    interval: null,
+    entitlements: PRO_ENTITLEMENTS,
+  },
+];
+
+export const DEFAULT_PLAN_KEY = "monthly";
+
+// Entitlements for customers without an active paid plan
+export const FREE_ENTITLEMENTS = {
+  unlimited_actions: false,
+  actions_per_period: null,
+  max_templates: 3,
+  share_templates: false,
+  history_days: 7,
+};
+
+export function buildPlanCatalog(env = process.env, envSuffix = "PROD") {
+  return PLAN_DEFINITIONS.filter(
+    (plan) => env[`${plan.priceEnv}_${envSuffix}`]
+  ).map(({ priceEnv, ...plan }) => ({
+    ...plan,
+    price_id: env[`${priceEnv}_${envSuffix}`],
+  }));
+}
+
+export function findPlan(catalog, key) {
+  return catalog.find((plan) => plan.key === key) ?? null;
+}
+
+export function findPlanByPriceId(catalog, priceId) {
+  return catalog.find((plan) => plan.price_id === priceId) ?? null;
+}
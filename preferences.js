@@ -0,0 +1,339 @@
+// preferences.js
+// Schema for the extension settings stored on customer.preferences.
+//
+// Every field has a validator that returns the normalized value or records an
+// error. The stored shape is versioned by preferences_schema_version; when the
+// schema changes, bump PREFERENCES_SCHEMA_VERSION and add a step to MIGRATIONS
+// that upgrades documents written by the previous version. Documents are
+// migrated when read and stored in the current shape on their next write.
+
+export const PREFERENCES_SCHEMA_VERSION = 2;
+
+const MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+const MODIFIER_ALIASES = {
+  ctrl: "Ctrl",
+  control: "Ctrl",
+  alt: "Alt",
+  option: "Alt",
+  shift: "Shift",
+  meta: "Meta",
+  cmd: "Meta",
+  command: "Meta",
+};
+const NAMED_KEYS = [
+  "Enter",
+  "Escape",
+  "Space",
+  "Tab",
+  "Backspace",
+  "Delete",
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`),
+];
+const MAX_KEYBINDS = 50;
+
+// "alt + b" -> "Alt+B"; null if it isn't a key combination
+function normalizeKeybind(value) {
+  if (typeof value !== "string" || value.length > 50) return null;
+  const parts = value.split("+").map((part) => part.trim());
+  const key = parts.pop();
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier || modifiers.has(modifier)) return null;
+    modifiers.add(modifier);
+  }
+
+  let normalizedKey;
+  if (/^[a-z0-9]$/i.test(key)) normalizedKey = key.toUpperCase();
+  else
+    normalizedKey = NAMED_KEYS.find(
+      (named) => named.toLowerCase() === key.toLowerCase()
+    );
+  if (!normalizedKey) return null;
+
+  return [...MODIFIERS.filter((m) => modifiers.has(m)), normalizedKey].join(
+    "+"
+  );
+}
+
+// Action name -> key combination, or null to turn the shortcut off
+function validateKeybinds(value, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push("keybinds must be an object");
+    return;
+  }
+  const entries = Object.entries(value);
+  if (entries.length > MAX_KEYBINDS) {
+    errors.push(`keybinds can have at most ${MAX_KEYBINDS} entries`);
+    return;
+  }
+
+  const keybinds = {};
+  for (const [action, combo] of entries) {
+    if (!/^[A-Za-z][A-Za-z0-9_]{0,39}$/.test(action)) {
+      errors.push(`keybinds: invalid action name "${action.slice(0, 40)}"`);
+      continue;
+    }
+    if (combo === null) {
+      keybinds[action] = null;
+      continue;
+    }
+    const normalized = normalizeKeybind(combo);
+    if (!normalized) errors.push(`keybinds.${action} is not a key combination`);
+    else keybinds[action] = normalized;
+  }
+  return keybinds;
+}
+
+// "#RGB" or "#RRGGBB", stored lowercase
+function validateColor(value, errors, field) {
+  if (
+    typeof value !== "string" ||
+    !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+  ) {
+    errors.push(`${field} must be a hex color like #4285f4`);
+    return;
+  }
+  return value.toLowerCase();
+}
+
+function validateBoolean(value, errors, field) {
+  if (typeof value !== "boolean") {
+    errors.push(`${field} must be true or false`);
+    return;
+  }
+  return value;
+}
+
+// Visible hours of the day view: whole hours, start before end
+function validateHourRange(value, errors) {
+  const { start, end } = value ?? {};
+  if (
+    !value ||
+    typeof value !== "object" ||
+    Object.keys(value).some((key) => key !== "start" && key !== "end") ||
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    end > 24 ||
+    start >= end
+  ) {
+    errors.push("hourRange must be { start, end } with 0 <= start < end <= 24");
+    return;
+  }
+  return { start, end };
+}
+
+// Version 1 keybinds that don't fit the current grammar, kept as they were
+// typed so the extension can show them and the user can redo them. Only
+// migrations create this; clients can keep it as is or remove it.
+function validateLegacyKeybinds(value, errors) {
+  if (
+    !value ||
+    typeof value !== "object" ||
+    Array.isArray(value) ||
+    Object.keys(value).length > MAX_KEYBINDS ||
+    Object.entries(value).some(
+      ([action, combo]) =>
+        action.length > 100 || typeof combo !== "string" || combo.length > 100
+    )
+  ) {
+    errors.push("legacyKeybinds must be an object of strings");
+    return;
+  }
+  return { ...value };
+}
+
+const FIELD_VALIDATORS = {
+  keybinds: validateKeybinds,
+  legacyKeybinds: validateLegacyKeybinds,
+  highlightColor: validateColor,
+  hideAllDayTasks: validateBoolean,
+  hideLeftSidebar: validateBoolean,
+  hideRightSidebar: validateBoolean,
+  hourRange: validateHourRange,
+};
+
+export const PREFERENCE_FIELDS = Object.keys(FIELD_VALIDATORS);
+
+// Validate client input. Unknown fields are ignored (older and newer
+// extension builds send fields this server doesn't know) and reported back.
+// With `partial`, a null value means "remove this field".
+export function validatePreferences(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const ignored = [];
+
+  for (const [field, value] of Object.entries(input)) {
+    const validate = FIELD_VALIDATORS[field];
+    if (!validate) {
+      ignored.push(field);
+      continue;
+    }
+    if (partial && value === null) {
+      values[field] = null;
+      continue;
+    }
+    const normalized = validate(value, errors, field);
+    if (normalized !== undefined) values[field] = normalized;
+  }
+
+  return { values, errors, ignored };
+}
+
+// Each step upgrades preferences written by schema version `from`
+const MIGRATIONS = [
+  {
+    // Version 1 was stored verbatim: hourRange as [start, end] and keybinds
+    // as typed by the user. Keybinds the current grammar can't read move to
+    // legacyKeybinds instead of being lost.
+    from: 1,
+    migrate(preferences) {
+      const migrated = { ...preferences };
+      if (Array.isArray(migrated.hourRange)) {
+        const [start, end] = migrated.hourRange;
+        migrated.hourRange = { start, end };
+      }
+      const { keybinds } = migrated;
+      if (
+        keybinds &&
+        typeof keybinds === "object" &&
+        !Array.isArray(keybinds)
+      ) {
+        const valid = {};
+        const legacy = {};
+        for (const [action, combo] of Object.entries(keybinds)) {
+          if (
+            Object.keys(valid).length < MAX_KEYBINDS &&
+            /^[A-Za-z][A-Za-z0-9_]{0,39}$/.test(action) &&
+            (combo === null || normalizeKeybind(combo))
+          )
+            valid[action] = combo;
+          else if (Object.keys(legacy).length < MAX_KEYBINDS)
+            legacy[action.slice(0, 100)] = String(combo).slice(0, 100);
+        }
+        migrated.keybinds = valid;
+        if (Object.keys(legacy).length) migrated.legacyKeybinds = legacy;
+      }
+      return migrated;
+    },
+  },
+];
+
+// Bring stored preferences up to the current schema. Values that still don't
+// pass validation after migrating are dropped rather than served to the
+// extension.
+export function migratePreferences(preferences, schemaVersion = 1) {
+  if (!preferences) return null;
+
+  let migrated = preferences;
+  for (const step of MIGRATIONS)
+    if (step.from >= schemaVersion) migrated = step.migrate(migrated);
+
+  if (schemaVersion === PREFERENCES_SCHEMA_VERSION) return migrated;
+  const result = {};
+  for (const field of PREFERENCE_FIELDS) {
+    if (migrated[field] === undefined) continue;
+    const value = FIELD_VALIDATORS[field](migrated[field], [], field);
+    if (value !== undefined) result[field] = value;
+  }
+  return result;
+}
+
+// Fields returned by every route that reads or writes the live preferences
+export function getPreferencesState(customer) {
+  return {
+    preferences: migratePreferences(
+      customer?.preferences,
+      customer?.preferences_schema_version
+    ),
+    version: customer?.preferences_version ?? 0,
+    updated_at: customer?.preferences_updated_at ?? null,
+  };
+}
+
+// $set fields for replacing the live preferences of a customer whose current
+// preferences_version is `version`
+export function buildPreferencesWrite(preferences, version, deviceId = null) {
+  return {
+    preferences,
+    preferences_schema_version: PREFERENCES_SCHEMA_VERSION,
+    preferences_version: version + 1,
+    preferences_updated_at: new Date(),
+    preferences_updated_by: deviceId,
+  };
+}
+
+// Matches the document only while its preferences are still at `version`.
+// Documents written before versioning have no preferences_version.
+export function preferencesVersionFilter(version) {
+  return { preferences_version: version || null };
+}
+
+// ---------------- PROFILES ----------------
+// Named sets of preferences on customer.preference_profiles (see
+// routes/preferenceProfiles.js)
+
+export const MAX_PROFILES = 10;
+export const DEFAULT_PROFILE_ID = "default";
+
+// The profile a customer's existing preferences become the first time
+// profiles are used. Its preferences are null because the active profile's
+// values live on customer.preferences.
+export function buildDefaultProfile(now = new Date()) {
+  return {
+    id: DEFAULT_PROFILE_ID,
+    name: "Default",
+    name_key: "default",
+    preferences: null,
+    schema_version: PREFERENCES_SCHEMA_VERSION,
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+// ---------------- PROFILE EXPORT FORMAT ----------------
+// A profile exported to JSON so it can be backed up or shared with a team:
+// { format, schema_version, name, exported_at, preferences }
+
+const PROFILE_EXPORT_FORMAT = "gc-bulk-edit.preferences-profile";
+
+export function exportProfile(name, preferences) {
+  return {
+    format: PROFILE_EXPORT_FORMAT,
+    schema_version: PREFERENCES_SCHEMA_VERSION,
+    name,
+    exported_at: new Date().toISOString(),
+    preferences,
+  };
+}
+
+// Read an exported profile, migrating it if it came from an older schema.
+// Returns { name, values, errors }.
+export function parseProfileImport(data) {
+  if (
+    !data ||
+    typeof data !== "object" ||
+    data.format !== PROFILE_EXPORT_FORMAT
+  )
+    return { errors: ["Not an exported preferences profile"] };
+
+  const schemaVersion = data.schema_version;
+  if (
+    !Number.isInteger(schemaVersion) ||
+    schemaVersion < 1 ||
+    schemaVersion > PREFERENCES_SCHEMA_VERSION
+  )
+    return { errors: ["Unsupported profile schema_version"] };
+  if (!data.preferences || typeof data.preferences !== "object")
+    return { errors: ["Profile has no preferences"] };
+
+  // Migrating drops what an older schema allowed, so validate the result too
+  const migrated = migratePreferences(data.preferences, schemaVersion);
+  const { values, errors } = validatePreferences(migrated);
+  return { name: data.name, values, errors };
+}
@@ -0,0 +1,47 @@
+// links.js
+// Links shared from the app land on the home page with a parameter, like the
+// referral links from GET /referral (/?ref=CODE), organization invites
+// (/?org_invite=TOKEN) and shared templates (/?template=TOKEN). What they're
+// for happens in the extension, so this shows what the link is and the code
+// to paste there.
+const SHARED_LINKS = [
+  {
+    param: "ref",
+    pattern: /^[A-Z2-9]{8}$/,
+    title: "You've been invited to GC Bulk Edit",
+    text: "Install the extension, then enter this referral code when you subscribe:",
+  },
+  {
+    param: "template",
+    pattern: /^[\w-]{32}$/,
+    title: "A bulk-edit template was shared with you",
+    text: "Install the extension, then paste this code where it asks for a shared template:",
+  },
+  {
+    param: "org_invite",
+    pattern: /^[\w-]{20,100}$/,
+    title: "You've been invited to join an organization on GC Bulk Edit",
+    text: "Sign in to the extension with the address this invite was sent to, then enter this invite code:",
+  },
+];
+
+function showSharedLink({ title, text }, code) {
+  const panel = document.getElementById("shared-link");
+  panel.querySelector("h3").textContent = title;
+  panel.querySelector("p").textContent = text;
+  panel.querySelector("code").textContent = code;
+  panel.querySelector("button").addEventListener("click", async (event) => {
+    await navigator.clipboard.writeText(code);
+    event.target.textContent = "Copied";
+  });
+  panel.hidden = false;
+}
+
+const params = new URLSearchParams(window.location.search);
+for (const link of SHARED_LINKS) {
+  const code = params.get(link.param);
+  if (code && link.pattern.test(code)) {
+    showSharedLink(link, code);
+    break;
+  }
+}
@@ -0,0 +1,46 @@
+// quota.js
+// Free-tier quota policy: how many actions a free customer gets and when the
+// allowance resets. Periods are either calendar based (reset at the start of
+// each UTC month or ISO week) or rolling (a fixed number of days after the
+// previous reset).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const QUOTA_PERIODS = ["calendar_month", "calendar_week", "rolling"];
+
+export function createQuotaPolicy({
+  allowance,
+  period = "calendar_month",
+  rollingDays = 30,
+}) {
+  if (!Number.isInteger(allowance) || allowance < 0)
+    throw new Error(`Invalid free quota allowance: ${allowance}`);
+  if (!QUOTA_PERIODS.includes(period))
+    throw new Error(`Invalid free quota period: ${period}`);
+  if (period === "rolling" && !(rollingDays > 0))
+    throw new Error(`Invalid free quota rolling days: ${rollingDays}`);
+
+  return {
+    allowance,
+    period,
+
+    // When a period that starts at `from` ends
+    nextResetAt(from) {
+      if (period === "rolling")
+        return new Date(from.getTime() + rollingDays * DAY_MS);
+      if (period === "calendar_week") {
+        // Next Monday 00:00 UTC
+        const daysUntilMonday = (8 - from.getUTCDay()) % 7 || 7;
+        return new Date(
+          Date.UTC(
+            from.getUTCFullYear(),
+            from.getUTCMonth(),
+            from.getUTCDate() + daysUntilMonday
+          )
+        );
+      }
+      return new Date(
+        Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 1)
+      );
+    },
+  };
+}
@@ -0,0 +1,330 @@
+// reconcile.js
+// Compares every customer and organization document with Stripe and works out
+// what has drifted: subscription state that no webhook updated, customer_ids
+// that no longer exist in Stripe (usually test-mode leftovers), and Stripe
+// customers that are duplicated or missing from the DB. A run always builds
+// the full report first; with `apply` it then writes the subscription fixes.
+// Duplicate and orphaned Stripe customers are only reported, never changed.
+//
+// A fix is only written while the document still holds the values the report
+// saw, so a webhook that updates it during the run wins. Fixes skipped that
+// way are listed as conflicts.
+import {
+  ACCESS_GRANTING_STATUSES,
+  getSubscriptionPeriodEnd,
+  pickCurrentSubscription,
+} from "./subscriptions.js";
+
+// Fields the reconciliation owns on a customer or organization document.
+// Organizations have no lifetime purchases, and record their seat count.
+function expectedSubscriptionFields(doc, subscriptions, kind) {
+  const lifetime = Boolean(doc.lifetime_access);
+  // Fall back to the newest subscription of any status to record why access ended
+  const subscription =
+    pickCurrentSubscription(subscriptions) ??
+    [...subscriptions].sort((a, b) => b.created - a.created)[0] ??
+    null;
+
+  if (!subscription) return { subscription_status: lifetime };
+
+  return {
+    subscription_status:
+      lifetime || ACCESS_GRANTING_STATUSES.includes(subscription.status),
+    subscription_id: subscription.id,
+    subscription_state: subscription.status,
+    current_period_end: getSubscriptionPeriodEnd(subscription),
+    cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    ...(kind === "organization" && {
+      seats: subscription.items?.data?.[0]?.quantity ?? doc.seats ?? null,
+    }),
+  };
+}
+
+// How changes and issues name the document they are about
+function describeDoc(doc, kind) {
+  return kind === "organization"
+    ? { organization_id: doc._id, customer_id: doc.customer_id }
+    : {
+        customer_doc_id: doc._id,
+        customer_id: doc.customer_id,
+        emails: doc.emails,
+      };
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof Date || b instanceof Date)
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  return (a ?? null) === (b ?? null);
+}
+
+function diffFields(customer, expected) {
+  const diff = {};
+  for (const [field, value] of Object.entries(expected)) {
+    if (!valuesEqual(customer[field], value))
+      diff[field] = { from: customer[field] ?? null, to: value };
+  }
+  return diff;
+}
+
+async function listAllSubscriptions(stripe, customerId) {
+  const subscriptions = [];
+  for await (const subscription of stripe.subscriptions.list({
+    customer: customerId,
+    status: "all",
+    limit: 100,
+  }))
+    subscriptions.push(subscription);
+  return subscriptions;
+}
+
+function hasActiveSubscription(stripeCustomer) {
+  return (stripeCustomer.subscriptions?.data ?? []).some((sub) =>
+    ACCESS_GRANTING_STATUSES.includes(sub.status)
+  );
+}
+
+// Check one customer or organization document (`kind`) against Stripe
+async function checkDocument(stripe, doc, kind, report, checkDuplicates) {
+  let stripeCustomer = null;
+  try {
+    stripeCustomer = await stripe.customers.retrieve(doc.customer_id);
+  } catch (err) {
+    if (err.code !== "resource_missing") throw err;
+  }
+
+  let subscriptions = [];
+  if (!stripeCustomer || stripeCustomer.deleted) {
+    report.issues.push({
+      type: "missing_stripe_customer",
+      ...describeDoc(doc, kind),
+    });
+  } else {
+    subscriptions = await listAllSubscriptions(stripe, doc.customer_id);
+  }
+
+  const diff = diffFields(
+    doc,
+    expectedSubscriptionFields(doc, subscriptions, kind)
+  );
+  if (Object.keys(diff).length)
+    report.changes.push({ kind, ...describeDoc(doc, kind), diff });
+
+  // Organizations are billed by their own Stripe customer, not an email's
+  if (kind === "customer" && checkDuplicates)
+    await findDuplicateStripeCustomers(stripe, doc, report);
+}
+
+// Other Stripe customers with one of the customer's emails
+async function findDuplicateStripeCustomers(stripe, customer, report) {
+  for (const email of customer.emails ?? []) {
+    const matches = await stripe.customers.list({
+      email,
+      limit: 10,
+      expand: ["data.subscriptions"],
+    });
+    const duplicates = matches.data.filter(
+      (c) => c.id !== customer.customer_id
+    );
+    if (!duplicates.length) continue;
+
+    report.issues.push({
+      type: "duplicate_stripe_customers",
+      customer_doc_id: customer._id,
+      customer_id: customer.customer_id,
+      email,
+      duplicates: duplicates.map((c) => ({
+        id: c.id,
+        has_active_subscription: hasActiveSubscription(c),
+      })),
+    });
+  }
+}
+
+// Stripe customers that no customer or organization document points at
+async function findOrphanedStripeCustomers(
+  stripe,
+  { customersCollection, organizationsCollection },
+  report
+) {
+  for await (const stripeCustomer of stripe.customers.list({
+    limit: 100,
+    expand: ["data.subscriptions"],
+  })) {
+    const known =
+      (await customersCollection.findOne(
+        { customer_id: stripeCustomer.id },
+        { projection: { _id: 1 } }
+      )) ||
+      (await organizationsCollection?.findOne(
+        { customer_id: stripeCustomer.id },
+        { projection: { _id: 1 } }
+      ));
+    if (known) continue;
+
+    const email = stripeCustomer.email?.toLowerCase() ?? null;
+    const byEmail = email
+      ? await customersCollection.findOne(
+          { emails: { $in: [email] } },
+          { projection: { _id: 1, customer_id: 1 } }
+        )
+      : null;
+
+    report.issues.push({
+      type: "orphaned_stripe_customer",
+      stripe_customer_id: stripeCustomer.id,
+      email,
+      has_active_subscription: hasActiveSubscription(stripeCustomer),
+      // Set when the email belongs to a customer linked to another Stripe id
+      db_customer_doc_id: byEmail?._id ?? null,
+      db_customer_id: byEmail?.customer_id ?? null,
+    });
+  }
+}
+
+// Check every document in `collection` that has a Stripe customer
+async function checkCollection(
+  stripe,
+  collection,
+  kind,
+  report,
+  { checkDuplicates, batchSize }
+) {
+  // Page by _id so documents created mid-run don't shift the pages
+  let lastId = null;
+  for (;;) {
+    const batch = await collection
+      .find({
+        customer_id: { $type: "string" },
+        ...(lastId && { _id: { $gt: lastId } }),
+      })
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .toArray();
+    if (!batch.length) break;
+    lastId = batch[batch.length - 1]._id;
+
+    for (const doc of batch) {
+      report[`${kind}s_checked`]++;
+      try {
+        await checkDocument(stripe, doc, kind, report, checkDuplicates);
+      } catch (err) {
+        report.errors.push({ ...describeDoc(doc, kind), error: err.message });
+      }
+    }
+  }
+}
+
+// organizationsCollection is optional; without it organizations' Stripe
+// customers are reported as orphaned
+export async function reconcileCustomers({
+  stripe,
+  customersCollection,
+  organizationsCollection = null,
+  apply = false,
+  checkDuplicates = true,
+  findOrphans = true,
+  batchSize = 100,
+}) {
+  const report = {
+    started_at: new Date(),
+    finished_at: null,
+    applied: false,
+    customers_checked: 0,
+    organizations_checked: 0,
+    changes: [],
+    conflicts: [],
+    issues: [],
+    errors: [],
+  };
+  const collections = { customersCollection, organizationsCollection };
+  const options = { checkDuplicates, batchSize };
+
+  await checkCollection(
+    stripe,
+    customersCollection,
+    "customer",
+    report,
+    options
+  );
+  if (organizationsCollection)
+    await checkCollection(
+      stripe,
+      organizationsCollection,
+      "organization",
+      report,
+      options
+    );
+
+  if (findOrphans)
+    await findOrphanedStripeCustomers(stripe, collections, report);
+
+  if (apply) await applyReport(collections, report);
+
+  report.finished_at = new Date();
+  return report;
+}
+
+// Write the subscription fixes found by reconcileCustomers. Each is matched
+// on the values it was computed from; documents that changed since are left
+// alone and their change is moved to report.conflicts.
+export async function applyReport(
+  { customersCollection, organizationsCollection },
+  report
+) {
+  const applied = [];
+  for (const change of report.changes) {
+    const organization = change.kind === "organization";
+    const filter = {
+      _id: organization ? change.organization_id : change.customer_doc_id,
+    };
+    const $set = { subscription_updated_at: new Date() };
+    for (const [field, { from, to }] of Object.entries(change.diff)) {
+      filter[field] = from;
+      $set[field] = to;
+    }
+
+    const collection = organization
+      ? organizationsCollection
+      : customersCollection;
+    const result = await collection.updateOne(filter, { $set });
+    if (result.matchedCount === 0) {
+      report.conflicts.push(change);
+      continue;
+    }
+    applied.push(change);
+
+    // Members' access follows the organization (see organizations.js)
+    if (organization && change.diff.subscription_status)
+      await customersCollection.updateMany(
+        { "organization_access.organization_id": change.organization_id },
+        {
+          $set: {
+            "organization_access.subscription_status":
+              change.diff.subscription_status.to,
+          },
+        }
+      );
+  }
+  report.changes = applied;
+  report.applied = true;
+}
+
+export function summarizeReport(report) {
+  const counts = {};
+  for (const issue of report.issues)
+    counts[issue.type] = (counts[issue.type] ?? 0) + 1;
+
+  return [
+    `Checked ${report.customers_checked} customers and ${report.organizations_checked} organizations`,
+    `${report.changes.length} drifted from Stripe${
+      report.applied ? " (fixed)" : ""
+    }`,
+    ...(report.conflicts.length
+      ? [`${report.conflicts.length} not fixed: changed during the run`]
+      : []),
+    ...Object.entries(counts).map(([type, count]) => `${count} ${type}`),
+    `${report.errors.length} errors`,
+  ].join("\n");
+}
@@ -0,0 +1,70 @@
+// reconcileSubscriptions.js
+// Script to reconcile customer subscription state in MongoDB with Stripe.
+// Prints a dry-run report; pass --apply to also write the fixes.
+//   node reconcileSubscriptions.js [--apply] [--json] [--skip-duplicates] [--skip-orphans]
+import dotenv from "dotenv";
+import Stripe from "stripe";
+import { MongoClient } from "mongodb";
+import { getCollections } from "./collections.js";
+import { loadConfig } from "./config.js";
+import {
+  applyReport,
+  reconcileCustomers,
+  summarizeReport,
+} from "./reconcile.js";
+
+dotenv.config();
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  const config = loadConfig();
+  console.log(
+    `Reconciling ${config.env} against Stripe ${config.stripe.mode} mode`
+  );
+  const stripe = new Stripe(config.stripe.secretKey, {
+    apiVersion: config.stripe.apiVersion,
+  });
+  const client = new MongoClient(config.mongoUri);
+  await client.connect();
+  const db = client.db(config.dbName);
+  const { customersCollection, organizationsCollection } = getCollections(db);
+
+  // Always report before touching anything
+  const report = await reconcileCustomers({
+    stripe,
+    customersCollection,
+    organizationsCollection,
+    checkDuplicates: !args.has("--skip-duplicates"),
+    findOrphans: !args.has("--skip-orphans"),
+  });
+  if (args.has("--json")) console.log(JSON.stringify(report, null, 2));
+  console.log(summarizeReport(report));
+  for (const change of report.changes)
+    console.log(
+      `Drift: ${change.customer_id} (${
+        change.kind === "organization"
+          ? `organization ${change.organization_id}`
+          : change.emails?.join(", ")
+      }):`,
+      JSON.stringify(change.diff)
+    );
+
+  if (args.has("--apply")) {
+    await applyReport({ customersCollection, organizationsCollection }, report);
+    console.log(`Applied ${report.changes.length} fixes.`);
+    for (const change of report.conflicts)
+      console.log(
+        `Skipped ${change.customer_id}: changed since the report was built`
+      );
+  } else {
+    console.log("Dry run: re-run with --apply to write these fixes.");
+  }
+
+  await client.close();
+  console.log("Reconciliation complete.");
+}
+
+main().catch((err) => {
+  console.error("Reconciliation failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,381 @@
+// routes/admin.js
+// Admin routes take an admin key as a bearer token (see config.js for how
+// keys are configured). Every mutation is written to the audit log.
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ObjectId } from "mongodb";
+import { isValidEmail } from "../customers.js";
+import { BONUS_ACTION_REASONS, FREE_ACTIONS_LIMIT } from "../metering.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Every admin mutation is recorded in the audit log with this
+export function createAdminAuditRecorder({ adminAuditLogCollection }) {
+  return async function recordAdminAudit(req, action, target, details = {}) {
+    await adminAuditLogCollection.insertOne({
+      admin: req.adminName,
+      action,
+      target,
+      details,
+      ip: req.ip,
+      created_at: new Date(),
+    });
+  };
+}
+
+export function createAdminRouter({
+  collections,
+  customers,
+  metering,
+  billing,
+  requireAdmin,
+  recordAdminAudit,
+  logger,
+}) {
+  const router = express.Router();
+  const {
+    customersCollection,
+    stripeEventsCollection,
+    bonusActionsCollection,
+    actionUsageCollection,
+    adminAuditLogCollection,
+  } = collections;
+  const { findCustomerByEmail } = customers;
+  const { getActionBalance, grantBonusActions } = metering;
+  const {
+    claimStripeEvent,
+    runStripeEvent,
+    syncSubscriptionToCustomer,
+    getCurrentSubscription,
+  } = billing;
+
+  // GET /admin - dashboard page
+  router.get("/admin", (req, res) => {
+    res.sendFile(path.join(__dirname, "..", "public", "admin", "index.html"));
+  });
+
+  // GET /admin/audit-log - most recent admin mutations
+  router.get("/admin/audit-log", requireAdmin, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const filter =
+        typeof req.query.target === "string"
+          ? { target: req.query.target }
+          : {};
+
+      const entries = await adminAuditLogCollection
+        .find(filter, { projection: { _id: 0 } })
+        .sort({ created_at: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json({ entries });
+    } catch (err) {
+      logger.error("List audit log failed", { err });
+      res.status(500).json({ error: "Failed to list audit log" });
+    }
+  });
+
+  // ---------------- ADMIN: STRIPE EVENTS ----------------
+
+  // GET /admin/stripe-events - list ledger entries, failed ones by default
+  router.get("/admin/stripe-events", requireAdmin, async (req, res) => {
+    try {
+      const status = req.query.status ?? "failed";
+      if (!["failed", "processing", "processed", "all"].includes(status))
+        return res.status(400).json({ error: "Invalid status" });
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+      const events = await stripeEventsCollection
+        .find(status === "all" ? {} : { status }, {
+          projection: { _id: 0, payload: 0 },
+        })
+        .sort({ received_at: -1 })
+        .limit(limit)
+        .toArray();
+
+      res.json({ events });
+    } catch (err) {
+      logger.error("List stripe events failed", { err });
+      res.status(500).json({ error: "Failed to list events" });
+    }
+  });
+
+  // POST /admin/stripe-events/replay - replay every failed event, oldest first
+  router.post("/admin/stripe-events/replay", requireAdmin, async (req, res) => {
+    try {
+      const failed = await stripeEventsCollection
+        .find({ status: "failed" }, { projection: { payload: 1 } })
+        .sort({ received_at: 1 })
+        .toArray();
+
+      const results = [];
+      for (const { payload } of failed) {
+        if (!(await claimStripeEvent(payload))) continue;
+        results.push(await runStripeEvent(payload));
+      }
+      await recordAdminAudit(req, "stripe_events.replay_failed", null, {
+        results,
+      });
+
+      res.json({ replayed: results.length, results });
+    } catch (err) {
+      logger.error("Replay stripe events failed", { err });
+      res.status(500).json({ error: "Failed to replay events" });
+    }
+  });
+
+  // POST /admin/stripe-events/:event_id/replay - replay a single failed event
+  router.post(
+    "/admin/stripe-events/:event_id/replay",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { event_id } = req.params;
+        const entry = await stripeEventsCollection.findOne({ event_id });
+        if (!entry) return res.status(404).json({ error: "Event not found" });
+
+        if (!(await claimStripeEvent(entry.payload)))
+          return res
+            .status(409)
+            .json({ error: `Event is ${entry.status}, not replayable` });
+
+        const result = await runStripeEvent(entry.payload);
+        await recordAdminAudit(req, "stripe_events.replay", event_id, result);
+        res.json(result);
+      } catch (err) {
+        logger.error("Replay stripe event failed", { err });
+        res.status(500).json({ error: "Failed to replay event" });
+      }
+    }
+  );
+
+  // ---------------- ADMIN: BONUS ACTIONS ----------------
+
+  // POST /admin/bonus-actions - grant expiring bonus actions to a customer
+  router.post("/admin/bonus-actions", requireAdmin, async (req, res) => {
+    try {
+      const { email, amount, reason, expires_in_days = 30, note } = req.body;
+      if (typeof email !== "string" || !isValidEmail(email))
+        return res.status(400).json({ error: "Invalid email format" });
+      if (!Number.isInteger(amount) || amount < 1 || amount > 100000)
+        return res.status(400).json({ error: "Invalid amount" });
+      if (!BONUS_ACTION_REASONS.includes(reason))
+        return res.status(400).json({ error: "Invalid reason" });
+      if (!Number.isInteger(expires_in_days) || expires_in_days < 1)
+        return res.status(400).json({ error: "Invalid expires_in_days" });
+      if (note !== undefined && (typeof note !== "string" || note.length > 500))
+        return res.status(400).json({ error: "Invalid note" });
+
+      const customer = await findCustomerByEmail(email.toLowerCase());
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      const grant = await grantBonusActions(customer, {
+        amount,
+        reason,
+        note,
+        grantedBy: req.adminName,
+        expiresAt: new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000),
+      });
+      await recordAdminAudit(req, "bonus_actions.grant", String(customer._id), {
+        amount,
+        reason,
+        note,
+        expires_at: grant.expires_at,
+      });
+
+      res.json({ success: true, grant });
+    } catch (err) {
+      logger.error("Grant bonus actions failed", { err });
+      res.status(500).json({ error: "Failed to grant bonus actions" });
+    }
+  });
+
+  // ---------------- ADMIN: CUSTOMERS ----------------
+
+  function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Load the customer named by :id (the document _id) or send a 404
+  async function findCustomerForAdmin(req, res) {
+    const { id } = req.params;
+    const customer = ObjectId.isValid(id)
+      ? await customersCollection.findOne({ _id: new ObjectId(id) })
+      : null;
+    if (!customer) res.status(404).json({ error: "Customer not found" });
+    return customer;
+  }
+
+  // GET /admin/customers?q= - search by email (prefix) or Stripe customer_id
+  router.get("/admin/customers", requireAdmin, async (req, res) => {
+    try {
+      const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+      if (q.length < 3 || q.length > 200)
+        return res
+          .status(400)
+          .json({ error: "Query must be 3-200 characters" });
+
+      const filter = q.startsWith("cus_")
+        ? { customer_id: q }
+        : { emails: { $regex: `^${escapeRegex(q.toLowerCase())}` } };
+
+      const customers = await customersCollection
+        .find(filter, {
+          projection: {
+            emails: 1,
+            customer_id: 1,
+            subscription_status: 1,
+            subscription_state: 1,
+            plan: 1,
+            free_actions_remaining: 1,
+            created_at: 1,
+          },
+        })
+        .limit(25)
+        .toArray();
+
+      res.json({ customers });
+    } catch (err) {
+      logger.error("Search customers failed", { err });
+      res.status(500).json({ error: "Failed to search customers" });
+    }
+  });
+
+  // GET /admin/customers/:id - full customer record with balance and usage
+  router.get("/admin/customers/:id", requireAdmin, async (req, res) => {
+    try {
+      const customer = await findCustomerForAdmin(req, res);
+      if (!customer) return;
+
+      const [balance, usage, bonusGrants, auditLog] = await Promise.all([
+        getActionBalance(customer),
+        actionUsageCollection
+          .find({ customer_doc_id: customer._id })
+          .sort({ _id: -1 })
+          .limit(50)
+          .toArray(),
+        bonusActionsCollection
+          .find({ customer_doc_id: customer._id })
+          .sort({ granted_at: -1 })
+          .toArray(),
+        adminAuditLogCollection
+          .find({ target: String(customer._id) }, { projection: { _id: 0 } })
+          .sort({ created_at: -1 })
+          .limit(50)
+          .toArray(),
+      ]);
+
+      res.json({
+        customer,
+        balance,
+        usage,
+        bonus_grants: bonusGrants,
+        audit_log: auditLog,
+      });
+    } catch (err) {
+      logger.error("Get customer failed", { err });
+      res.status(500).json({ error: "Failed to fetch customer" });
+    }
+  });
+
+  // POST /admin/customers/:id/actions - add (positive delta) or remove
+  // (negative delta) actions from the current period's allowance
+  router.post(
+    "/admin/customers/:id/actions",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { delta, note } = req.body;
+        if (!Number.isInteger(delta) || delta === 0 || Math.abs(delta) > 100000)
+          return res.status(400).json({ error: "Invalid delta" });
+        if (typeof note !== "string" || !note.trim() || note.length > 500)
+          return res.status(400).json({ error: "A note is required" });
+
+        const customer = await findCustomerForAdmin(req, res);
+        if (!customer) return;
+
+        // Never leave the allowance negative
+        const updated = await customersCollection.findOneAndUpdate(
+          { _id: customer._id },
+          [
+            {
+              $set: {
+                free_actions_remaining: {
+                  $max: [
+                    0,
+                    {
+                      $add: [
+                        {
+                          $ifNull: [
+                            "$free_actions_remaining",
+                            FREE_ACTIONS_LIMIT,
+                          ],
+                        },
+                        delta,
+                      ],
+                    },
+                  ],
+                },
+              },
+            },
+          ],
+          { returnDocument: "after" }
+        );
+        await recordAdminAudit(req, "actions.adjust", String(customer._id), {
+          delta,
+          note,
+          before: customer.free_actions_remaining ?? FREE_ACTIONS_LIMIT,
+          after: updated.free_actions_remaining,
+        });
+
+        res.json({ success: true, balance: await getActionBalance(updated) });
+      } catch (err) {
+        logger.error("Adjust actions failed", { err });
+        res.status(500).json({ error: "Failed to adjust actions" });
+      }
+    }
+  );
+
+  // POST /admin/customers/:id/sync - pull subscription state from Stripe
+  router.post("/admin/customers/:id/sync", requireAdmin, async (req, res) => {
+    try {
+      const customer = await findCustomerForAdmin(req, res);
+      if (!customer) return;
+      if (!customer.customer_id)
+        return res.status(400).json({ error: "Customer has no Stripe id" });
+
+      const subscription = await getCurrentSubscription(customer);
+      if (subscription) {
+        await syncSubscriptionToCustomer(subscription);
+      } else {
+        await customersCollection.updateOne(
+          { _id: customer._id },
+          {
+            $set: {
+              subscription_status: Boolean(customer.lifetime_access),
+              subscription_state: null,
+              subscription_updated_at: new Date(),
+            },
+          }
+        );
+      }
+
+      const updated = await customersCollection.findOne({ _id: customer._id });
+      await recordAdminAudit(req, "customer.sync", String(customer._id), {
+        before: customer.subscription_status,
+        after: updated.subscription_status,
+        subscription_id: subscription?.id ?? null,
+      });
+
+      res.json({ success: true, customer: updated });
+    } catch (err) {
+      logger.error("Sync customer failed", { err });
+      res.status(500).json({ error: "Failed to sync customer" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,91 @@
+// routes/auth.js
+// Extension sign-in: Google ID tokens are exchanged for server-issued session
+// tokens (see auth.js), and requireUser guards routes that act on a customer.
+// requireAdmin guards admin and content-management routes.
+import express from "express";
+import { AuthError, secretsMatch } from "../auth.js";
+import { isValidEmail } from "../customers.js";
+
+// Resolve the caller's email from a bearer token (Google ID token or session
+// token) and expose it as req.userEmail. Routes must never trust a
+// client-supplied email for identity.
+//
+// allowUnauthenticatedEmail lets extension versions that predate token auth
+// keep sending a bare email while they roll out.
+export function createRequireUser({ verifier, allowUnauthenticatedEmail }) {
+  return async function requireUser(req, res, next) {
+    const header = req.headers.authorization || "";
+
+    if (header.startsWith("Bearer ")) {
+      try {
+        const { email } = await verifier.verify(header.slice(7));
+        req.userEmail = email;
+        return next();
+      } catch (err) {
+        if (!(err instanceof AuthError)) return next(err);
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+    }
+
+    if (allowUnauthenticatedEmail) {
+      const email = req.body?.email ?? req.query.email;
+      if (!email) return res.status(400).json({ error: "Email required" });
+      if (typeof email !== "string" || !isValidEmail(email))
+        return res.status(400).json({ error: "Invalid email format" });
+      req.userEmail = email.toLowerCase();
+      return next();
+    }
+
+    res.status(401).json({ error: "Authentication required" });
+  };
+}
+
+// Admin keys are sent as a bearer token (see config.js for how keys are
+// configured); the key's name is exposed as req.adminName
+export function createRequireAdmin({ adminKeys }) {
+  return function requireAdmin(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+    const admin = token
+      ? adminKeys.find(({ key }) => secretsMatch(token, key))
+      : null;
+    if (!admin) return res.status(401).json({ error: "Unauthorized" });
+
+    req.adminName = admin.name;
+    next();
+  };
+}
+
+export function createAuthRouter({ idTokenVerifier, sessionTokens, logger }) {
+  const router = express.Router();
+
+  // POST /auth/session - exchange a Google ID token for a session token
+  router.post("/auth/session", async (req, res) => {
+    try {
+      const { id_token } = req.body;
+      if (typeof id_token !== "string" || !id_token)
+        return res.status(400).json({ error: "id_token required" });
+
+      let email;
+      try {
+        ({ email } = await idTokenVerifier.verify(id_token));
+      } catch (err) {
+        if (!(err instanceof AuthError)) throw err;
+        return res.status(401).json({ error: "Invalid ID token" });
+      }
+
+      const session = await sessionTokens.issue(email);
+      res.json({
+        session_token: session.token,
+        expires_at: session.expires_at,
+        email,
+      });
+    } catch (err) {
+      logger.error("Create session failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,674 @@
+// routes/billing.js
+// Stripe webhook, checkout, referral and subscription management routes.
+import express from "express";
+import bodyParser from "body-parser";
+import { isValidReferralCode } from "../billing.js";
+import { getOwnerEmail, isSubscribed, isValidEmail } from "../customers.js";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { DEFAULT_PLAN_KEY, findPlan, findPlanByPriceId } from "../plans.js";
+import {
+  CANCELABLE_SUBSCRIPTION_STATUSES,
+  getSubscriptionPeriodEnd,
+} from "../subscriptions.js";
+
+const TRIAL_PERIOD_DAYS = 7;
+// Cached Stripe prices for GET /plans
+const PLAN_PRICES_TTL_MS = 60 * 60 * 1000;
+
+// Must be mounted before express.json(): signature checks need the raw body
+export function createWebhookRouter({
+  stripe,
+  config,
+  billing,
+  logger,
+  metrics,
+}) {
+  const router = express.Router();
+  const { claimStripeEvent, runStripeEvent } = billing;
+
+  // ---------------- STRIPE WEBHOOK -----------------
+  router.post(
+    "/webhook",
+    // Use raw body for signature verification
+    bodyParser.raw({ type: "application/json" }),
+    async (req, res) => {
+      const sig = req.headers["stripe-signature"];
+      const webhookSecret = config.stripe.webhookSecret;
+
+      let event;
+
+      try {
+        // Construct the Stripe event from raw body
+        event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+      } catch (err) {
+        logger.warn("Webhook signature verification failed", {
+          error: err.message,
+        });
+        metrics.webhookEvents.inc({
+          type: "unknown",
+          outcome: "invalid_signature",
+        });
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+      }
+
+      let claimed;
+      try {
+        claimed = await claimStripeEvent(event);
+      } catch (err) {
+        logger.error("Webhook: Failed to record event", {
+          event_id: event.id,
+          event_type: event.type,
+          err,
+        });
+        metrics.webhookEvents.inc({ type: event.type, outcome: "error" });
+        return res.status(500).json({ error: "Failed to record event" });
+      }
+
+      if (!claimed) {
+        logger.info("Webhook: Skipping already handled event", {
+          event_id: event.id,
+          event_type: event.type,
+        });
+        metrics.webhookEvents.inc({ type: event.type, outcome: "duplicate" });
+        return res.status(200).json({ received: true, duplicate: true });
+      }
+
+      const outcome = await runStripeEvent(event);
+      metrics.webhookEvents.inc({ type: event.type, outcome: outcome.status });
+      if (outcome.status === "failed") {
+        // Non-2xx makes Stripe retry delivery; the ledger entry allows a retry
+        return res.status(500).json({ error: "Failed to process event" });
+      }
+
+      // Return a 200 response to acknowledge receipt
+      res.status(200).json({ received: true });
+    }
+  );
+
+  return router;
+}
+
+export function createBillingRouter({
+  stripe,
+  collections,
+  config,
+  freeQuotaPolicy,
+  customers,
+  metering,
+  billing,
+  requireUser,
+  logger,
+  metrics,
+}) {
+  const router = express.Router();
+  const { customersCollection, referralsCollection, organizationsCollection } =
+    collections;
+  const { plans } = config;
+  const { findCustomerByEmail } = customers;
+  const { refreshFreeQuota, getActionBalance } = metering;
+  const {
+    syncSubscriptionToCustomer,
+    ensureReferralCode,
+    getCurrentSubscription,
+  } = billing;
+
+  // ---------------- CREATE CHECKOUT ----------------
+  router.post("/create-checkout", async (req, res) => {
+    try {
+      let { email } = req.body;
+      if (!email) return res.status(400).json({ error: "Email required" });
+      if (!isValidEmail(email))
+        return res.status(400).json({ error: "Invalid email format" });
+
+      const normalizedEmail = email.toLowerCase();
+      logger.info("Create checkout request", { email: normalizedEmail });
+
+      const plan = findPlan(plans, req.body.plan ?? DEFAULT_PLAN_KEY);
+      if (!plan) return res.status(400).json({ error: "Unknown plan" });
+
+      const { promo_code, trial = false, referral_code } = req.body;
+      if (
+        promo_code !== undefined &&
+        (typeof promo_code !== "string" ||
+          !promo_code ||
+          promo_code.length > 100)
+      )
+        return res.status(400).json({ error: "Invalid promo code" });
+      if (typeof trial !== "boolean")
+        return res.status(400).json({ error: "Invalid trial setting" });
+      if (referral_code !== undefined && !isValidReferralCode(referral_code))
+        return res.status(400).json({ error: "Invalid referral code" });
+
+      let promotionCodeId = null;
+      if (promo_code) {
+        const promotionCodes = await stripe.promotionCodes.list({
+          code: promo_code,
+          active: true,
+          limit: 1,
+        });
+        if (!promotionCodes.data.length)
+          return res.status(400).json({ error: "Invalid promo code" });
+        promotionCodeId = promotionCodes.data[0].id;
+      }
+
+      // Check if email already exists in DB
+      let customer = await findCustomerByEmail(normalizedEmail);
+      let stripeCustomerId;
+
+      if (customer) {
+        stripeCustomerId = customer.customer_id;
+        logger.debug("Found existing customer in DB", {
+          customer_id: stripeCustomerId,
+        });
+
+        // Verify the customer exists in Stripe (might be from test mode)
+        try {
+          await stripe.customers.retrieve(stripeCustomerId);
+          logger.debug("Customer verified in Stripe", {
+            customer_id: stripeCustomerId,
+          });
+        } catch (stripeErr) {
+          if (stripeErr.code === "resource_missing") {
+            // Customer doesn't exist in Stripe (probably from test mode)
+            // Create a new Stripe customer and update DB
+            logger.info("Customer not found in Stripe, creating new one", {
+              customer_id: stripeCustomerId,
+            });
+            const newStripeCustomer = await stripe.customers.create({
+              email: normalizedEmail,
+            });
+            stripeCustomerId = newStripeCustomer.id;
+
+            // Update the DB with the new Stripe customer ID
+            await customersCollection.updateOne(
+              { _id: customer._id },
+              {
+                $set: {
+                  customer_id: stripeCustomerId,
+                  subscription_status: false, // Reset since old subscription was in test mode
+                },
+              }
+            );
+            logger.info("Updated customer with new Stripe ID", {
+              customer_id: stripeCustomerId,
+            });
+          } else {
+            throw stripeErr;
+          }
+        }
+      } else {
+        // Create Stripe customer
+        const stripeCustomer = await stripe.customers.create({
+          email: normalizedEmail,
+        });
+        stripeCustomerId = stripeCustomer.id;
+
+        // Insert into DB
+        try {
+          await customersCollection.insertOne({
+            customer_id: stripeCustomerId,
+            subscription_status: false,
+            plan: config.stripe.defaultPriceId,
+            emails: [normalizedEmail],
+            owner_email: normalizedEmail,
+            created_at: new Date(),
+          });
+          logger.info("Inserted new customer", {
+            customer_id: stripeCustomerId,
+          });
+        } catch (err) {
+          logger.error("Failed to insert customer", { err });
+          return res
+            .status(500)
+            .json({ error: "Failed to create customer in DB" });
+        }
+      }
+
+      // Trials only apply to subscriptions and only once per customer
+      const trialDays =
+        trial && plan.mode === "subscription" && !customer?.trial_used
+          ? TRIAL_PERIOD_DAYS
+          : null;
+      const metadata = {
+        plan: plan.key,
+        ...(referral_code && { referral_code }),
+      };
+
+      // Create Stripe Checkout session
+      const session = await stripe.checkout.sessions.create({
+        mode: plan.mode,
+        line_items: [
+          {
+            price: plan.price_id,
+            quantity: 1,
+          },
+        ],
+        metadata,
+        ...(plan.mode === "subscription" && {
+          subscription_data: {
+            metadata,
+            ...(trialDays && { trial_period_days: trialDays }),
+          },
+        }),
+        // Stripe rejects allow_promotion_codes together with discounts
+        ...(promotionCodeId
+          ? { discounts: [{ promotion_code: promotionCodeId }] }
+          : { allow_promotion_codes: true }),
+        customer: stripeCustomerId,
+        success_url: `${config.publicUrl}/payment-success?customer_id=${stripeCustomerId}`,
+        cancel_url: `${config.publicUrl}/payment-cancel`,
+      });
+
+      metrics.checkoutSessions.inc({ plan: plan.key, account: "individual" });
+      logger.info("Checkout session created", {
+        customer_id: stripeCustomerId,
+        plan: plan.key,
+        session_id: session.id,
+      });
+
+      res.json({ url: session.url, trial_days: trialDays });
+    } catch (err) {
+      logger.error("Create checkout failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ---------------------------------- RESOLVE CUSTOMER -------------------------
+  router.post("/resolve-customer", requireUser, async (req, res) => {
+    try {
+      const normalizedEmail = req.userEmail;
+      const customer = await customersCollection.findOne({
+        emails: { $in: [normalizedEmail] },
+      });
+
+      if (!customer) return res.json({ found: false });
+
+      res.json({
+        found: true,
+        customer_id: customer.customer_id,
+        subscribed: isSubscribed(customer, req.userEmail),
+        organization_id: customer.organization_access?.organization_id ?? null,
+        ...(await getActionBalance(await refreshFreeQuota(customer))),
+      });
+    } catch (err) {
+      logger.error("Resolve customer failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ------------------------ CHECK SUBSCRIPTION --------------------------------------
+  router.get("/check-subscription", async (req, res) => {
+    try {
+      const { customer_id } = req.query;
+      if (!customer_id)
+        return res.status(400).json({ error: "Customer ID required" });
+      // Validate customer_id format (Stripe customer IDs start with "cus_")
+      if (
+        typeof customer_id !== "string" ||
+        customer_id.length > 100 ||
+        !customer_id.startsWith("cus_")
+      )
+        return res.status(400).json({ error: "Invalid customer ID format" });
+
+      const customer = await customersCollection.findOne({ customer_id });
+      if (!customer) {
+        // Organization checkouts come back with the organization's customer
+        const organization = await organizationsCollection.findOne(
+          { customer_id },
+          { projection: { subscription_status: 1 } }
+        );
+        return res.json({
+          subscribed: Boolean(organization?.subscription_status),
+          ...(await getActionBalance(null)),
+        });
+      }
+
+      res.json({
+        subscribed: isSubscribed(customer, getOwnerEmail(customer)),
+        ...(await getActionBalance(await refreshFreeQuota(customer))),
+      });
+    } catch (err) {
+      logger.error("Check subscription failed", { err });
+      res.status(500).json({ subscribed: false });
+    }
+  });
+
+  // ------------------------ REFERRAL --------------------------------------
+  // GET /referral - the signed-in customer's referral code and what it earned
+  router.get("/referral", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      const code = await ensureReferralCode(customer);
+      const referrals = await referralsCollection
+        .find(
+          { referrer_doc_id: customer._id },
+          { projection: { _id: 0, reward: 1, credited_at: 1 } }
+        )
+        .sort({ created_at: -1 })
+        .toArray();
+
+      res.json({
+        referral_code: code,
+        referral_link: `${config.publicUrl}/?ref=${code}`,
+        referrals_count: referrals.length,
+        referrals,
+      });
+    } catch (err) {
+      logger.error("Get referral failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // Billing belongs to the customer's owner email (see getOwnerEmail); linked
+  // emails share the plan but can't change it. Sends a 403 and returns false
+  // for anyone else.
+  function checkBillingOwner(req, res, customer) {
+    if (getOwnerEmail(customer) === req.userEmail) return true;
+    res
+      .status(403)
+      .json({ error: "Only the account owner can manage billing" });
+    return false;
+  }
+
+  // For customers with nothing in Stripe to cancel. Lifetime access doesn't
+  // depend on a subscription, so it's kept.
+  async function revokeSubscriptionAccess(customer) {
+    await customersCollection.updateOne(
+      { _id: customer._id, lifetime_access: { $ne: true } },
+      { $set: { subscription_status: false } }
+    );
+  }
+
+  // ---------------- UNSUBSCRIBE ----------------
+  router.post("/unsubscribe", requireUser, async (req, res) => {
+    try {
+      const normalizedEmail = req.userEmail;
+      logger.info("Unsubscribe request", { email: normalizedEmail });
+
+      const customer = await findCustomerByEmail(normalizedEmail);
+
+      if (!customer) {
+        logger.info("Customer not found in DB", { email: normalizedEmail });
+        return res.status(404).json({ error: "Customer not found" });
+      }
+      if (!checkBillingOwner(req, res, customer)) return;
+
+      logger.debug("Found customer", {
+        customer_id: customer.customer_id,
+        subscription_status: customer.subscription_status,
+      });
+
+      if (!customer.subscription_status) {
+        return res.json({ success: true, message: "No active subscription" });
+      }
+
+      // Try to get subscriptions from Stripe, but handle missing customer
+      let subscriptions;
+      try {
+        subscriptions = await stripe.subscriptions.list({
+          customer: customer.customer_id,
+        });
+        logger.debug("Found subscriptions in Stripe", {
+          customer_id: customer.customer_id,
+          count: subscriptions.data.length,
+        });
+      } catch (stripeErr) {
+        if (stripeErr.code === "resource_missing") {
+          // Customer doesn't exist in Stripe (probably from test mode)
+          logger.info("Customer not found in Stripe, just updating DB", {
+            customer_id: customer.customer_id,
+          });
+          await revokeSubscriptionAccess(customer);
+          return res.json({
+            success: true,
+            message: "Subscription status reset",
+          });
+        }
+        throw stripeErr;
+      }
+
+      // Filter to only active/past_due/trialing subscriptions that can be canceled
+      const subscriptionsToCancel = subscriptions.data.filter((sub) =>
+        CANCELABLE_SUBSCRIPTION_STATUSES.includes(sub.status)
+      );
+
+      logger.debug("Subscriptions to cancel", {
+        count: subscriptionsToCancel.length,
+      });
+      if (!subscriptionsToCancel.length)
+        await revokeSubscriptionAccess(customer);
+
+      // Access follows from the canceled subscriptions the same way it does
+      // for webhooks, so lifetime access is kept
+      let failed = 0;
+      for (const subscription of subscriptionsToCancel) {
+        try {
+          const canceled = await stripe.subscriptions.cancel(subscription.id);
+          await syncSubscriptionToCustomer(canceled);
+          logger.info("Canceled subscription", {
+            subscription_id: subscription.id,
+          });
+        } catch (cancelErr) {
+          failed++;
+          logger.error("Failed to cancel subscription", {
+            subscription_id: subscription.id,
+            err: cancelErr,
+          });
+        }
+      }
+      if (failed)
+        return res.status(500).json({ error: "Failed to unsubscribe" });
+
+      logger.info("Unsubscribed customer", {
+        customer_id: customer.customer_id,
+      });
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Unsubscribe failed", { err });
+      res.status(500).json({ error: "Failed to unsubscribe" });
+    }
+  });
+
+  // ---------------- PLAN MANAGEMENT ----------------
+
+  let planPricesCache = { fetchedAt: 0, prices: new Map() };
+
+  async function getPlanPrices() {
+    if (Date.now() - planPricesCache.fetchedAt < PLAN_PRICES_TTL_MS)
+      return planPricesCache.prices;
+
+    const prices = new Map();
+    for (const plan of plans) {
+      const price = await stripe.prices.retrieve(plan.price_id);
+      prices.set(plan.key, {
+        amount: price.unit_amount,
+        currency: price.currency,
+      });
+    }
+    planPricesCache = { fetchedAt: Date.now(), prices };
+    return prices;
+  }
+
+  // GET /plans - public plan catalog for the extension and landing page
+  router.get("/plans", async (req, res) => {
+    try {
+      const prices = await getPlanPrices();
+      res.json({
+        plans: plans.map(({ key, name, mode, interval, entitlements }) => ({
+          key,
+          name,
+          mode,
+          interval,
+          entitlements,
+          price: prices.get(key) ?? null,
+        })),
+        free: { actions: FREE_ACTIONS_LIMIT, period: freeQuotaPolicy.period },
+      });
+    } catch (err) {
+      logger.error("List plans failed", { err });
+      res.status(500).json({ error: "Failed to fetch plans" });
+    }
+  });
+
+  // Shared lookup for routes that act on the signed-in customer's subscription.
+  // Sends the error response and returns null when there is nothing to act on.
+  async function resolveSubscriptionForRequest(req, res) {
+    const customer = await findCustomerByEmail(req.userEmail);
+    if (!customer?.customer_id) {
+      res.status(404).json({ error: "Customer not found" });
+      return null;
+    }
+    if (!checkBillingOwner(req, res, customer)) return null;
+
+    const subscription = await getCurrentSubscription(customer);
+    if (!subscription) {
+      res.status(404).json({ error: "No active subscription" });
+      return null;
+    }
+
+    return { customer, subscription };
+  }
+
+  function subscriptionSummary(subscription) {
+    return {
+      subscription_id: subscription.id,
+      status: subscription.status,
+      price_id: subscription.items.data[0]?.price?.id ?? null,
+      plan:
+        findPlanByPriceId(plans, subscription.items.data[0]?.price?.id)?.key ??
+        null,
+      current_period_end: getSubscriptionPeriodEnd(subscription),
+      cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    };
+  }
+
+  // POST /billing-portal - Stripe-hosted page to update cards and get invoices
+  router.post("/billing-portal", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      if (!customer?.customer_id)
+        return res.status(404).json({ error: "Customer not found" });
+      if (!checkBillingOwner(req, res, customer)) return;
+
+      const session = await stripe.billingPortal.sessions.create({
+        customer: customer.customer_id,
+        return_url: `${config.publicUrl}/`,
+      });
+
+      res.json({ url: session.url });
+    } catch (err) {
+      logger.error("Create billing portal session failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // GET /subscription - current plan details for the signed-in customer
+  router.get("/subscription", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      if (!customer?.customer_id) return res.json({ subscription: null });
+
+      const subscription = await getCurrentSubscription(customer);
+      res.json({
+        subscription: subscription ? subscriptionSummary(subscription) : null,
+      });
+    } catch (err) {
+      logger.error("Get subscription failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /subscription/cancel - cancel at the end of the paid period
+  router.post("/subscription/cancel", requireUser, async (req, res) => {
+    try {
+      const resolved = await resolveSubscriptionForRequest(req, res);
+      if (!resolved) return;
+
+      const subscription = await stripe.subscriptions.update(
+        resolved.subscription.id,
+        { cancel_at_period_end: true }
+      );
+      await syncSubscriptionToCustomer(subscription);
+
+      res.json({
+        success: true,
+        subscription: subscriptionSummary(subscription),
+      });
+    } catch (err) {
+      logger.error("Cancel subscription failed", { err });
+      res.status(500).json({ error: "Failed to cancel subscription" });
+    }
+  });
+
+  // POST /subscription/resume - undo a pending cancel_at_period_end
+  router.post("/subscription/resume", requireUser, async (req, res) => {
+    try {
+      const resolved = await resolveSubscriptionForRequest(req, res);
+      if (!resolved) return;
+
+      if (!resolved.subscription.cancel_at_period_end)
+        return res.json({
+          success: true,
+          subscription: subscriptionSummary(resolved.subscription),
+        });
+
+      const subscription = await stripe.subscriptions.update(
+        resolved.subscription.id,
+        { cancel_at_period_end: false }
+      );
+      await syncSubscriptionToCustomer(subscription);
+
+      res.json({
+        success: true,
+        subscription: subscriptionSummary(subscription),
+      });
+    } catch (err) {
+      logger.error("Resume subscription failed", { err });
+      res.status(500).json({ error: "Failed to resume subscription" });
+    }
+  });
+
+  // POST /subscription/switch-plan - move the subscription to another recurring plan
+  router.post("/subscription/switch-plan", requireUser, async (req, res) => {
+    try {
+      const plan = findPlan(plans, req.body.plan);
+      if (!plan || plan.mode !== "subscription")
+        return res.status(400).json({ error: "Unknown plan" });
+      const { price_id } = plan;
+
+      const resolved = await resolveSubscriptionForRequest(req, res);
+      if (!resolved) return;
+
+      const [item] = resolved.subscription.items.data;
+      if (item.price.id === price_id)
+        return res.json({
+          success: true,
+          subscription: subscriptionSummary(resolved.subscription),
+        });
+
+      const subscription = await stripe.subscriptions.update(
+        resolved.subscription.id,
+        {
+          items: [{ id: item.id, price: price_id }],
+          proration_behavior: "create_prorations",
+          cancel_at_period_end: false,
+        }
+      );
+      // Syncing stores the new plan and starts its quota, if it has one
+      await syncSubscriptionToCustomer(subscription);
+
+      res.json({
+        success: true,
+        subscription: subscriptionSummary(subscription),
+      });
+    } catch (err) {
+      logger.error("Switch plan failed", { err });
+      res.status(500).json({ error: "Failed to switch plan" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,438 @@
+// routes/blog.js
+// Public blog API (listing, tags, search and single posts), and the admin
+// API posts are written with (see blog.js for statuses). Admin routes take an
+// admin key like the ones in routes/admin.js, and every change is saved as a
+// revision of the slug and written to the audit log.
+import express from "express";
+import {
+  BLOG_CONTENT_FIELDS,
+  BLOG_PAGE_LIMIT,
+  BLOG_STATUSES,
+  adminPost,
+  isValidSlug,
+  isValidTag,
+  postSummary,
+  publicPost,
+  renderPostContent,
+  revisionSummary,
+  validateBlogPost,
+} from "../blog.js";
+
+const REVISIONS_PAGE_LIMIT = 100;
+
+export function createBlogRouter({
+  collections,
+  blog,
+  requireAdmin,
+  recordAdminAudit,
+  logger,
+}) {
+  const router = express.Router();
+  const { blogCollection, blogRevisionsCollection } = collections;
+  const {
+    listPublishedPosts,
+    getPublishedTags,
+    searchPublishedPosts,
+    getRelatedPosts,
+    getBlogPostBySlug,
+  } = blog;
+
+  async function insertBlogPost(post) {
+    if (!isValidSlug(post?.slug)) throw new Error("Invalid blog post format");
+    await blogCollection.insertOne(post);
+  }
+
+  // Revisions of a slug outlive the post, so numbering carries on after a
+  // post is deleted and written again
+  async function getLatestRevisionNumber(slug) {
+    const latest = await blogRevisionsCollection.findOne(
+      { slug },
+      { sort: { revision: -1 }, projection: { revision: 1 } }
+    );
+    return latest?.revision ?? 0;
+  }
+
+  async function saveRevision(post, action, details = {}) {
+    const revision = {
+      slug: post.slug,
+      revision: post.revision,
+      status: post.status ?? "published",
+      publish_at: post.publish_at ?? null,
+      author: post.author ?? null,
+      action,
+      ...details,
+      created_at: new Date(),
+    };
+    for (const field of BLOG_CONTENT_FIELDS) revision[field] = post[field];
+    await blogRevisionsCollection.insertOne(revision);
+  }
+
+  // Posts from before revisions existed get their current state saved first,
+  // so the first edit can be rolled back. Returns the revision to build on.
+  async function ensureBaselineRevision(post) {
+    if (post.revision) return post.revision;
+    const revision = (await getLatestRevisionNumber(post.slug)) + 1;
+    try {
+      await saveRevision({ ...post, revision }, "import");
+    } catch (err) {
+      // A concurrent edit already saved it; the post update decides who wins
+      if (err.code !== 11000) throw err;
+    }
+    return revision;
+  }
+
+  // Write new fields over the post, as long as nobody else has since it was
+  // loaded. Returns the updated post, or null on a conflict.
+  async function updateBlogPost(post, fields, req) {
+    const revision = (await ensureBaselineRevision(post)) + 1;
+    return await blogCollection.findOneAndUpdate(
+      { slug: post.slug, revision: post.revision ?? null },
+      {
+        $set: {
+          ...fields,
+          revision,
+          author: req.adminName,
+          updated_at: new Date(),
+        },
+      },
+      { returnDocument: "after", projection: { _id: 0 } }
+    );
+  }
+
+  // Load the post named by :slug, drafts included, or send a 404
+  async function findPostForAdmin(req, res) {
+    const post = await getBlogPostBySlug(req.params.slug, {
+      includeUnpublished: true,
+    });
+    if (!post) res.status(404).json({ error: "Blog post not found" });
+    return post;
+  }
+
+  // GET /api/blog?tag=&limit=&before= - published posts, newest first,
+  // paginated by the next_cursor of the previous page
+  router.get("/api/blog", async (req, res) => {
+    try {
+      const { tag, before } = req.query;
+      if (tag !== undefined && !isValidTag(tag))
+        return res.status(400).json({ error: "Invalid tag" });
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        BLOG_PAGE_LIMIT
+      );
+
+      const page = await listPublishedPosts({ tag, before, limit });
+      if (!page) return res.status(400).json({ error: "Invalid cursor" });
+      res.json({
+        posts: page.posts.map(postSummary),
+        next_cursor: page.next_cursor,
+      });
+    } catch (err) {
+      logger.error("List blog posts failed", { err });
+      res.status(500).json({ error: "Failed to fetch blog posts" });
+    }
+  });
+
+  // GET /api/blog/tags - tags on published posts with how many use each
+  router.get("/api/blog/tags", async (req, res) => {
+    try {
+      res.json({ tags: await getPublishedTags() });
+    } catch (err) {
+      logger.error("List blog tags failed", { err });
+      res.status(500).json({ error: "Failed to fetch blog tags" });
+    }
+  });
+
+  // GET /api/blog/search?q= - published posts matching the words in q
+  router.get("/api/blog/search", async (req, res) => {
+    try {
+      const { q } = req.query;
+      if (typeof q !== "string" || !q.trim())
+        return res.status(400).json({ error: "q is required" });
+      const posts = await searchPublishedPosts(q);
+      res.json({ posts: posts.map(postSummary) });
+    } catch (err) {
+      logger.error("Search blog posts failed", { err });
+      res.status(500).json({ error: "Failed to search blog posts" });
+    }
+  });
+
+  // GET /api/blog/:slug - get a single post by slug, with related posts
+  router.get("/api/blog/:slug", async (req, res) => {
+    try {
+      const post = await getBlogPostBySlug(req.params.slug);
+      if (!post) return res.status(404).json({ error: "Blog post not found" });
+      const related = await getRelatedPosts(post);
+      res.json({ ...publicPost(post), related: related.map(postSummary) });
+    } catch (err) {
+      logger.error("Get blog post failed", { err });
+      res.status(500).json({ error: "Failed to fetch blog post" });
+    }
+  });
+
+  // ---------------- ADMIN ----------------
+
+  // GET /admin/blog?status= - every post, drafts included, newest first
+  router.get("/admin/blog", requireAdmin, async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !BLOG_STATUSES.includes(status))
+        return res.status(400).json({ error: "Invalid status" });
+
+      // Posts without a status are published
+      const filter =
+        status === "published"
+          ? { status: { $in: [null, "published"] } }
+          : status
+          ? { status }
+          : {};
+      const posts = await blogCollection
+        .find(filter, { projection: { _id: 0, content: 0 } })
+        .sort({ date: -1, slug: -1 })
+        .toArray();
+      res.json({ posts: posts.map(adminPost) });
+    } catch (err) {
+      logger.error("Admin blog list failed", { err });
+      res.status(500).json({ error: "Failed to fetch blog posts" });
+    }
+  });
+
+  // GET /admin/blog/:slug - one post, drafts included, for editing
+  router.get("/admin/blog/:slug", requireAdmin, async (req, res) => {
+    try {
+      const post = await findPostForAdmin(req, res);
+      if (!post) return;
+      res.json({ post: adminPost(post) });
+    } catch (err) {
+      logger.error("Admin blog post lookup failed", { err });
+      res.status(500).json({ error: "Failed to fetch blog post" });
+    }
+  });
+
+  // POST /api/blog - create a post from markdown (or HTML sent as content);
+  // it is a draft unless a status is given
+  router.post("/api/blog", requireAdmin, async (req, res) => {
+    try {
+      const { post: fields, errors } = validateBlogPost(req.body);
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid blog post", details: errors });
+
+      const { slug } = req.body;
+      const now = new Date();
+      const post = {
+        slug,
+        ...fields,
+        revision: (await getLatestRevisionNumber(slug)) + 1,
+        author: req.adminName,
+        created_at: now,
+        updated_at: now,
+      };
+      try {
+        await insertBlogPost(post);
+      } catch (err) {
+        if (err.code === 11000)
+          return res
+            .status(409)
+            .json({ error: "A blog post with this slug already exists" });
+        throw err;
+      }
+
+      await saveRevision(post, "create");
+      await recordAdminAudit(req, "blog.create", slug, {
+        status: post.status,
+        revision: post.revision,
+      });
+      res.status(201).json({ post: adminPost(post) });
+    } catch (err) {
+      logger.error("Create blog post failed", { err });
+      res.status(500).json({ error: "Failed to create blog post" });
+    }
+  });
+
+  // PUT /api/blog/:slug - update a post. Fields left out keep their values.
+  // Sending the revision the edit was based on turns a concurrent edit into
+  // a 409 instead of overwriting it.
+  router.put("/api/blog/:slug", requireAdmin, async (req, res) => {
+    try {
+      const post = await findPostForAdmin(req, res);
+      if (!post) return;
+
+      const { slug, revision } = req.body ?? {};
+      if (slug !== undefined && slug !== post.slug)
+        return res
+          .status(400)
+          .json({ error: "A post's slug can't be changed" });
+      if (revision !== undefined && revision !== (post.revision ?? 0))
+        return res.status(409).json({
+          error: "The post has changed since this edit started",
+          revision: post.revision ?? 0,
+        });
+
+      const { post: fields, errors } = validateBlogPost(req.body, {
+        existing: post,
+      });
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid blog post", details: errors });
+
+      const updated = await updateBlogPost(post, fields, req);
+      if (!updated)
+        return res
+          .status(409)
+          .json({ error: "The post was changed by someone else, try again" });
+
+      await saveRevision(updated, "update");
+      await recordAdminAudit(req, "blog.update", post.slug, {
+        status: updated.status,
+        revision: updated.revision,
+      });
+      res.json({ post: adminPost(updated) });
+    } catch (err) {
+      logger.error("Update blog post failed", { err });
+      res.status(500).json({ error: "Failed to update blog post" });
+    }
+  });
+
+  // DELETE /api/blog/:slug - delete a post. Its revisions are kept, so it
+  // can be brought back with a rollback.
+  router.delete("/api/blog/:slug", requireAdmin, async (req, res) => {
+    try {
+      const post = await findPostForAdmin(req, res);
+      if (!post) return;
+
+      const revision = (await ensureBaselineRevision(post)) + 1;
+      const deleted = await blogCollection.findOneAndDelete({
+        slug: post.slug,
+        revision: post.revision ?? null,
+      });
+      if (!deleted)
+        return res
+          .status(409)
+          .json({ error: "The post was changed by someone else, try again" });
+
+      await saveRevision(
+        { ...deleted, revision, author: req.adminName },
+        "delete"
+      );
+      await recordAdminAudit(req, "blog.delete", post.slug, { revision });
+      res.json({ deleted: true, slug: post.slug, revision });
+    } catch (err) {
+      logger.error("Delete blog post failed", { err });
+      res.status(500).json({ error: "Failed to delete blog post" });
+    }
+  });
+
+  // ---------------- REVISIONS ----------------
+
+  // GET /api/blog/:slug/revisions - the slug's revisions, newest first
+  router.get("/api/blog/:slug/revisions", requireAdmin, async (req, res) => {
+    try {
+      const { slug } = req.params;
+      if (!isValidSlug(slug))
+        return res.status(404).json({ error: "Blog post not found" });
+
+      const revisions = await blogRevisionsCollection
+        .find({ slug }, { projection: { content: 0 } })
+        .sort({ revision: -1 })
+        .limit(REVISIONS_PAGE_LIMIT)
+        .toArray();
+      res.json({ revisions: revisions.map(revisionSummary) });
+    } catch (err) {
+      logger.error("List blog revisions failed", { err });
+      res.status(500).json({ error: "Failed to list revisions" });
+    }
+  });
+
+  // GET /api/blog/:slug/revisions/:revision - one revision in full
+  router.get(
+    "/api/blog/:slug/revisions/:revision",
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const { slug } = req.params;
+        const revision = Number(req.params.revision);
+        const found =
+          isValidSlug(slug) && Number.isInteger(revision)
+            ? await blogRevisionsCollection.findOne(
+                { slug, revision },
+                { projection: { _id: 0 } }
+              )
+            : null;
+        if (!found)
+          return res.status(404).json({ error: "Revision not found" });
+        res.json({ revision: found });
+      } catch (err) {
+        logger.error("Get blog revision failed", { err });
+        res.status(500).json({ error: "Failed to fetch revision" });
+      }
+    }
+  );
+
+  // POST /api/blog/:slug/rollback - restore a revision's title, date,
+  // description, markdown and content as a new revision. The post keeps its
+  // status; a deleted post comes back as a draft.
+  router.post("/api/blog/:slug/rollback", requireAdmin, async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const { revision } = req.body ?? {};
+      if (!Number.isInteger(revision))
+        return res.status(400).json({ error: "revision must be a number" });
+
+      const target = isValidSlug(slug)
+        ? await blogRevisionsCollection.findOne({ slug, revision })
+        : null;
+      if (!target) return res.status(404).json({ error: "Revision not found" });
+
+      // Revisions of posts from before sanitizing existed may hold raw HTML
+      const fields = {};
+      for (const field of BLOG_CONTENT_FIELDS) fields[field] = target[field];
+      fields.markdown ??= null;
+      fields.content = renderPostContent(fields);
+
+      const post = await getBlogPostBySlug(slug, { includeUnpublished: true });
+      let restored;
+      if (post) {
+        restored = await updateBlogPost(post, fields, req);
+        if (!restored)
+          return res
+            .status(409)
+            .json({ error: "The post was changed by someone else, try again" });
+      } else {
+        const now = new Date();
+        restored = {
+          slug,
+          ...fields,
+          status: "draft",
+          publish_at: null,
+          revision: (await getLatestRevisionNumber(slug)) + 1,
+          author: req.adminName,
+          created_at: now,
+          updated_at: now,
+        };
+        try {
+          await insertBlogPost(restored);
+        } catch (err) {
+          if (err.code === 11000)
+            return res.status(409).json({
+              error: "The post was changed by someone else, try again",
+            });
+          throw err;
+        }
+      }
+
+      await saveRevision(restored, "rollback", { rolled_back_to: revision });
+      await recordAdminAudit(req, "blog.rollback", slug, {
+        rolled_back_to: revision,
+        revision: restored.revision,
+      });
+      res.json({ post: adminPost(restored) });
+    } catch (err) {
+      logger.error("Roll back blog post failed", { err });
+      res.status(500).json({ error: "Failed to roll back blog post" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,143 @@
+// routes/blogPages.js
+// The blog's public pages, rendered on the server so crawlers see the posts
+// (see blogPages.js), with the sitemap, feeds and robots.txt alongside. The
+// old client-rendered URLs redirect here.
+import express from "express";
+import { isValidTag } from "../blog.js";
+import {
+  renderAtomFeed,
+  renderBlogIndexPage,
+  renderBlogNotFoundPage,
+  renderBlogPostPage,
+  renderRobots,
+  renderRssFeed,
+  renderSitemap,
+} from "../blogPages.js";
+
+// Pages change when posts are published, so caches only hold them briefly
+const CACHE_CONTROL = "public, max-age=300";
+
+export function createBlogPagesRouter({ config, blog, logger }) {
+  const router = express.Router();
+  const { publicUrl: siteUrl, env } = config;
+  const {
+    getPublishedPosts,
+    listPublishedPosts,
+    getPublishedTags,
+    searchPublishedPosts,
+    getRelatedPosts,
+    getBlogPostBySlug,
+  } = blog;
+
+  // Serve a generated document, or a plain 500 if building it failed
+  function sendRendered(type, render) {
+    return async (req, res) => {
+      try {
+        const body = await render(req);
+        res.set("Cache-Control", CACHE_CONTROL).type(type).send(body);
+      } catch (err) {
+        logger.error("Render page failed", { err, path: req.path });
+        res.status(500).type("text").send("Something went wrong");
+      }
+    };
+  }
+
+  // GET /blog/index.html and /blog/post.html?slug= - the old page URLs
+  router.get("/blog/index.html", (req, res) => {
+    res.redirect(301, "/blog");
+  });
+  router.get("/blog/post.html", (req, res) => {
+    const { slug } = req.query;
+    res.redirect(
+      301,
+      typeof slug === "string" ? `/blog/${encodeURIComponent(slug)}` : "/blog"
+    );
+  });
+
+  // GET /blog?tag=&before=&q= - published posts, newest first, optionally
+  // by tag and paginated like GET /api/blog, or search results for q
+  router.get("/blog", async (req, res) => {
+    try {
+      const { tag, before, q } = req.query;
+      const query = typeof q === "string" && q.trim() ? q.trim() : null;
+      if (tag !== undefined && !isValidTag(tag)) return res.redirect("/blog");
+
+      const page = query
+        ? { posts: await searchPublishedPosts(query), next_cursor: null }
+        : await listPublishedPosts({ tag, before });
+      if (!page) return res.redirect("/blog");
+
+      res
+        .set("Cache-Control", CACHE_CONTROL)
+        .type("html")
+        .send(
+          renderBlogIndexPage({
+            siteUrl,
+            posts: page.posts,
+            tags: (await getPublishedTags()).map(({ tag }) => tag),
+            tag: query ? null : tag,
+            query,
+            before: query ? null : before,
+            nextCursor: page.next_cursor,
+          })
+        );
+    } catch (err) {
+      logger.error("Render blog index failed", { err });
+      res.status(500).type("text").send("Something went wrong");
+    }
+  });
+
+  // GET /blog/:slug - one published post, with related posts
+  router.get("/blog/:slug", async (req, res) => {
+    try {
+      const post = await getBlogPostBySlug(req.params.slug);
+      if (!post)
+        return res
+          .status(404)
+          .type("html")
+          .send(renderBlogNotFoundPage({ siteUrl }));
+      const related = await getRelatedPosts(post);
+      res
+        .set("Cache-Control", CACHE_CONTROL)
+        .type("html")
+        .send(renderBlogPostPage({ siteUrl, post, related }));
+    } catch (err) {
+      logger.error("Render blog post failed", { err });
+      res.status(500).type("text").send("Something went wrong");
+    }
+  });
+
+  router.get(
+    "/sitemap.xml",
+    sendRendered("application/xml", async () =>
+      renderSitemap({ siteUrl, posts: await getPublishedPosts() })
+    )
+  );
+
+  router.get(
+    "/rss.xml",
+    sendRendered("application/rss+xml", async () =>
+      renderRssFeed({
+        siteUrl,
+        posts: await getPublishedPosts({ withContent: true }),
+      })
+    )
+  );
+
+  router.get(
+    "/atom.xml",
+    sendRendered("application/atom+xml", async () =>
+      renderAtomFeed({
+        siteUrl,
+        posts: await getPublishedPosts({ withContent: true }),
+      })
+    )
+  );
+
+  router.get(
+    "/robots.txt",
+    sendRendered("text", async () => renderRobots({ siteUrl, env }))
+  );
+
+  return router;
+}
@@ -0,0 +1,354 @@
+// routes/emails.js
+// Linking an address is a two-step flow: the signed-in customer requests a
+// link, the new address receives a single-use code and confirmation link, and
+// only a confirmed request adds the address to the customer's emails.
+//
+// The customer's owner email (see getOwnerEmail) manages the linked emails:
+// only the owner can link new addresses or unlink other ones; anyone else can
+// only unlink their own.
+import express from "express";
+import crypto from "crypto";
+import { hashSecret } from "../auth.js";
+import { escapeHtml } from "../blogPages.js";
+import { getOwnerEmail, isValidEmail } from "../customers.js";
+
+// Emails a customer may share their plan with, including their own.
+// Set linked_email_limit on a customer document to sell extra seats.
+const DEFAULT_LINKED_EMAIL_LIMIT = 3;
+const EMAIL_LINK_TTL_MS = 30 * 60 * 1000;
+const EMAIL_LINK_MAX_ATTEMPTS = 5;
+
+function getLinkedEmailLimit(customer) {
+  return customer.linked_email_limit ?? DEFAULT_LINKED_EMAIL_LIMIT;
+}
+
+// The page the emailed link opens. Confirming takes a click (a POST), so
+// mail scanners that follow links can't confirm on the person's behalf.
+function renderConfirmPage({ token, requestedBy, newEmail }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <meta name="robots" content="noindex" />
+    <title>Confirm linking your email - GC Bulk Edit</title>
+  </head>
+  <body>
+    <h1>Link your email to GC Bulk Edit?</h1>
+    <p>
+      ${escapeHtml(requestedBy)} wants to share their GC Bulk Edit
+      subscription with ${escapeHtml(newEmail)}.
+    </p>
+    <form method="post" action="/link-email/confirm-link">
+      <input type="hidden" name="token" value="${escapeHtml(token)}" />
+      <button type="submit">Confirm</button>
+    </form>
+    <p>If you didn't expect this, close this tab.</p>
+  </body>
+</html>
+`;
+}
+
+export function createEmailsRouter({
+  collections,
+  config,
+  mailer,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { customersCollection, emailLinkRequestsCollection } = collections;
+
+  // Atomically claim a pending request and add its address to the customer,
+  // respecting the customer's linked-email limit. Returns an error string or null.
+  async function confirmEmailLink(linkRequest) {
+    const claimed = await emailLinkRequestsCollection.findOneAndUpdate(
+      {
+        _id: linkRequest._id,
+        status: "pending",
+        expires_at: { $gt: new Date() },
+      },
+      { $set: { status: "confirmed", confirmed_at: new Date() } }
+    );
+    if (!claimed) return "Link request is no longer valid";
+
+    const otherOwner = await customersCollection.findOne({
+      emails: { $in: [claimed.new_email] },
+      _id: { $ne: claimed.customer_doc_id },
+    });
+    if (otherOwner) return "Email is already linked to another account";
+
+    const customer = await customersCollection.findOne({
+      _id: claimed.customer_doc_id,
+    });
+    if (!customer) return "Customer not found";
+
+    const limit = getLinkedEmailLimit(customer);
+    // Only match while there is a free slot so concurrent confirms can't exceed it
+    const result = await customersCollection.updateOne(
+      { _id: customer._id, [`emails.${limit - 1}`]: { $exists: false } },
+      { $addToSet: { emails: claimed.new_email } }
+    );
+    if (
+      result.matchedCount === 0 &&
+      !customer.emails.includes(claimed.new_email)
+    )
+      return `Your plan allows at most ${limit} linked emails`;
+
+    logger.info("Linked email", {
+      email: claimed.new_email,
+      customer_doc_id: customer._id,
+    });
+    return null;
+  }
+
+  // POST /link-email - start linking new_email to the signed-in customer
+  router.post("/link-email", requireUser, async (req, res) => {
+    try {
+      const { new_email } = req.body;
+      if (!new_email) return res.status(400).json({ error: "Missing data" });
+      if (typeof new_email !== "string" || !isValidEmail(new_email))
+        return res.status(400).json({ error: "Invalid email format" });
+
+      const normalizedEmail = new_email.toLowerCase();
+      const customer = await customersCollection.findOne({
+        emails: { $in: [req.userEmail] },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+      if (req.userEmail !== getOwnerEmail(customer))
+        return res
+          .status(403)
+          .json({ error: "Only the account owner can link emails" });
+
+      if (customer.emails.includes(normalizedEmail))
+        return res.json({ success: true, already_linked: true });
+
+      const limit = getLinkedEmailLimit(customer);
+      if (customer.emails.length >= limit)
+        return res
+          .status(403)
+          .json({ error: `Your plan allows at most ${limit} linked emails` });
+
+      const otherOwner = await customersCollection.findOne({
+        emails: { $in: [normalizedEmail] },
+      });
+      if (otherOwner)
+        return res
+          .status(409)
+          .json({ error: "Email is already linked to another account" });
+
+      // A new request replaces any earlier pending one for the same address
+      await emailLinkRequestsCollection.updateMany(
+        {
+          customer_doc_id: customer._id,
+          new_email: normalizedEmail,
+          status: "pending",
+        },
+        { $set: { status: "superseded" } }
+      );
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = new Date(Date.now() + EMAIL_LINK_TTL_MS);
+
+      await emailLinkRequestsCollection.insertOne({
+        customer_doc_id: customer._id,
+        requested_by: req.userEmail,
+        new_email: normalizedEmail,
+        code_hash: hashSecret(code),
+        token_hash: hashSecret(token),
+        status: "pending",
+        failed_attempts: 0,
+        created_at: new Date(),
+        expires_at: expiresAt,
+      });
+
+      const confirmUrl = `${config.publicUrl}/link-email/confirm?token=${token}`;
+      await mailer.send({
+        to: normalizedEmail,
+        subject: "Confirm linking your email to GC Bulk Edit",
+        text:
+          `${req.userEmail} wants to share their GC Bulk Edit subscription with this address.\n\n` +
+          `Your confirmation code is ${code}, or open this link to confirm:\n${confirmUrl}\n\n` +
+          `The code expires in ${
+            EMAIL_LINK_TTL_MS / 60000
+          } minutes. If you didn't expect this, ignore this email.`,
+      });
+
+      res.status(202).json({ success: true, expires_at: expiresAt });
+    } catch (err) {
+      logger.error("Link email failed", { err });
+      res.status(500).json({ success: false });
+    }
+  });
+
+  // POST /link-email/confirm - confirm with the code sent to new_email
+  router.post("/link-email/confirm", requireUser, async (req, res) => {
+    try {
+      const { new_email, code } = req.body;
+      if (typeof new_email !== "string" || typeof code !== "string")
+        return res.status(400).json({ error: "Missing data" });
+
+      const customer = await customersCollection.findOne({
+        emails: { $in: [req.userEmail] },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      const linkRequest = await emailLinkRequestsCollection.findOne({
+        customer_doc_id: customer._id,
+        new_email: new_email.toLowerCase(),
+        status: "pending",
+        expires_at: { $gt: new Date() },
+      });
+      if (!linkRequest)
+        return res.status(404).json({ error: "No pending link request" });
+
+      if (linkRequest.code_hash !== hashSecret(code)) {
+        // Too many wrong guesses burns the request
+        await emailLinkRequestsCollection.updateOne({ _id: linkRequest._id }, [
+          {
+            $set: {
+              failed_attempts: { $add: ["$failed_attempts", 1] },
+              status: {
+                $cond: [
+                  {
+                    $gte: [
+                      { $add: ["$failed_attempts", 1] },
+                      EMAIL_LINK_MAX_ATTEMPTS,
+                    ],
+                  },
+                  "locked",
+                  "$status",
+                ],
+              },
+            },
+          },
+        ]);
+        return res.status(400).json({ error: "Invalid code" });
+      }
+
+      const error = await confirmEmailLink(linkRequest);
+      if (error) return res.status(409).json({ success: false, error });
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Confirm link email failed", { err });
+      res.status(500).json({ success: false });
+    }
+  });
+
+  // Pending request for the token in an emailed link, or null
+  async function findLinkRequestByToken(token) {
+    if (typeof token !== "string" || token.length > 100) return null;
+    return await emailLinkRequestsCollection.findOne({
+      token_hash: hashSecret(token),
+      status: "pending",
+      expires_at: { $gt: new Date() },
+    });
+  }
+
+  // GET /link-email/confirm?token= - the link in the email, asking to confirm
+  router.get("/link-email/confirm", async (req, res) => {
+    try {
+      const { token } = req.query;
+      const linkRequest = await findLinkRequestByToken(token);
+      if (!linkRequest)
+        return res.status(404).send("This confirmation link is not valid.");
+
+      res.set("Cache-Control", "no-store").send(
+        renderConfirmPage({
+          token,
+          requestedBy: linkRequest.requested_by,
+          newEmail: linkRequest.new_email,
+        })
+      );
+    } catch (err) {
+      logger.error("Show link email confirmation failed", { err });
+      res.status(500).send("Something went wrong. Please try again later.");
+    }
+  });
+
+  // POST /link-email/confirm-link - the confirmation page's form
+  router.post(
+    "/link-email/confirm-link",
+    express.urlencoded({ extended: false, limit: "1kb" }),
+    async (req, res) => {
+      try {
+        const linkRequest = await findLinkRequestByToken(req.body?.token);
+        if (!linkRequest)
+          return res.status(404).send("This confirmation link is not valid.");
+
+        const error = await confirmEmailLink(linkRequest);
+        if (error) return res.status(409).send(error);
+        res.send(
+          "Your email is now linked to GC Bulk Edit. You can close this tab."
+        );
+      } catch (err) {
+        logger.error("Confirm link email failed", { err });
+        res.status(500).send("Something went wrong. Please try again later.");
+      }
+    }
+  );
+
+  // GET /linked-emails - list the signed-in customer's emails
+  router.get("/linked-emails", requireUser, async (req, res) => {
+    try {
+      const customer = await customersCollection.findOne({
+        emails: { $in: [req.userEmail] },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      res.json({
+        emails: customer.emails,
+        owner_email: getOwnerEmail(customer),
+        limit: getLinkedEmailLimit(customer),
+      });
+    } catch (err) {
+      logger.error("List linked emails failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // POST /unlink-email - remove an email from the signed-in customer. The
+  // owner can unlink any other address; others can only unlink themselves.
+  router.post("/unlink-email", requireUser, async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (typeof email !== "string" || !isValidEmail(email))
+        return res.status(400).json({ error: "Invalid email format" });
+
+      const normalizedEmail = email.toLowerCase();
+      const customer = await customersCollection.findOne({
+        emails: { $all: [req.userEmail, normalizedEmail] },
+      });
+      if (!customer)
+        return res.status(404).json({ error: "Email is not linked" });
+
+      const ownerEmail = getOwnerEmail(customer);
+      if (normalizedEmail === ownerEmail)
+        return res
+          .status(403)
+          .json({ error: "The account owner's email can't be unlinked" });
+      if (req.userEmail !== ownerEmail && normalizedEmail !== req.userEmail)
+        return res
+          .status(403)
+          .json({ error: "Only the account owner can unlink other emails" });
+
+      const result = await customersCollection.updateOne(
+        { _id: customer._id, emails: normalizedEmail },
+        { $pull: { emails: normalizedEmail } }
+      );
+      if (result.matchedCount === 0)
+        return res.status(404).json({ error: "Email is not linked" });
+
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Unlink email failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,63 @@
+// routes/health.js
+// Probes and metrics for whatever runs the server. /healthz says the process
+// is up; /readyz also checks it can reach Mongo, so a load balancer only
+// sends traffic to instances that can serve it. /metrics is Prometheus text
+// (see metrics.js), behind METRICS_TOKEN when one is set.
+import express from "express";
+import { secretsMatch } from "../auth.js";
+
+const READY_TIMEOUT_MS = 2000;
+
+export function createHealthRouter({ db, config, metrics, logger }) {
+  const router = express.Router();
+  const { token } = config.metrics;
+
+  // Without a token, metrics are only served in development
+  function canReadMetrics(req) {
+    if (!token) return config.env === "development";
+    const header = req.headers.authorization || "";
+    const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+    return Boolean(given) && secretsMatch(given, token);
+  }
+
+  // GET /healthz - the process is up and serving requests
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  // GET /readyz - Mongo answers a ping
+  router.get("/readyz", async (req, res) => {
+    let timer;
+    try {
+      await Promise.race([
+        db.command({ ping: 1 }),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error("Mongo ping timed out")),
+            READY_TIMEOUT_MS
+          );
+        }),
+      ]);
+      res.json({ status: "ready", checks: { mongo: "ok" } });
+    } catch (err) {
+      logger.warn("Readiness check failed", { err });
+      res
+        .status(503)
+        .json({ status: "unavailable", checks: { mongo: "error" } });
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+
+  // GET /metrics - Prometheus scrape endpoint
+  router.get("/metrics", (req, res) => {
+    if (!canReadMetrics(req))
+      return res.status(401).json({ error: "Unauthorized" });
+    res
+      .set("Cache-Control", "no-store")
+      .type("text/plain; version=0.0.4")
+      .send(metrics.render());
+  });
+
+  return router;
+}
@@ -0,0 +1,450 @@
+// routes/metering.js
+// Action metering routes used by the extension before and after each bulk edit.
+import express from "express";
+import { ObjectId } from "mongodb";
+import {
+  ACTION_TYPES,
+  FREE_ACTIONS_LIMIT,
+  parseActionCount,
+} from "../metering.js";
+import { getAccessPriceId, isSubscribed } from "../customers.js";
+import { findPlanByPriceId } from "../plans.js";
+
+const USAGE_PAGE_LIMIT = 100;
+const USAGE_MAX_DAYS = 365;
+// A free undo covers at most the events of the operation it reverses
+const UNDO_TOO_LARGE =
+  "action_count can't exceed the number of events in the operation";
+
+export function createMeteringRouter({
+  stripe,
+  collections,
+  config,
+  customers,
+  metering,
+  operations,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { customersCollection, actionUsageCollection } = collections;
+  const { plans } = config;
+  const { findCustomerByEmail, getCustomerEntitlements } = customers;
+  const {
+    refreshFreeQuota,
+    getActionBalance,
+    takeActions,
+    reserveFreeActions,
+    commitReservation,
+    findOpenReservation,
+    releaseExpiredReservations,
+    recordUsage,
+  } = metering;
+  const { findFreeUndo, claimFreeUndo } = operations;
+
+  // undo_of names a recorded operation (see routes/operations.js) whose undo
+  // is being run; undefined when absent, null when invalid
+  function parseUndoOf(value) {
+    if (value === undefined) return undefined;
+    if (typeof value !== "string" || value.length > 100) return null;
+    return value;
+  }
+
+  // ------------------------ CHECK CAN PERFORM ACTION --------------------------------------
+  router.post("/check-action", requireUser, async (req, res) => {
+    try {
+      const actionCount = parseActionCount(req.body.action_count);
+      if (actionCount === null)
+        return res.status(400).json({ error: "Invalid action_count" });
+      const undoOf = parseUndoOf(req.body.undo_of);
+      if (undoOf === null)
+        return res.status(400).json({ error: "Invalid undo_of" });
+
+      const normalizedEmail = req.userEmail;
+      let customer = await customersCollection.findOne({
+        emails: { $in: [normalizedEmail] },
+      });
+
+      // If customer doesn't exist, create them with free actions
+      if (!customer) {
+        const stripeCustomer = await stripe.customers.create({
+          email: normalizedEmail,
+        });
+
+        await customersCollection.insertOne({
+          customer_id: stripeCustomer.id,
+          subscription_status: false,
+          plan: config.stripe.defaultPriceId,
+          emails: [normalizedEmail],
+          owner_email: normalizedEmail,
+          free_actions_remaining: FREE_ACTIONS_LIMIT,
+          created_at: new Date(),
+        });
+
+        customer = await customersCollection.findOne({
+          emails: { $in: [normalizedEmail] },
+        });
+      }
+
+      await releaseExpiredReservations({ customer_doc_id: customer._id });
+      customer = await refreshFreeQuota(customer);
+
+      const subscribed = isSubscribed(customer, req.userEmail);
+      const entitlements = getCustomerEntitlements(customer, req.userEmail);
+      const planKey = subscribed
+        ? findPlanByPriceId(plans, getAccessPriceId(customer, req.userEmail))
+            ?.key ?? null
+        : "free";
+
+      // Undoing an operation is free, so nothing is reserved
+      if (undoOf !== undefined) {
+        const operation = await findFreeUndo(customer, undoOf);
+        if (!operation)
+          return res
+            .status(409)
+            .json({ error: "Operation not found or already undone" });
+        if (actionCount > operation.events.length)
+          return res.status(400).json({ error: UNDO_TOO_LARGE });
+        return res.json({
+          allowed: true,
+          subscribed,
+          plan: planKey,
+          ...(await getActionBalance(customer)),
+          reservation_id: null,
+          undo: true,
+        });
+      }
+
+      // Unlimited plans are always allowed
+      if (entitlements.unlimited_actions) {
+        return res.json({
+          allowed: true,
+          subscribed,
+          plan: planKey,
+          ...(await getActionBalance(customer)),
+          reservation_id: null,
+        });
+      }
+
+      // Reserve the actions so parallel requests can't spend the same balance
+      const reserved = await reserveFreeActions(customer, actionCount);
+      if (reserved) {
+        return res.json({
+          allowed: true,
+          subscribed,
+          plan: planKey,
+          ...(await getActionBalance(
+            await customersCollection.findOne({ _id: customer._id })
+          )),
+          reservation_id: reserved.reservation.reservation_id,
+          reservation_expires_at: reserved.reservation.expires_at,
+        });
+      }
+
+      // Not enough actions
+      const current = await customersCollection.findOne({ _id: customer._id });
+      return res.json({
+        allowed: false,
+        subscribed,
+        plan: planKey,
+        ...(await getActionBalance(current)),
+        reservation_id: null,
+        message: subscribed
+          ? "No actions remaining this billing period. Upgrade your plan to continue."
+          : "No free actions remaining. Please subscribe to continue.",
+      });
+    } catch (err) {
+      logger.error("Check action failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ------------------------ CONSUME ACTIONS --------------------------------------
+  router.post("/consume-actions", requireUser, async (req, res) => {
+    try {
+      const { reservation_id } = req.body;
+      const actionCount = parseActionCount(req.body.action_count);
+      if (actionCount === null)
+        return res.status(400).json({ error: "Invalid action_count" });
+      if (
+        reservation_id !== undefined &&
+        (typeof reservation_id !== "string" || reservation_id.length > 100)
+      )
+        return res.status(400).json({ error: "Invalid reservation_id" });
+      const undoOf = parseUndoOf(req.body.undo_of);
+      if (undoOf === null)
+        return res.status(400).json({ error: "Invalid undo_of" });
+      const { action_type = "other", client_version = null } = req.body;
+      if (!ACTION_TYPES.includes(action_type))
+        return res.status(400).json({ error: "Invalid action_type" });
+      if (
+        client_version !== null &&
+        (typeof client_version !== "string" || client_version.length > 50)
+      )
+        return res.status(400).json({ error: "Invalid client_version" });
+      const usage = {
+        email: req.userEmail,
+        actionType: action_type,
+        clientVersion: client_version,
+      };
+
+      const normalizedEmail = req.userEmail;
+      const customer = await customersCollection.findOne({
+        emails: { $in: [normalizedEmail] },
+      });
+
+      if (!customer) {
+        return res.status(404).json({ error: "Customer not found" });
+      }
+
+      // Undos aren't charged. Each operation gets one free undo, and anything
+      // reserved for it goes back to the balance.
+      if (undoOf !== undefined) {
+        const operation = await findFreeUndo(customer, undoOf);
+        if (operation && actionCount > operation.events.length)
+          return res.status(400).json({ error: UNDO_TOO_LARGE });
+        if (!operation || !(await claimFreeUndo(customer, undoOf)))
+          return res
+            .status(409)
+            .json({ error: "Operation not found or already undone" });
+        if (reservation_id)
+          await commitReservation(customer, reservation_id, 0);
+        await recordUsage(customer, {
+          ...usage,
+          actionType: "undo",
+          count: actionCount,
+          charged: 0,
+          reservationId: reservation_id ?? null,
+        });
+
+        const updated = await customersCollection.findOneAndUpdate(
+          { _id: customer._id },
+          { $set: { last_action_at: new Date() } },
+          { returnDocument: "after" }
+        );
+        return res.json({
+          success: true,
+          subscribed: isSubscribed(updated, req.userEmail),
+          ...(await getActionBalance(updated)),
+        });
+      }
+
+      // Commit actions reserved by /check-action. Clients from before
+      // reservations don't send reservation_id, but /check-action reserved
+      // their actions all the same: commit that rather than charge twice.
+      const usedCount =
+        req.body.action_count === undefined ? undefined : actionCount;
+      let reservation = null;
+      if (reservation_id) {
+        reservation = await commitReservation(
+          customer,
+          reservation_id,
+          usedCount
+        );
+        if (!reservation)
+          return res
+            .status(409)
+            .json({ error: "Reservation not found or expired" });
+      } else {
+        const open = await findOpenReservation(customer);
+        if (open)
+          reservation = await commitReservation(
+            customer,
+            open.reservation_id,
+            usedCount
+          );
+      }
+
+      if (reservation) {
+        await recordUsage(customer, {
+          ...usage,
+          count: usedCount ?? reservation.action_count,
+          charged: reservation.consumed_count,
+          reservationId: reservation.reservation_id,
+        });
+
+        const updated = await customersCollection.findOneAndUpdate(
+          { _id: customer._id },
+          { $set: { last_action_at: new Date() } },
+          { returnDocument: "after" }
+        );
+        return res.json({
+          success: true,
+          subscribed: isSubscribed(updated, req.userEmail),
+          ...(await getActionBalance(updated)),
+        });
+      }
+
+      // Unlimited plans don't consume actions but track last action
+      if (getCustomerEntitlements(customer, req.userEmail).unlimited_actions) {
+        await recordUsage(customer, {
+          ...usage,
+          count: actionCount,
+          charged: 0,
+        });
+        await customersCollection.updateOne(
+          { _id: customer._id },
+          { $set: { last_action_at: new Date() } }
+        );
+        return res.json({
+          success: true,
+          subscribed: true,
+          ...(await getActionBalance(customer)),
+        });
+      }
+
+      // Clients without a reservation: take what's there, never going below zero
+      const refreshed = await refreshFreeQuota(customer);
+      const { taken } = await takeActions(refreshed, actionCount, {
+        partial: true,
+      });
+      await recordUsage(customer, {
+        ...usage,
+        count: actionCount,
+        charged: taken,
+      });
+      const updated = await customersCollection.findOneAndUpdate(
+        { _id: customer._id },
+        { $set: { last_action_at: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      return res.json({
+        success: true,
+        subscribed: isSubscribed(customer, req.userEmail),
+        ...(await getActionBalance(updated)),
+      });
+    } catch (err) {
+      logger.error("Consume actions failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ------------------------ GET ACTION STATUS --------------------------------------
+  router.get("/action-status", requireUser, async (req, res) => {
+    try {
+      const normalizedEmail = req.userEmail;
+      const customer = await customersCollection.findOne({
+        emails: { $in: [normalizedEmail] },
+      });
+
+      if (!customer) {
+        // New user - they get free actions
+        return res.json({
+          subscribed: false,
+          ...(await getActionBalance(null)),
+          can_perform_action: true,
+        });
+      }
+
+      const balance = await getActionBalance(await refreshFreeQuota(customer));
+      const canPerform =
+        getCustomerEntitlements(customer, req.userEmail).unlimited_actions ||
+        balance.free_actions_remaining > 0;
+
+      return res.json({
+        subscribed: isSubscribed(customer, req.userEmail),
+        ...balance,
+        can_perform_action: canPerform,
+      });
+    } catch (err) {
+      logger.error("Get action status failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // ------------------------ USAGE HISTORY --------------------------------------
+  // GET /usage?limit=&before=&days= - newest-first usage entries for the
+  // signed-in customer, paginated by the next_cursor of the previous page, plus
+  // per-day totals (UTC) for the last `days` days.
+  router.get("/usage", requireUser, async (req, res) => {
+    try {
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 50, 1),
+        USAGE_PAGE_LIMIT
+      );
+      const days = Math.min(
+        Math.max(parseInt(req.query.days) || 30, 1),
+        USAGE_MAX_DAYS
+      );
+      const { before } = req.query;
+      if (
+        before !== undefined &&
+        (typeof before !== "string" || !ObjectId.isValid(before))
+      )
+        return res.status(400).json({ error: "Invalid cursor" });
+
+      const customer = await findCustomerByEmail(req.userEmail);
+      if (!customer)
+        return res.json({ entries: [], next_cursor: null, daily: [] });
+
+      const filter = {
+        customer_doc_id: customer._id,
+        ...(before && { _id: { $lt: new ObjectId(before) } }),
+      };
+      const page = await actionUsageCollection
+        .find(filter, { projection: { customer_doc_id: 0, customer_id: 0 } })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const hasMore = page.length > limit;
+      const entries = page.slice(0, limit);
+
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const daily = await actionUsageCollection
+        .aggregate([
+          {
+            $match: {
+              customer_doc_id: customer._id,
+              created_at: { $gte: since },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: { format: "%Y-%m-%d", date: "$created_at" },
+                },
+                action_type: "$action_type",
+              },
+              actions: { $sum: "$count" },
+              charged: { $sum: "$charged" },
+              operations: { $sum: 1 },
+            },
+          },
+          {
+            $group: {
+              _id: "$_id.date",
+              actions: { $sum: "$actions" },
+              charged: { $sum: "$charged" },
+              operations: { $sum: "$operations" },
+              by_type: { $push: { k: "$_id.action_type", v: "$actions" } },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              date: "$_id",
+              actions: 1,
+              charged: 1,
+              operations: 1,
+              by_type: { $arrayToObject: "$by_type" },
+            },
+          },
+          { $sort: { date: -1 } },
+        ])
+        .toArray();
+
+      res.json({
+        entries: entries.map(({ _id, ...entry }) => ({ id: _id, ...entry })),
+        next_cursor: hasMore ? entries[entries.length - 1]._id : null,
+        daily,
+      });
+    } catch (err) {
+      logger.error("Get usage failed", { err });
+      res.status(500).json({ error: "Failed to fetch usage" });
+    }
+  });
+
+  return router;
+}
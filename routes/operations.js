@@ -0,0 +1,213 @@
+// routes/operations.js
+// Undo history for bulk operations (see operations.js). The extension records
+// each operation after running it and asks for the undo payload when the user
+// wants it reversed; undos are not charged by /check-action or
+// /consume-actions when they send undo_of.
+//
+// Every other operation is recorded with the reservation_id that paid for it
+// (committed by /consume-actions), so only operations that were charged for
+// can be undone for free.
+import express from "express";
+import { ObjectId } from "mongodb";
+import {
+  OPERATION_TYPES,
+  buildUndoPayload,
+  operationSummary,
+  validateOperationEvents,
+} from "../operations.js";
+
+const HISTORY_PAGE_LIMIT = 100;
+
+export function createOperationsRouter({
+  collections,
+  customers,
+  metering,
+  operations,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { operationsCollection } = collections;
+  const { findCustomerByEmail, getCustomerEntitlements } = customers;
+  const { claimReservationForOperation } = metering;
+  const { findOperation, recordOperation, markUndone } = operations;
+
+  // POST /operations - record an operation the extension has just run, with
+  // the reservation_id it was charged under (not needed on unlimited plans).
+  // An undo is recorded with undo_of instead, which marks the original as
+  // undone.
+  router.post("/operations", requireUser, async (req, res) => {
+    try {
+      const {
+        op_type,
+        undo_of = null,
+        reservation_id = null,
+        client_version = null,
+      } = req.body;
+      if (!OPERATION_TYPES.includes(op_type))
+        return res.status(400).json({ error: "Invalid op_type" });
+      if (
+        undo_of !== null &&
+        (typeof undo_of !== "string" || !ObjectId.isValid(undo_of))
+      )
+        return res.status(400).json({ error: "Invalid undo_of" });
+      if (
+        reservation_id !== null &&
+        (typeof reservation_id !== "string" || reservation_id.length > 100)
+      )
+        return res.status(400).json({ error: "Invalid reservation_id" });
+      if (
+        client_version !== null &&
+        (typeof client_version !== "string" || client_version.length > 50)
+      )
+        return res.status(400).json({ error: "Invalid client_version" });
+
+      const { events, errors } = validateOperationEvents(
+        op_type,
+        req.body.events
+      );
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid events", details: errors });
+
+      const customer = await findCustomerByEmail(req.userEmail);
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      let original = null;
+      let reservation = null;
+      if (undo_of) {
+        // An undo touches the original's events, never more
+        const pending = await findOperation(customer, undo_of, {
+          undone_at: null,
+        });
+        if (pending && events.length > pending.events.length)
+          return res.status(400).json({
+            error:
+              "An undo can't have more events than the operation it undoes",
+          });
+        original = pending && (await markUndone(customer, undo_of));
+        if (!original)
+          return res
+            .status(409)
+            .json({ error: "Operation not found or already undone" });
+      } else if (
+        !getCustomerEntitlements(customer, req.userEmail).unlimited_actions
+      ) {
+        if (!reservation_id)
+          return res.status(400).json({ error: "reservation_id is required" });
+        reservation = await claimReservationForOperation(
+          customer,
+          reservation_id,
+          events.length
+        );
+        if (!reservation)
+          return res.status(409).json({
+            error:
+              "Reservation not found, not committed, already used or too small for these events",
+          });
+      }
+
+      const operation = await recordOperation(customer, {
+        email: req.userEmail,
+        opType: op_type,
+        events,
+        undoOf: original?._id ?? null,
+        reservationId: reservation?.reservation_id ?? null,
+        clientVersion: client_version,
+      });
+      res.status(201).json({ operation: operationSummary(operation) });
+    } catch (err) {
+      logger.error("Record operation failed", { err });
+      res.status(500).json({ error: "Failed to record operation" });
+    }
+  });
+
+  // GET /operations?limit=&before= - newest-first history, paginated by the
+  // next_cursor of the previous page
+  router.get("/operations", requireUser, async (req, res) => {
+    try {
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || 20, 1),
+        HISTORY_PAGE_LIMIT
+      );
+      const { before } = req.query;
+      if (
+        before !== undefined &&
+        (typeof before !== "string" || !ObjectId.isValid(before))
+      )
+        return res.status(400).json({ error: "Invalid cursor" });
+
+      const customer = await findCustomerByEmail(req.userEmail);
+      const { history_days } = getCustomerEntitlements(customer, req.userEmail);
+      if (!customer)
+        return res.json({
+          operations: [],
+          next_cursor: null,
+          retention_days: history_days,
+        });
+
+      // Expired entries are filtered here too: the TTL monitor only runs
+      // once a minute
+      const page = await operationsCollection
+        .find({
+          customer_doc_id: customer._id,
+          expires_at: { $gt: new Date() },
+          ...(before && { _id: { $lt: new ObjectId(before) } }),
+        })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray();
+      const hasMore = page.length > limit;
+      const entries = page.slice(0, limit);
+
+      res.json({
+        operations: entries.map(operationSummary),
+        next_cursor: hasMore ? entries[entries.length - 1]._id : null,
+        retention_days: history_days,
+      });
+    } catch (err) {
+      logger.error("Get operations failed", { err });
+      res.status(500).json({ error: "Failed to fetch operations" });
+    }
+  });
+
+  // GET /operations/:id - one operation with its event snapshots
+  router.get("/operations/:id", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      const operation =
+        customer && (await findOperation(customer, req.params.id));
+      if (!operation)
+        return res.status(404).json({ error: "Operation not found" });
+
+      res.json({
+        operation: { ...operationSummary(operation), events: operation.events },
+      });
+    } catch (err) {
+      logger.error("Get operation failed", { err });
+      res.status(500).json({ error: "Failed to fetch operation" });
+    }
+  });
+
+  // GET /operations/:id/undo - the inverse operation for the extension to run
+  router.get("/operations/:id/undo", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      const operation =
+        customer && (await findOperation(customer, req.params.id));
+      if (!operation)
+        return res.status(404).json({ error: "Operation not found" });
+      if (operation.undone_at)
+        return res.status(409).json({ error: "Operation was already undone" });
+
+      res.json({ undo: buildUndoPayload(operation) });
+    } catch (err) {
+      logger.error("Get undo payload failed", { err });
+      res.status(500).json({ error: "Failed to build undo" });
+    }
+  });
+
+  return router;
+}
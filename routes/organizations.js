@@ -0,0 +1,608 @@
+// routes/organizations.js
+// Team accounts (see organizations.js). Every route acts on the signed-in
+// user's own organization, so none of them take an organization id.
+import express from "express";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { hashSecret } from "../auth.js";
+import { isValidEmail } from "../customers.js";
+import {
+  findMember,
+  isOrganizationAdmin,
+  isTeamPlan,
+} from "../organizations.js";
+import { DEFAULT_PLAN_KEY, findPlan } from "../plans.js";
+import { validatePreferences } from "../preferences.js";
+
+const MAX_SEATS = 500;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function parseSeats(value) {
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SEATS) return null;
+  return value;
+}
+
+export function createOrganizationsRouter({
+  stripe,
+  collections,
+  config,
+  mailer,
+  organizations,
+  billing,
+  requireUser,
+  logger,
+  metrics,
+}) {
+  const router = express.Router();
+  const { organizationsCollection, organizationInvitesCollection } =
+    collections;
+  const { plans } = config;
+  const {
+    findOrganizationForEmail,
+    grantMemberAccess,
+    revokeMemberAccess,
+    syncSubscriptionToOrganization,
+    pushDefaultProfile,
+    getOrganizationPlanKey,
+  } = organizations;
+  const { getCurrentSubscription } = billing;
+
+  function organizationSummary(organization, member) {
+    return {
+      id: organization._id,
+      name: organization.name,
+      role: member.role,
+      seats: organization.seats,
+      member_count: organization.members.length,
+      subscribed: Boolean(organization.subscription_status),
+      plan: getOrganizationPlanKey(organization),
+      current_period_end: organization.current_period_end ?? null,
+      cancel_at_period_end: Boolean(organization.cancel_at_period_end),
+      default_profile: organization.default_profile?.name ?? null,
+      // Only admins see who else is in the organization
+      ...(isOrganizationAdmin(member) && {
+        members: organization.members.map(({ email, role, joined_at }) => ({
+          email,
+          role,
+          joined_at,
+        })),
+      }),
+    };
+  }
+
+  // Load the signed-in user's organization and their membership, requiring
+  // one of `roles` when given. Sends a 404 or 403 and returns null otherwise.
+  async function loadMembership(req, res, roles = null) {
+    const organization = await findOrganizationForEmail(req.userEmail);
+    if (!organization) {
+      res.status(404).json({ error: "You are not in an organization" });
+      return null;
+    }
+    const member = findMember(organization, req.userEmail);
+    if (roles && !roles.includes(member.role)) {
+      res.status(403).json({
+        error: roles.includes("admin")
+          ? "Only organization admins can do this"
+          : "Only the organization owner can do this",
+      });
+      return null;
+    }
+    return { organization, member };
+  }
+
+  async function countPendingInvites(organization) {
+    return await organizationInvitesCollection.countDocuments({
+      organization_id: organization._id,
+      status: "pending",
+      expires_at: { $gt: new Date() },
+    });
+  }
+
+  // Organizations are billed to a Stripe customer of their own, created the
+  // first time they check out
+  async function ensureStripeCustomer(organization, ownerEmail) {
+    if (organization.customer_id) return organization.customer_id;
+    const stripeCustomer = await stripe.customers.create({
+      email: ownerEmail,
+      name: organization.name,
+      metadata: { organization_id: organization._id.toString() },
+    });
+    await organizationsCollection.updateOne(
+      { _id: organization._id },
+      { $set: { customer_id: stripeCustomer.id } }
+    );
+    return stripeCustomer.id;
+  }
+
+  // ---------------- ORGANIZATION ----------------
+
+  // POST /organization - create an organization owned by the signed-in user
+  router.post("/organization", requireUser, async (req, res) => {
+    try {
+      const { name } = req.body;
+      if (typeof name !== "string" || !name.trim() || name.length > 100)
+        return res
+          .status(400)
+          .json({ error: "Organization name must be 1-100 characters" });
+      if (await findOrganizationForEmail(req.userEmail))
+        return res
+          .status(409)
+          .json({ error: "You are already in an organization" });
+
+      const now = new Date();
+      const organization = {
+        name: name.trim(),
+        members: [{ email: req.userEmail, role: "owner", joined_at: now }],
+        seats: 1,
+        subscription_status: false,
+        plan: null,
+        default_profile: null,
+        created_by: req.userEmail,
+        created_at: now,
+      };
+      try {
+        const { insertedId } = await organizationsCollection.insertOne(
+          organization
+        );
+        organization._id = insertedId;
+      } catch (err) {
+        // The unique members.email index stops a racing create
+        if (err.code === 11000)
+          return res
+            .status(409)
+            .json({ error: "You are already in an organization" });
+        throw err;
+      }
+      await grantMemberAccess(organization, req.userEmail);
+
+      res.status(201).json({
+        organization: organizationSummary(
+          organization,
+          organization.members[0]
+        ),
+      });
+    } catch (err) {
+      logger.error("Create organization failed", { err });
+      res.status(500).json({ error: "Failed to create organization" });
+    }
+  });
+
+  // GET /organization - the signed-in user's organization; admins also get
+  // the member list and pending invitations
+  router.get("/organization", requireUser, async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res);
+      if (!membership) return;
+      const { organization, member } = membership;
+
+      const invites = isOrganizationAdmin(member)
+        ? await organizationInvitesCollection
+            .find({
+              organization_id: organization._id,
+              status: "pending",
+              expires_at: { $gt: new Date() },
+            })
+            .sort({ created_at: -1 })
+            .toArray()
+        : null;
+
+      res.json({
+        organization: organizationSummary(organization, member),
+        ...(invites && {
+          invites: invites.map(
+            ({ _id, email, role, invited_by, expires_at }) => ({
+              id: _id,
+              email,
+              role,
+              invited_by,
+              expires_at,
+            })
+          ),
+        }),
+      });
+    } catch (err) {
+      logger.error("Get organization failed", { err });
+      res.status(500).json({ error: "Failed to fetch organization" });
+    }
+  });
+
+  // ---------------- BILLING ----------------
+
+  // POST /organization/checkout - subscribe the organization with `seats`
+  // seats. The webhook syncs the result onto the organization and its members.
+  router.post("/organization/checkout", requireUser, async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ["owner"]);
+      if (!membership) return;
+      const { organization } = membership;
+
+      const plan = findPlan(plans, req.body.plan ?? DEFAULT_PLAN_KEY);
+      if (!isTeamPlan(plan))
+        return res
+          .status(400)
+          .json({ error: "Unknown plan or not available for organizations" });
+      const seats = parseSeats(req.body.seats ?? organization.members.length);
+      if (!seats || seats < organization.members.length)
+        return res.status(400).json({
+          error: `seats must be between ${organization.members.length} and ${MAX_SEATS}`,
+        });
+      if (organization.subscription_status)
+        return res.status(409).json({
+          error:
+            "The organization is already subscribed; change its seats instead",
+        });
+
+      const customerId = await ensureStripeCustomer(
+        organization,
+        req.userEmail
+      );
+      const metadata = {
+        plan: plan.key,
+        organization_id: organization._id.toString(),
+      };
+      const session = await stripe.checkout.sessions.create({
+        mode: "subscription",
+        line_items: [{ price: plan.price_id, quantity: seats }],
+        metadata,
+        subscription_data: { metadata },
+        allow_promotion_codes: true,
+        customer: customerId,
+        // /check-subscription reports the organization's status for its customer
+        success_url: `${config.publicUrl}/payment-success?customer_id=${customerId}`,
+        cancel_url: `${config.publicUrl}/payment-cancel`,
+      });
+      metrics.checkoutSessions.inc({ plan: plan.key, account: "organization" });
+      logger.info("Organization checkout session created", {
+        organization_id: organization._id,
+        plan: plan.key,
+        seats,
+        session_id: session.id,
+      });
+
+      res.json({ url: session.url });
+    } catch (err) {
+      logger.error("Organization checkout failed", { err });
+      res.status(500).json({ error: "Internal server error" });
+    }
+  });
+
+  // PATCH /organization/seats - change the subscription's quantity. Seats
+  // can't drop below the members plus pending invitations.
+  router.patch("/organization/seats", requireUser, async (req, res) => {
+    try {
+      const seats = parseSeats(req.body.seats);
+      if (!seats)
+        return res
+          .status(400)
+          .json({ error: `seats must be between 1 and ${MAX_SEATS}` });
+
+      const membership = await loadMembership(req, res, ["owner"]);
+      if (!membership) return;
+      const { organization } = membership;
+
+      const inUse =
+        organization.members.length + (await countPendingInvites(organization));
+      if (seats < inUse)
+        return res.status(409).json({
+          error: `${inUse} seats are in use by members and pending invitations`,
+        });
+
+      const subscription =
+        organization.customer_id &&
+        (await getCurrentSubscription({
+          subscription_id: organization.subscription_id,
+          customer_id: organization.customer_id,
+        }));
+      if (!subscription)
+        return res
+          .status(404)
+          .json({ error: "The organization has no subscription" });
+
+      const item = subscription.items.data[0];
+      const updated = await stripe.subscriptions.update(subscription.id, {
+        items: [{ id: item.id, quantity: seats }],
+        proration_behavior: "create_prorations",
+      });
+      // Don't wait for the webhook so the new count shows up right away
+      await syncSubscriptionToOrganization(updated);
+
+      res.json({ success: true, seats });
+    } catch (err) {
+      logger.error("Update organization seats failed", { err });
+      res.status(500).json({ error: "Failed to update seats" });
+    }
+  });
+
+  // ---------------- MEMBERS ----------------
+
+  // POST /organization/invites - email an invitation to join. Only the owner
+  // can invite admins.
+  router.post("/organization/invites", requireUser, async (req, res) => {
+    try {
+      const { email, role = "member" } = req.body;
+      if (typeof email !== "string" || !isValidEmail(email))
+        return res.status(400).json({ error: "Invalid email format" });
+      if (role !== "member" && role !== "admin")
+        return res.status(400).json({ error: "Invalid role" });
+      const normalizedEmail = email.toLowerCase();
+
+      const membership = await loadMembership(req, res, ["owner", "admin"]);
+      if (!membership) return;
+      const { organization, member } = membership;
+      if (role === "admin" && member.role !== "owner")
+        return res
+          .status(403)
+          .json({ error: "Only the organization owner can invite admins" });
+
+      if (findMember(organization, normalizedEmail))
+        return res.json({ success: true, already_member: true });
+      if (await findOrganizationForEmail(normalizedEmail))
+        return res
+          .status(409)
+          .json({ error: "That email is already in another organization" });
+
+      // A new invitation replaces any earlier pending one for the same
+      // address, so that one doesn't count against the seats
+      const previousInvite = {
+        organization_id: organization._id,
+        email: normalizedEmail,
+        status: "pending",
+      };
+      const inUse =
+        organization.members.length +
+        (await countPendingInvites(organization)) -
+        (await organizationInvitesCollection.countDocuments({
+          ...previousInvite,
+          expires_at: { $gt: new Date() },
+        }));
+      if (inUse >= organization.seats)
+        return res.status(403).json({
+          error: `All ${organization.seats} seats are in use. Add seats to invite more members.`,
+        });
+      await organizationInvitesCollection.updateMany(previousInvite, {
+        $set: { status: "superseded" },
+      });
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+      const { insertedId } = await organizationInvitesCollection.insertOne({
+        organization_id: organization._id,
+        email: normalizedEmail,
+        role,
+        token_hash: hashSecret(token),
+        status: "pending",
+        invited_by: req.userEmail,
+        created_at: new Date(),
+        expires_at: expiresAt,
+      });
+
+      await mailer.send({
+        to: normalizedEmail,
+        subject: `Join ${organization.name} on GC Bulk Edit`,
+        text:
+          `${req.userEmail} invited you to join ${organization.name} on GC Bulk Edit.\n\n` +
+          `To accept, sign in to the extension with this address and enter this invite code:\n\n` +
+          `${token}\n\n` +
+          `You can also open ${config.publicUrl}/?org_invite=${token} to copy it.\n\n` +
+          `The invitation expires in ${
+            INVITE_TTL_MS / (24 * 60 * 60 * 1000)
+          } days. If you didn't expect this, ignore this email.`,
+      });
+
+      res
+        .status(202)
+        .json({ success: true, invite_id: insertedId, expires_at: expiresAt });
+    } catch (err) {
+      logger.error("Invite organization member failed", { err });
+      res.status(500).json({ error: "Failed to send invitation" });
+    }
+  });
+
+  // DELETE /organization/invites/:id - revoke a pending invitation
+  router.delete("/organization/invites/:id", requireUser, async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ["owner", "admin"]);
+      if (!membership) return;
+
+      const { id } = req.params;
+      const result = ObjectId.isValid(id)
+        ? await organizationInvitesCollection.updateOne(
+            {
+              _id: new ObjectId(id),
+              organization_id: membership.organization._id,
+              status: "pending",
+            },
+            { $set: { status: "revoked", revoked_by: req.userEmail } }
+          )
+        : { matchedCount: 0 };
+      if (result.matchedCount === 0)
+        return res.status(404).json({ error: "Invitation not found" });
+
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Revoke organization invite failed", { err });
+      res.status(500).json({ error: "Failed to revoke invitation" });
+    }
+  });
+
+  // POST /organization/join - accept an invitation sent to the signed-in
+  // user's address
+  router.post("/organization/join", requireUser, async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (typeof token !== "string" || !token || token.length > 100)
+        return res.status(400).json({ error: "Invalid invitation" });
+
+      const invite = await organizationInvitesCollection.findOne({
+        token_hash: hashSecret(token),
+        status: "pending",
+        expires_at: { $gt: new Date() },
+      });
+      if (!invite)
+        return res
+          .status(404)
+          .json({ error: "Invitation not found or expired" });
+      if (invite.email !== req.userEmail)
+        return res.status(403).json({
+          error: "This invitation was sent to a different email address",
+        });
+
+      const organization = await organizationsCollection.findOne({
+        _id: invite.organization_id,
+      });
+      if (!organization)
+        return res.status(404).json({ error: "Organization not found" });
+
+      // Only match while a seat is free and the seat count hasn't changed
+      const member = {
+        email: req.userEmail,
+        role: invite.role,
+        joined_at: new Date(),
+        invited_by: invite.invited_by,
+      };
+      let result;
+      try {
+        result = await organizationsCollection.updateOne(
+          {
+            _id: organization._id,
+            seats: organization.seats,
+            "members.email": { $ne: req.userEmail },
+            [`members.${organization.seats - 1}`]: { $exists: false },
+          },
+          { $push: { members: member } }
+        );
+      } catch (err) {
+        if (err.code === 11000)
+          return res
+            .status(409)
+            .json({ error: "You are already in an organization" });
+        throw err;
+      }
+      if (result.matchedCount === 0)
+        return res.status(409).json({
+          error:
+            "The organization has no free seats. Ask an admin to add seats.",
+        });
+
+      await organizationInvitesCollection.updateOne(
+        { _id: invite._id },
+        { $set: { status: "accepted", accepted_at: new Date() } }
+      );
+      const joined = await organizationsCollection.findOne({
+        _id: organization._id,
+      });
+      await grantMemberAccess(joined, req.userEmail);
+      logger.info("Joined organization", {
+        email: req.userEmail,
+        organization_id: organization._id,
+      });
+
+      res.json({ organization: organizationSummary(joined, member) });
+    } catch (err) {
+      logger.error("Join organization failed", { err });
+      res.status(500).json({ error: "Failed to join organization" });
+    }
+  });
+
+  // DELETE /organization/members/:email - admins remove members, members
+  // leave by removing themselves. The owner can't be removed, and only the
+  // owner can remove admins.
+  router.delete(
+    "/organization/members/:email",
+    requireUser,
+    async (req, res) => {
+      try {
+        const membership = await loadMembership(req, res);
+        if (!membership) return;
+        const { organization, member } = membership;
+
+        const email = req.params.email.toLowerCase();
+        const target = findMember(organization, email);
+        if (!target) return res.status(404).json({ error: "Member not found" });
+        if (target.role === "owner")
+          return res
+            .status(403)
+            .json({ error: "The organization owner can't be removed" });
+        const leaving = email === req.userEmail;
+        if (
+          !leaving &&
+          !(
+            member.role === "owner" ||
+            (member.role === "admin" && target.role === "member")
+          )
+        )
+          return res
+            .status(403)
+            .json({ error: "You can't remove this member" });
+
+        await organizationsCollection.updateOne(
+          { _id: organization._id },
+          { $pull: { members: { email } } }
+        );
+        await revokeMemberAccess(organization, email);
+        logger.info(
+          leaving ? "Left organization" : "Removed from organization",
+          {
+            email,
+            organization_id: organization._id,
+            by: req.userEmail,
+          }
+        );
+
+        res.json({ success: true });
+      } catch (err) {
+        logger.error("Remove organization member failed", { err });
+        res.status(500).json({ error: "Failed to remove member" });
+      }
+    }
+  );
+
+  // ---------------- DEFAULT PROFILE ----------------
+
+  // PUT /organization/default-profile - set the preferences profile pushed to
+  // every member, now and when they join
+  router.put("/organization/default-profile", requireUser, async (req, res) => {
+    try {
+      const { name, preferences } = req.body;
+      if (typeof name !== "string" || !name.trim() || name.length > 50)
+        return res.status(400).json({ error: "Invalid profile name" });
+      if (
+        !preferences ||
+        typeof preferences !== "object" ||
+        Array.isArray(preferences)
+      )
+        return res.status(400).json({ error: "Preferences object required" });
+      const { values, errors } = validatePreferences(preferences);
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid preferences", details: errors });
+
+      const membership = await loadMembership(req, res, ["owner", "admin"]);
+      if (!membership) return;
+
+      const organization = await organizationsCollection.findOneAndUpdate(
+        { _id: membership.organization._id },
+        {
+          $set: {
+            default_profile: {
+              name: name.trim(),
+              preferences: values,
+              updated_by: req.userEmail,
+              updated_at: new Date(),
+            },
+          },
+        },
+        { returnDocument: "after" }
+      );
+      const counts = await pushDefaultProfile(organization);
+
+      res.json({ success: true, ...counts });
+    } catch (err) {
+      logger.error("Set organization default profile failed", { err });
+      res.status(500).json({ error: "Failed to set default profile" });
+    }
+  });
+
+  return router;
+}
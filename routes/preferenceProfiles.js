@@ -0,0 +1,363 @@
+// routes/preferenceProfiles.js
+// Named preference profiles, e.g. a "work" keybind set and a "planning"
+// layout. Profiles live in customer.preference_profiles with one marked by
+// active_profile_id. The active profile's values are the live
+// customer.preferences edited through /preferences; the copy in its profile
+// entry is only refreshed when another profile is activated.
+import express from "express";
+import crypto from "crypto";
+import {
+  DEFAULT_PROFILE_ID,
+  MAX_PROFILES,
+  PREFERENCES_SCHEMA_VERSION,
+  buildDefaultProfile,
+  buildPreferencesWrite,
+  exportProfile,
+  getPreferencesState,
+  migratePreferences,
+  parseProfileImport,
+  preferencesVersionFilter,
+  validatePreferences,
+} from "../preferences.js";
+
+// Names are compared case-insensitively; returns null if invalid
+function parseProfileName(name) {
+  if (typeof name !== "string") return null;
+  const trimmed = name.trim();
+  if (!trimmed || trimmed.length > 50) return null;
+  return { name: trimmed, name_key: trimmed.toLowerCase() };
+}
+
+function newProfile(name, preferences) {
+  const now = new Date();
+  return {
+    id: crypto.randomUUID(),
+    ...name,
+    preferences,
+    schema_version: PREFERENCES_SCHEMA_VERSION,
+    created_at: now,
+    updated_at: now,
+  };
+}
+
+// Preferences of a profile, reading the live copy for the active one
+function getProfilePreferences(customer, profile) {
+  if (profile.id === customer.active_profile_id)
+    return getPreferencesState(customer).preferences ?? {};
+  return migratePreferences(profile.preferences, profile.schema_version) ?? {};
+}
+
+function profileSummary(customer, profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    active: profile.id === customer.active_profile_id,
+    created_at: profile.created_at,
+    updated_at: profile.updated_at,
+  };
+}
+
+export function createPreferenceProfilesRouter({
+  collections,
+  customers,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { customersCollection } = collections;
+  const { findCustomerByEmail } = customers;
+
+  // Load the signed-in customer, turning their existing preferences into a
+  // "Default" profile the first time profiles are used. Sends a 404 and
+  // returns null if there is no customer.
+  async function loadCustomerWithProfiles(req, res) {
+    const customer = await findCustomerByEmail(req.userEmail);
+    if (!customer) {
+      res.status(404).json({ error: "Customer not found" });
+      return null;
+    }
+    if (customer.preference_profiles) return customer;
+
+    return (
+      (await customersCollection.findOneAndUpdate(
+        { _id: customer._id, preference_profiles: { $exists: false } },
+        {
+          $set: {
+            preference_profiles: [buildDefaultProfile()],
+            active_profile_id: DEFAULT_PROFILE_ID,
+          },
+        },
+        { returnDocument: "after" }
+      )) ?? (await customersCollection.findOne({ _id: customer._id }))
+    );
+  }
+
+  // Add a profile unless the customer is at the limit or the name is taken.
+  // Sends the response either way.
+  async function addProfile(res, customer, profile) {
+    const result = await customersCollection.updateOne(
+      {
+        _id: customer._id,
+        [`preference_profiles.${MAX_PROFILES - 1}`]: { $exists: false },
+        "preference_profiles.name_key": { $ne: profile.name_key },
+      },
+      { $push: { preference_profiles: profile } }
+    );
+    if (result.matchedCount === 0) {
+      const current = await customersCollection.findOne({ _id: customer._id });
+      if (current.preference_profiles.length >= MAX_PROFILES)
+        return res
+          .status(403)
+          .json({ error: `You can have at most ${MAX_PROFILES} profiles` });
+      return res
+        .status(409)
+        .json({ error: "A profile with that name already exists" });
+    }
+
+    res.status(201).json({ profile: profileSummary(customer, profile) });
+  }
+
+  // GET /preferences/profiles - list profiles and which one is active
+  router.get("/preferences/profiles", requireUser, async (req, res) => {
+    try {
+      const customer = await loadCustomerWithProfiles(req, res);
+      if (!customer) return;
+
+      res.json({
+        active_profile_id: customer.active_profile_id,
+        profiles: customer.preference_profiles.map((profile) =>
+          profileSummary(customer, profile)
+        ),
+      });
+    } catch (err) {
+      logger.error("List preference profiles failed", { err });
+      res.status(500).json({ error: "Failed to list profiles" });
+    }
+  });
+
+  // POST /preferences/profiles - create a profile from the given preferences,
+  // or from a copy of the active ones when none are sent
+  router.post("/preferences/profiles", requireUser, async (req, res) => {
+    try {
+      const name = parseProfileName(req.body.name);
+      if (!name) return res.status(400).json({ error: "Invalid profile name" });
+
+      let preferences;
+      if (req.body.preferences !== undefined) {
+        if (
+          !req.body.preferences ||
+          typeof req.body.preferences !== "object" ||
+          Array.isArray(req.body.preferences)
+        )
+          return res.status(400).json({ error: "Invalid preferences" });
+        const { values, errors } = validatePreferences(req.body.preferences);
+        if (errors.length)
+          return res
+            .status(400)
+            .json({ error: "Invalid preferences", details: errors });
+        preferences = values;
+      }
+
+      const customer = await loadCustomerWithProfiles(req, res);
+      if (!customer) return;
+
+      await addProfile(
+        res,
+        customer,
+        newProfile(
+          name,
+          preferences ?? getPreferencesState(customer).preferences ?? {}
+        )
+      );
+    } catch (err) {
+      logger.error("Create preference profile failed", { err });
+      res.status(500).json({ error: "Failed to create profile" });
+    }
+  });
+
+  // POST /preferences/profiles/import - add a profile from an exported file
+  router.post("/preferences/profiles/import", requireUser, async (req, res) => {
+    try {
+      const imported = parseProfileImport(req.body.profile);
+      if (imported.errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid profile", details: imported.errors });
+
+      // The name in the file is used unless the user picks another
+      const name = parseProfileName(req.body.name ?? imported.name);
+      if (!name) return res.status(400).json({ error: "Invalid profile name" });
+
+      const customer = await loadCustomerWithProfiles(req, res);
+      if (!customer) return;
+
+      await addProfile(res, customer, newProfile(name, imported.values));
+    } catch (err) {
+      logger.error("Import preference profile failed", { err });
+      res.status(500).json({ error: "Failed to import profile" });
+    }
+  });
+
+  // GET /preferences/profiles/:id/export - the profile as a shareable file
+  router.get(
+    "/preferences/profiles/:id/export",
+    requireUser,
+    async (req, res) => {
+      try {
+        const customer = await loadCustomerWithProfiles(req, res);
+        if (!customer) return;
+
+        const profile = customer.preference_profiles.find(
+          (p) => p.id === req.params.id
+        );
+        if (!profile)
+          return res.status(404).json({ error: "Profile not found" });
+
+        res.attachment(`${profile.name_key.replace(/[^a-z0-9]+/g, "-")}.json`);
+        res.json(
+          exportProfile(profile.name, getProfilePreferences(customer, profile))
+        );
+      } catch (err) {
+        logger.error("Export preference profile failed", { err });
+        res.status(500).json({ error: "Failed to export profile" });
+      }
+    }
+  );
+
+  // PATCH /preferences/profiles/:id - rename a profile
+  router.patch("/preferences/profiles/:id", requireUser, async (req, res) => {
+    try {
+      const name = parseProfileName(req.body.name);
+      if (!name) return res.status(400).json({ error: "Invalid profile name" });
+
+      const customer = await loadCustomerWithProfiles(req, res);
+      if (!customer) return;
+      const { id } = req.params;
+      if (!customer.preference_profiles.some((p) => p.id === id))
+        return res.status(404).json({ error: "Profile not found" });
+
+      // Only another profile's name counts as taken
+      const result = await customersCollection.updateOne(
+        {
+          _id: customer._id,
+          preference_profiles: {
+            $not: { $elemMatch: { name_key: name.name_key, id: { $ne: id } } },
+          },
+        },
+        {
+          $set: {
+            "preference_profiles.$[profile].name": name.name,
+            "preference_profiles.$[profile].name_key": name.name_key,
+            "preference_profiles.$[profile].updated_at": new Date(),
+          },
+        },
+        { arrayFilters: [{ "profile.id": id }] }
+      );
+      if (result.matchedCount === 0)
+        return res
+          .status(409)
+          .json({ error: "A profile with that name already exists" });
+
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Rename preference profile failed", { err });
+      res.status(500).json({ error: "Failed to rename profile" });
+    }
+  });
+
+  // DELETE /preferences/profiles/:id - delete a profile other than the active one
+  router.delete("/preferences/profiles/:id", requireUser, async (req, res) => {
+    try {
+      const customer = await loadCustomerWithProfiles(req, res);
+      if (!customer) return;
+      const { id } = req.params;
+
+      const result = await customersCollection.updateOne(
+        { _id: customer._id, active_profile_id: { $ne: id } },
+        { $pull: { preference_profiles: { id } } }
+      );
+      if (result.matchedCount === 0)
+        return res.status(409).json({
+          error: "Switch to another profile before deleting this one",
+        });
+      if (result.modifiedCount === 0)
+        return res.status(404).json({ error: "Profile not found" });
+
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Delete preference profile failed", { err });
+      res.status(500).json({ error: "Failed to delete profile" });
+    }
+  });
+
+  // POST /preferences/profiles/:id/activate - switch profiles. The live
+  // preferences are saved into the profile being left and replaced by the
+  // chosen profile's, which bumps the preferences version like any other write.
+  router.post(
+    "/preferences/profiles/:id/activate",
+    requireUser,
+    async (req, res) => {
+      try {
+        const { device_id = null } = req.body;
+        if (
+          device_id !== null &&
+          (typeof device_id !== "string" || device_id.length > 100)
+        )
+          return res.status(400).json({ error: "Invalid device_id" });
+
+        const customer = await loadCustomerWithProfiles(req, res);
+        if (!customer) return;
+        const { id } = req.params;
+        const profile = customer.preference_profiles.find((p) => p.id === id);
+        if (!profile)
+          return res.status(404).json({ error: "Profile not found" });
+
+        const current = getPreferencesState(customer);
+        if (id === customer.active_profile_id)
+          return res.json({ active_profile_id: id, ...current });
+
+        const now = new Date();
+        const updated = await customersCollection.findOneAndUpdate(
+          {
+            _id: customer._id,
+            active_profile_id: customer.active_profile_id,
+            ...preferencesVersionFilter(current.version),
+          },
+          {
+            $set: {
+              ...buildPreferencesWrite(
+                getProfilePreferences(customer, profile),
+                current.version,
+                device_id
+              ),
+              active_profile_id: id,
+              "preference_profiles.$[previous].preferences":
+                current.preferences,
+              "preference_profiles.$[previous].schema_version":
+                PREFERENCES_SCHEMA_VERSION,
+              "preference_profiles.$[previous].updated_at": now,
+            },
+          },
+          {
+            arrayFilters: [{ "previous.id": customer.active_profile_id }],
+            returnDocument: "after",
+          }
+        );
+        if (!updated)
+          return res.status(409).json({
+            error: "Preferences were changed on another device",
+            ...getPreferencesState(
+              await customersCollection.findOne({ _id: customer._id })
+            ),
+          });
+
+        res.json({ active_profile_id: id, ...getPreferencesState(updated) });
+      } catch (err) {
+        logger.error("Activate preference profile failed", { err });
+        res.status(500).json({ error: "Failed to switch profile" });
+      }
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,150 @@
+// routes/preferences.js
+// Extension settings synced per customer. Each write bumps
+// preferences_version; clients send the version they last saw and get a 409
+// with the current preferences if another device has written since, so they
+// can merge and retry instead of overwriting.
+import express from "express";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import {
+  buildPreferencesWrite,
+  getPreferencesState,
+  preferencesVersionFilter,
+  validatePreferences,
+} from "../preferences.js";
+
+export function createPreferencesRouter({
+  collections,
+  customers,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { customersCollection } = collections;
+  const { findCustomerByEmail } = customers;
+
+  // Shared by POST (replace everything) and PATCH (change the given fields).
+  // Without `version` the write applies to whatever is stored, which is how
+  // extension builds that predate versioning keep working.
+  async function savePreferences(req, res, { partial }) {
+    const { preferences, version, device_id = null } = req.body;
+    if (
+      !preferences ||
+      typeof preferences !== "object" ||
+      Array.isArray(preferences)
+    )
+      return res.status(400).json({ error: "Preferences object required" });
+    if (version !== undefined && (!Number.isInteger(version) || version < 0))
+      return res.status(400).json({ error: "Invalid version" });
+    if (
+      device_id !== null &&
+      (typeof device_id !== "string" || device_id.length > 100)
+    )
+      return res.status(400).json({ error: "Invalid device_id" });
+
+    const { values, errors, ignored } = validatePreferences(preferences, {
+      partial,
+    });
+    if (errors.length)
+      return res
+        .status(400)
+        .json({ error: "Invalid preferences", details: errors });
+
+    const normalizedEmail = req.userEmail;
+
+    // Retry if another write lands between the read and the conditional update
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const customer = await findCustomerByEmail(normalizedEmail);
+      const current = getPreferencesState(customer);
+      if (version !== undefined && version !== current.version)
+        return res.status(409).json({
+          error: "Preferences were changed on another device",
+          ...current,
+        });
+
+      let next = values;
+      if (partial) {
+        next = { ...current.preferences };
+        for (const [field, value] of Object.entries(values)) {
+          if (value === null) delete next[field];
+          else next[field] = value;
+        }
+      }
+
+      const update = {
+        $set: buildPreferencesWrite(next, current.version, device_id),
+      };
+
+      let result;
+      if (customer) {
+        result = await customersCollection.findOneAndUpdate(
+          { _id: customer._id, ...preferencesVersionFilter(current.version) },
+          update,
+          { returnDocument: "after" }
+        );
+      } else {
+        // Create a minimal record for users who haven't used an action yet.
+        // Matching on email alone so a racing insert can't create a duplicate.
+        result = await customersCollection.findOneAndUpdate(
+          { emails: { $in: [normalizedEmail] } },
+          {
+            ...update,
+            $setOnInsert: {
+              emails: [normalizedEmail],
+              owner_email: normalizedEmail,
+              subscription_status: false,
+              free_actions_remaining: FREE_ACTIONS_LIMIT,
+              created_at: new Date(),
+            },
+          },
+          { upsert: true, returnDocument: "after" }
+        );
+      }
+
+      if (result)
+        return res.json({
+          success: true,
+          updated: true,
+          ...getPreferencesState(result),
+          ...(ignored.length && { ignored_fields: ignored }),
+        });
+    }
+
+    res.status(409).json({
+      error: "Preferences were changed on another device",
+      ...getPreferencesState(await findCustomerByEmail(normalizedEmail)),
+    });
+  }
+
+  // GET /preferences - the signed-in user's preferences and their version
+  router.get("/preferences", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      res.json(getPreferencesState(customer));
+    } catch (err) {
+      logger.error("Get preferences failed", { err });
+      res.status(500).json({ error: "Failed to fetch preferences" });
+    }
+  });
+
+  // POST /preferences - replace all preferences
+  router.post("/preferences", requireUser, async (req, res) => {
+    try {
+      await savePreferences(req, res, { partial: false });
+    } catch (err) {
+      logger.error("Save preferences failed", { err });
+      res.status(500).json({ error: "Failed to save preferences" });
+    }
+  });
+
+  // PATCH /preferences - change only the fields sent; null removes a field
+  router.patch("/preferences", requireUser, async (req, res) => {
+    try {
+      await savePreferences(req, res, { partial: true });
+    } catch (err) {
+      logger.error("Update preferences failed", { err });
+      res.status(500).json({ error: "Failed to update preferences" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,178 @@
+// routes/scheduledJobs.js
+// Bulk edits queued to run later (see scheduledJobs.js). The extension creates
+// jobs from a recipe or a saved template and polls GET /scheduled-jobs/:id for
+// their status; the worker started in jobs.js runs them.
+import express from "express";
+import { ObjectId } from "mongodb";
+import {
+  JOB_STATUSES,
+  MAX_ACTIVE_JOBS,
+  jobSummary,
+  validateJobInput,
+} from "../scheduledJobs.js";
+
+const JOBS_PAGE_LIMIT = 50;
+
+export function createScheduledJobsRouter({
+  collections,
+  customers,
+  metering,
+  scheduledJobs,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { scheduledJobsCollection, templatesCollection } = collections;
+  const { findCustomerByEmail, getCustomerEntitlements } = customers;
+  const { refreshFreeQuota, getActionBalance } = metering;
+
+  // Load one of the customer's jobs by :id or send a 404
+  async function findOwnJob(req, res) {
+    const customer = await findCustomerByEmail(req.userEmail);
+    const { id } = req.params;
+    const job =
+      customer && ObjectId.isValid(id)
+        ? await scheduledJobsCollection.findOne({
+            _id: new ObjectId(id),
+            customer_doc_id: customer._id,
+          })
+        : null;
+    if (!job) res.status(404).json({ error: "Scheduled job not found" });
+    return job;
+  }
+
+  // POST /scheduled-jobs - queue a recipe, or a saved template by template_id
+  router.post("/scheduled-jobs", requireUser, async (req, res) => {
+    try {
+      if (!scheduledJobs.enabled)
+        return res
+          .status(503)
+          .json({ error: "Scheduled operations are not available" });
+
+      let customer = await findCustomerByEmail(req.userEmail);
+      if (!customer)
+        return res.status(404).json({ error: "Customer not found" });
+
+      const { template_id } = req.body;
+      let template = null;
+      if (template_id !== undefined) {
+        template =
+          typeof template_id === "string" && ObjectId.isValid(template_id)
+            ? await templatesCollection.findOne({
+                _id: new ObjectId(template_id),
+                owner_doc_id: customer._id,
+              })
+            : null;
+        if (!template)
+          return res.status(404).json({ error: "Template not found" });
+      }
+
+      const { job, errors } = validateJobInput(req.body, { template });
+      if (errors.length)
+        return res
+          .status(400)
+          .json({ error: "Invalid scheduled job", details: errors });
+
+      // Same rule as /check-action: without unlimited actions there must be
+      // some left. Each run checks again before it starts.
+      customer = await refreshFreeQuota(customer);
+      const balance = await getActionBalance(customer);
+      if (
+        !getCustomerEntitlements(customer, req.userEmail).unlimited_actions &&
+        balance.free_actions_remaining < 1
+      )
+        return res.status(403).json({
+          error: customer.subscription_status
+            ? "No actions remaining this billing period. Upgrade your plan to continue."
+            : "No free actions remaining. Please subscribe to continue.",
+          ...balance,
+        });
+
+      const active = await scheduledJobsCollection.countDocuments({
+        customer_doc_id: customer._id,
+        status: { $in: ["scheduled", "running"] },
+      });
+      if (active >= MAX_ACTIVE_JOBS)
+        return res.status(403).json({
+          error: `You can have at most ${MAX_ACTIVE_JOBS} scheduled jobs`,
+        });
+
+      const created = await scheduledJobs.createJob(
+        customer,
+        job,
+        req.userEmail
+      );
+      res.status(201).json({ job: jobSummary(created) });
+    } catch (err) {
+      logger.error("Create scheduled job failed", { err });
+      res.status(500).json({ error: "Failed to create scheduled job" });
+    }
+  });
+
+  // GET /scheduled-jobs?status= - the customer's jobs, newest first
+  router.get("/scheduled-jobs", requireUser, async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !JOB_STATUSES.includes(status))
+        return res.status(400).json({ error: "Invalid status" });
+
+      const customer = await findCustomerByEmail(req.userEmail);
+      const jobs = customer
+        ? await scheduledJobsCollection
+            .find({ customer_doc_id: customer._id, ...(status && { status }) })
+            .sort({ created_at: -1 })
+            .limit(JOBS_PAGE_LIMIT)
+            .toArray()
+        : [];
+
+      res.json({ jobs: jobs.map(jobSummary), enabled: scheduledJobs.enabled });
+    } catch (err) {
+      logger.error("List scheduled jobs failed", { err });
+      res.status(500).json({ error: "Failed to list scheduled jobs" });
+    }
+  });
+
+  // GET /scheduled-jobs/:id - status of one job, polled by the extension
+  router.get("/scheduled-jobs/:id", requireUser, async (req, res) => {
+    try {
+      const job = await findOwnJob(req, res);
+      if (!job) return;
+      res.json({ job: jobSummary(job) });
+    } catch (err) {
+      logger.error("Get scheduled job failed", { err });
+      res.status(500).json({ error: "Failed to fetch scheduled job" });
+    }
+  });
+
+  // DELETE /scheduled-jobs/:id - cancel a job. A run already in progress
+  // finishes, but the job won't run again.
+  router.delete("/scheduled-jobs/:id", requireUser, async (req, res) => {
+    try {
+      const job = await findOwnJob(req, res);
+      if (!job) return;
+
+      const updated = await scheduledJobsCollection.findOneAndUpdate(
+        { _id: job._id, status: { $in: ["scheduled", "running"] } },
+        {
+          $set: {
+            status: "cancelled",
+            next_run_at: null,
+            updated_at: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated)
+        return res
+          .status(409)
+          .json({ error: "Job has already finished or been cancelled" });
+
+      res.json({ job: jobSummary(updated) });
+    } catch (err) {
+      logger.error("Cancel scheduled job failed", { err });
+      res.status(500).json({ error: "Failed to cancel scheduled job" });
+    }
+  });
+
+  return router;
+}
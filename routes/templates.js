@@ -0,0 +1,360 @@
+// routes/templates.js
+// Saved bulk-edit templates (see templates.js for the recipe format). How many
+// templates a customer may keep and whether they may share them by link
+// depends on their plan's entitlements; customer.template_count tracks how
+// many they have against that limit.
+import express from "express";
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { hashSecret } from "../auth.js";
+import { getOwnerEmail } from "../customers.js";
+import {
+  TEMPLATE_SCHEMA_VERSION,
+  validateRecipe,
+  validateTemplateText,
+} from "../templates.js";
+
+function templateResponse(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    description: template.description,
+    recipe: template.recipe,
+    shared: Boolean(template.share_token_hash),
+    copied_from: template.copied_from ?? null,
+    created_at: template.created_at,
+    updated_at: template.updated_at,
+  };
+}
+
+// Name, description and recipe from a create or update request. Sends a 400
+// and returns null when any of them is invalid.
+function parseTemplateBody(req, res) {
+  const { name, description = null, recipe: input } = req.body;
+  const textError = validateTemplateText({ name, description });
+  if (textError) {
+    res.status(400).json({ error: textError });
+    return null;
+  }
+
+  const { recipe, errors } = validateRecipe(input);
+  if (errors.length) {
+    res.status(400).json({ error: "Invalid recipe", details: errors });
+    return null;
+  }
+
+  return { name: name.trim(), description, recipe };
+}
+
+export function createTemplatesRouter({
+  collections,
+  config,
+  customers,
+  requireUser,
+  logger,
+}) {
+  const router = express.Router();
+  const { customersCollection, templatesCollection } = collections;
+  const { findCustomerByEmail, getCustomerEntitlements } = customers;
+
+  // Sends a 404 and returns null when the signed-in user has no customer record
+  async function requireCustomer(req, res) {
+    const customer = await findCustomerByEmail(req.userEmail);
+    if (!customer) res.status(404).json({ error: "Customer not found" });
+    return customer;
+  }
+
+  // Load one of the customer's own templates by :id or send a 404
+  async function findOwnTemplate(req, res, customer) {
+    const { id } = req.params;
+    const template = ObjectId.isValid(id)
+      ? await templatesCollection.findOne({
+          _id: new ObjectId(id),
+          owner_doc_id: customer._id,
+        })
+      : null;
+    if (!template) res.status(404).json({ error: "Template not found" });
+    return template;
+  }
+
+  // Count a new template against the plan's limit. The conditional $inc keeps
+  // concurrent saves from going over it. Sends a 403 and returns false when
+  // the customer's plan has no room left.
+  async function claimTemplateSlot(req, res, customer) {
+    const { max_templates } = getCustomerEntitlements(customer, req.userEmail);
+    if (customer.template_count === undefined) {
+      // Customers who saved templates before the counter existed
+      const count = await templatesCollection.countDocuments({
+        owner_doc_id: customer._id,
+      });
+      await customersCollection.updateOne(
+        { _id: customer._id, template_count: { $exists: false } },
+        { $set: { template_count: count } }
+      );
+    }
+    const claimed = await customersCollection.findOneAndUpdate(
+      { _id: customer._id, template_count: { $lt: max_templates } },
+      { $inc: { template_count: 1 } }
+    );
+    if (claimed) return true;
+
+    res.status(403).json({
+      error: `Your plan allows at most ${max_templates} templates. Upgrade your plan to save more.`,
+    });
+    return false;
+  }
+
+  // Give back a slot taken by claimTemplateSlot
+  async function releaseTemplateSlot(customer) {
+    await customersCollection.updateOne(
+      { _id: customer._id },
+      { $inc: { template_count: -1 } }
+    );
+  }
+
+  // Insert a template into a slot already taken by claimTemplateSlot
+  async function insertTemplate(customer, fields) {
+    const now = new Date();
+    const template = {
+      owner_doc_id: customer._id,
+      ...fields,
+      schema_version: TEMPLATE_SCHEMA_VERSION,
+      share_token_hash: null,
+      shared_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    try {
+      const { insertedId } = await templatesCollection.insertOne(template);
+      return { _id: insertedId, ...template };
+    } catch (err) {
+      await releaseTemplateSlot(customer);
+      throw err;
+    }
+  }
+
+  // A shared template, as long as its owner's plan still allows sharing
+  async function findSharedTemplate(token) {
+    if (typeof token !== "string" || token.length > 100) return null;
+    const template = await templatesCollection.findOne({
+      share_token_hash: hashSecret(token),
+    });
+    if (!template) return null;
+
+    const owner = await customersCollection.findOne({
+      _id: template.owner_doc_id,
+    });
+    // Left behind by a deleted account
+    if (!owner) return null;
+    const sharedBy = template.shared_by ?? getOwnerEmail(owner);
+    return getCustomerEntitlements(owner, sharedBy).share_templates
+      ? template
+      : null;
+  }
+
+  // GET /templates - the signed-in customer's templates, newest first
+  router.get("/templates", requireUser, async (req, res) => {
+    try {
+      const customer = await findCustomerByEmail(req.userEmail);
+      const entitlements = getCustomerEntitlements(customer, req.userEmail);
+      const templates = customer
+        ? await templatesCollection
+            .find({ owner_doc_id: customer._id })
+            .sort({ updated_at: -1 })
+            .toArray()
+        : [];
+
+      res.json({
+        templates: templates.map(templateResponse),
+        limit: entitlements.max_templates,
+        can_share: entitlements.share_templates,
+      });
+    } catch (err) {
+      logger.error("List templates failed", { err });
+      res.status(500).json({ error: "Failed to list templates" });
+    }
+  });
+
+  // POST /templates - save a new template
+  router.post("/templates", requireUser, async (req, res) => {
+    try {
+      const fields = parseTemplateBody(req, res);
+      if (!fields) return;
+
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      if (!(await claimTemplateSlot(req, res, customer))) return;
+
+      const template = await insertTemplate(customer, fields);
+      res.status(201).json({ template: templateResponse(template) });
+    } catch (err) {
+      logger.error("Create template failed", { err });
+      res.status(500).json({ error: "Failed to create template" });
+    }
+  });
+
+  // GET /templates/shared/:token - preview a template shared by link
+  router.get("/templates/shared/:token", requireUser, async (req, res) => {
+    try {
+      const template = await findSharedTemplate(req.params.token);
+      if (!template)
+        return res.status(404).json({ error: "Shared template not found" });
+
+      const { name, description, recipe } = template;
+      res.json({ template: { name, description, recipe } });
+    } catch (err) {
+      logger.error("Get shared template failed", { err });
+      res.status(500).json({ error: "Failed to fetch template" });
+    }
+  });
+
+  // POST /templates/shared/:token/copy - save a shared template as your own
+  router.post(
+    "/templates/shared/:token/copy",
+    requireUser,
+    async (req, res) => {
+      try {
+        const shared = await findSharedTemplate(req.params.token);
+        if (!shared)
+          return res.status(404).json({ error: "Shared template not found" });
+
+        const customer = await requireCustomer(req, res);
+        if (!customer) return;
+        if (!(await claimTemplateSlot(req, res, customer))) return;
+
+        const template = await insertTemplate(customer, {
+          name: shared.name,
+          description: shared.description,
+          recipe: shared.recipe,
+          copied_from: shared._id,
+        });
+        res.status(201).json({ template: templateResponse(template) });
+      } catch (err) {
+        logger.error("Copy shared template failed", { err });
+        res.status(500).json({ error: "Failed to copy template" });
+      }
+    }
+  );
+
+  // GET /templates/:id - one of the customer's templates
+  router.get("/templates/:id", requireUser, async (req, res) => {
+    try {
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      const template = await findOwnTemplate(req, res, customer);
+      if (!template) return;
+
+      res.json({ template: templateResponse(template) });
+    } catch (err) {
+      logger.error("Get template failed", { err });
+      res.status(500).json({ error: "Failed to fetch template" });
+    }
+  });
+
+  // PUT /templates/:id - replace a template's name, description and recipe
+  router.put("/templates/:id", requireUser, async (req, res) => {
+    try {
+      const fields = parseTemplateBody(req, res);
+      if (!fields) return;
+
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      const template = await findOwnTemplate(req, res, customer);
+      if (!template) return;
+
+      const updated = await templatesCollection.findOneAndUpdate(
+        { _id: template._id, owner_doc_id: customer._id },
+        {
+          $set: {
+            ...fields,
+            schema_version: TEMPLATE_SCHEMA_VERSION,
+            updated_at: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+      if (!updated)
+        return res.status(404).json({ error: "Template not found" });
+
+      res.json({ template: templateResponse(updated) });
+    } catch (err) {
+      logger.error("Update template failed", { err });
+      res.status(500).json({ error: "Failed to update template" });
+    }
+  });
+
+  // DELETE /templates/:id - delete a template; its share link stops working
+  router.delete("/templates/:id", requireUser, async (req, res) => {
+    try {
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      const template = await findOwnTemplate(req, res, customer);
+      if (!template) return;
+
+      const { deletedCount } = await templatesCollection.deleteOne({
+        _id: template._id,
+      });
+      if (deletedCount) await releaseTemplateSlot(customer);
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Delete template failed", { err });
+      res.status(500).json({ error: "Failed to delete template" });
+    }
+  });
+
+  // POST /templates/:id/share - create a share link. Only a hash of the token
+  // is stored, so sharing again replaces the previous link.
+  router.post("/templates/:id/share", requireUser, async (req, res) => {
+    try {
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      if (!getCustomerEntitlements(customer, req.userEmail).share_templates)
+        return res.status(403).json({
+          error: "Sharing templates requires a Pro plan",
+        });
+      const template = await findOwnTemplate(req, res, customer);
+      if (!template) return;
+
+      const token = crypto.randomBytes(24).toString("base64url");
+      await templatesCollection.updateOne(
+        { _id: template._id },
+        {
+          $set: {
+            share_token_hash: hashSecret(token),
+            shared_by: req.userEmail,
+            shared_at: new Date(),
+          },
+        }
+      );
+
+      res.json({
+        share_token: token,
+        share_url: `${config.publicUrl}/?template=${token}`,
+      });
+    } catch (err) {
+      logger.error("Share template failed", { err });
+      res.status(500).json({ error: "Failed to share template" });
+    }
+  });
+
+  // DELETE /templates/:id/share - revoke the share link
+  router.delete("/templates/:id/share", requireUser, async (req, res) => {
+    try {
+      const customer = await requireCustomer(req, res);
+      if (!customer) return;
+      const template = await findOwnTemplate(req, res, customer);
+      if (!template) return;
+
+      await templatesCollection.updateOne(
+        { _id: template._id },
+        { $set: { share_token_hash: null, shared_at: null } }
+      );
+      res.json({ success: true });
+    } catch (err) {
+      logger.error("Unshare template failed", { err });
+      res.status(500).json({ error: "Failed to revoke share link" });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,439 @@
+// scheduledJobs.js
+// Bulk-edit recipes queued to run later, once or every week:
+//
+//   schedule: { type: "once", run_at }
+//           | { type: "weekly", days: [0-6, Sunday = 0], time: "HH:MM", timezone }
+//
+// A job waits as "scheduled" until next_run_at. Workers claim due jobs by
+// flipping them to "running" with a lock that expires, so a job left behind by
+// a crashed worker is picked up again. Failed runs are retried with
+// exponential backoff; once retries run out a one-off job is "failed", and a
+// weekly job moves on to its next occurrence. Finished one-off jobs are
+// "succeeded" and cancelled jobs "cancelled".
+//
+// Every run goes through the same action accounting as /check-action and
+// /consume-actions: plans without unlimited actions reserve up to the job's
+// max_actions before the executor (see jobExecutors.js) runs, and actions it
+// didn't use are returned.
+import crypto from "crypto";
+import { getOwnerEmail } from "./customers.js";
+import { validateRecipe } from "./templates.js";
+
+export const JOB_STATUSES = [
+  "scheduled",
+  "running",
+  "succeeded",
+  "failed",
+  "cancelled",
+];
+export const MAX_ACTIVE_JOBS = 20;
+const DEFAULT_MAX_ACTIONS = 100;
+const MAX_ACTIONS_PER_JOB = 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const LOCK_MS = 10 * 60 * 1000;
+// A run's reservation outlives its lock, so a run that finishes before
+// another worker can reclaim the job is always able to commit it
+const RESERVATION_TTL_MS = LOCK_MS + 5 * 60 * 1000;
+const MAX_RECENT_RUNS = 10;
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+// ---------------- SCHEDULES ----------------
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock date and time of `date` in `timeZone`
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+  };
+}
+
+// The instant a wall-clock time in `timeZone` happens. Times skipped by a DST
+// change resolve to the same time an hour later.
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const p = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - time;
+  };
+  const first = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(first);
+  if (offset === offsetAt(wallClock)) return new Date(first);
+  const second = wallClock - offset;
+  if (offsetAt(second) === offset) return new Date(second);
+  return new Date(Math.max(first, second));
+}
+
+// Returns { schedule, error }
+export function validateSchedule(schedule, now = new Date()) {
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule))
+    return { error: "schedule must be an object" };
+
+  if (schedule.type === "once") {
+    const runAt = new Date(schedule.run_at);
+    if (typeof schedule.run_at !== "string" || isNaN(runAt.getTime()))
+      return { error: "schedule.run_at must be a date-time" };
+    if (runAt <= now || runAt - now > MAX_SCHEDULE_AHEAD_MS)
+      return { error: "schedule.run_at must be within the next year" };
+    return { schedule: { type: "once", run_at: runAt } };
+  }
+
+  if (schedule.type === "weekly") {
+    const { days, time, timezone } = schedule;
+    if (
+      !Array.isArray(days) ||
+      !days.length ||
+      days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+    )
+      return { error: "schedule.days must list weekdays 0-6 (Sunday = 0)" };
+    if (typeof time !== "string" || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))
+      return { error: "schedule.time must be HH:MM" };
+    if (!isValidTimeZone(timezone))
+      return { error: "schedule.timezone must be an IANA time zone" };
+    return {
+      schedule: {
+        type: "weekly",
+        days: [...new Set(days)].sort((a, b) => a - b),
+        time,
+        timezone,
+      },
+    };
+  }
+
+  return { error: 'schedule.type must be "once" or "weekly"' };
+}
+
+// The first run strictly after `after`; null when a one-off job has no more
+export function getNextRunAt(schedule, after = new Date()) {
+  if (schedule.type === "once")
+    return schedule.run_at > after ? schedule.run_at : null;
+
+  const [hour, minute] = schedule.time.split(":").map(Number);
+  const today = getZonedParts(after, schedule.timezone);
+  for (let offset = 0; offset <= 7; offset++) {
+    // Date.UTC rolls day overflow into the next month
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day));
+    date.setUTCDate(date.getUTCDate() + offset);
+    if (!schedule.days.includes(date.getUTCDay())) continue;
+
+    const runAt = zonedTimeToDate(
+      {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour,
+        minute,
+      },
+      schedule.timezone
+    );
+    if (runAt > after) return runAt;
+  }
+  return null;
+}
+
+// ---------------- JOB INPUT ----------------
+
+// Returns { job, errors } from a create request, where the recipe comes
+// either from the body or from a saved template passed in as `template`
+export function validateJobInput(body, { template = null, now } = {}) {
+  const errors = [];
+  const { name, max_actions = DEFAULT_MAX_ACTIONS } = body;
+  if (typeof name !== "string" || !name.trim() || name.length > 100)
+    errors.push("name must be 1-100 characters");
+  if (
+    !Number.isInteger(max_actions) ||
+    max_actions < 1 ||
+    max_actions > MAX_ACTIONS_PER_JOB
+  )
+    errors.push(`max_actions must be between 1 and ${MAX_ACTIONS_PER_JOB}`);
+
+  const { schedule, error } = validateSchedule(body.schedule, now);
+  if (error) errors.push(error);
+
+  let recipe = template?.recipe;
+  if (!template) {
+    const validated = validateRecipe(body.recipe);
+    recipe = validated.recipe;
+    errors.push(...validated.errors.map((e) => `recipe: ${e}`));
+  }
+
+  return {
+    job: {
+      name: name?.trim?.(),
+      recipe,
+      schedule,
+      max_actions,
+      template_id: template?._id ?? null,
+    },
+    errors,
+  };
+}
+
+export function jobSummary(job) {
+  return {
+    id: job._id,
+    name: job.name,
+    recipe: job.recipe,
+    schedule: job.schedule,
+    max_actions: job.max_actions,
+    template_id: job.template_id,
+    status: job.status,
+    next_run_at: job.next_run_at,
+    attempts: job.attempts,
+    last_error: job.last_error,
+    recent_runs: job.recent_runs,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
+
+// Usage entries are labelled with the recipe's operation when it has only one
+function getRecipeActionType(recipe) {
+  const ops = new Set(recipe.steps.map((step) => step.op));
+  return ops.size === 1 ? [...ops][0] : "other";
+}
+
+// ---------------- QUEUE ----------------
+
+// Identifies the process holding a job's lock
+export function createWorkerId() {
+  return `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+export function createScheduledJobsService({
+  collections,
+  customers,
+  metering,
+  executor,
+  logger,
+}) {
+  const { customersCollection, scheduledJobsCollection } = collections;
+  const { getCustomerEntitlements } = customers;
+  const {
+    refreshFreeQuota,
+    getActionBalance,
+    reserveFreeActions,
+    commitReservation,
+    releaseExpiredReservations,
+    recordUsage,
+  } = metering;
+
+  // createdBy is the address that scheduled the job; runs get its plan
+  async function createJob(customer, job, createdBy) {
+    const now = new Date();
+    const doc = {
+      customer_doc_id: customer._id,
+      created_by: createdBy,
+      ...job,
+      status: "scheduled",
+      next_run_at: getNextRunAt(job.schedule, now),
+      attempts: 0,
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      recent_runs: [],
+      created_at: now,
+      updated_at: now,
+    };
+    const { insertedId } = await scheduledJobsCollection.insertOne(doc);
+    return { _id: insertedId, ...doc };
+  }
+
+  // Claim the job that has been due longest, or one whose worker's lock ran out
+  async function claimDueJob(workerId) {
+    const now = new Date();
+    return await scheduledJobsCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "scheduled", next_run_at: { $lte: now } },
+          { status: "running", locked_until: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "running",
+          locked_by: workerId,
+          locked_until: new Date(now.getTime() + LOCK_MS),
+          updated_at: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { next_run_at: 1 }, returnDocument: "after" }
+    );
+  }
+
+  // Apply the outcome of a run, as long as this worker still holds the job
+  async function finishRun(job, workerId, run, { retryable = false } = {}) {
+    const now = new Date();
+    const retry =
+      run.status === "failed" && retryable && job.attempts < MAX_ATTEMPTS;
+    const nextRunAt = retry
+      ? new Date(now.getTime() + RETRY_BASE_MS * 2 ** (job.attempts - 1))
+      : getNextRunAt(job.schedule, now);
+    let status = "scheduled";
+    if (!nextRunAt) status = run.status === "failed" ? "failed" : "succeeded";
+
+    const pushRun = {
+      recent_runs: {
+        $each: [{ ...run, attempt: job.attempts, finished_at: now }],
+        $slice: -MAX_RECENT_RUNS,
+      },
+    };
+    const unlock = { locked_by: null, locked_until: null, updated_at: now };
+
+    const updated = await scheduledJobsCollection.findOneAndUpdate(
+      { _id: job._id, status: "running", locked_by: workerId },
+      {
+        $set: {
+          ...unlock,
+          status,
+          next_run_at: nextRunAt,
+          attempts: retry ? job.attempts : 0,
+          last_error: run.error ?? null,
+        },
+        $push: pushRun,
+      },
+      { returnDocument: "after" }
+    );
+    if (updated) return updated;
+
+    // Cancelled while running: keep the run in its history, nothing more
+    return await scheduledJobsCollection.findOneAndUpdate(
+      { _id: job._id, status: "cancelled", locked_by: workerId },
+      { $set: unlock, $push: pushRun },
+      { returnDocument: "after" }
+    );
+  }
+
+  // Run one claimed job and record the outcome
+  async function runJob(job, workerId) {
+    const startedAt = new Date();
+    const fail = (error, retryable) =>
+      finishRun(
+        job,
+        workerId,
+        { status: "failed", started_at: startedAt, action_count: 0, error },
+        { retryable }
+      );
+
+    let customer = await customersCollection.findOne({
+      _id: job.customer_doc_id,
+    });
+    if (!customer) return await fail("Customer not found", false);
+    const email = job.created_by ?? getOwnerEmail(customer);
+
+    // The same checks /check-action makes before a bulk edit
+    await releaseExpiredReservations({ customer_doc_id: customer._id });
+    customer = await refreshFreeQuota(customer);
+    let maxActions = job.max_actions;
+    let reservation = null;
+    if (!getCustomerEntitlements(customer, email).unlimited_actions) {
+      const { free_actions_remaining } = await getActionBalance(customer);
+      maxActions = Math.min(maxActions, free_actions_remaining);
+      const reserved =
+        maxActions > 0 &&
+        (await reserveFreeActions(customer, maxActions, {
+          ttlMs: RESERVATION_TTL_MS,
+        }));
+      if (!reserved)
+        return await fail(
+          customer.subscription_status
+            ? "No actions remaining this billing period"
+            : "No free actions remaining",
+          false
+        );
+      reservation = reserved.reservation;
+    }
+
+    let result;
+    try {
+      result = await executor.execute({
+        job,
+        recipe: job.recipe,
+        maxActions,
+      });
+    } catch (err) {
+      if (reservation)
+        await commitReservation(customer, reservation.reservation_id, 0);
+      return await fail(err.message || "Job failed", err.retryable !== false);
+    }
+
+    const actionCount = Math.min(
+      Math.max(Number(result?.action_count) || 0, 0),
+      maxActions
+    );
+    let charged = 0;
+    if (reservation) {
+      // null if the run outlasted its reservation; its actions have
+      // already gone back to the balance then
+      const committed = await commitReservation(
+        customer,
+        reservation.reservation_id,
+        actionCount
+      );
+      charged = committed?.consumed_count ?? 0;
+    }
+    await recordUsage(customer, {
+      email,
+      count: actionCount,
+      charged,
+      actionType: getRecipeActionType(job.recipe),
+      clientVersion: "scheduled-job",
+      reservationId: reservation?.reservation_id ?? null,
+    });
+
+    return await finishRun(job, workerId, {
+      status: "succeeded",
+      started_at: startedAt,
+      action_count: actionCount,
+    });
+  }
+
+  // Work through due jobs one at a time, up to `limit` per call
+  async function runDueJobs(workerId, { limit = 10 } = {}) {
+    let ran = 0;
+    while (ran < limit) {
+      const job = await claimDueJob(workerId);
+      if (!job) break;
+      try {
+        await runJob(job, workerId);
+      } catch (err) {
+        // Left "running"; another claim picks it up once the lock expires
+        logger.error("Scheduled job failed", { job_id: job._id, err });
+      }
+      ran++;
+    }
+    return ran;
+  }
+
+  return {
+    enabled: Boolean(executor),
+    createJob,
+    claimDueJob,
+    runJob,
+    runDueJobs,
+  };
+}
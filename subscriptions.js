@@ -0,0 +1,43 @@
+// subscriptions.js
+// Helpers for reading Stripe subscription objects, shared by the webhook
+// handlers in index.js and the reconciliation job.
+
+// Stripe statuses that grant access to paid features. Everything else
+// (past_due, unpaid, canceled, incomplete, incomplete_expired, paused)
+// means the customer should fall back to the free tier.
+export const ACCESS_GRANTING_STATUSES = ["active", "trialing"];
+// Subscriptions in these states still bill (or may bill) the customer
+export const CANCELABLE_SUBSCRIPTION_STATUSES = [
+  "active",
+  "past_due",
+  "trialing",
+  "unpaid",
+];
+
+export function getStripeId(value) {
+  return typeof value === "string" ? value : value?.id ?? null;
+}
+
+export function getSubscriptionPeriodEnd(subscription) {
+  // Newer Stripe API versions moved current_period_end onto subscription items
+  const periodEnd =
+    subscription.current_period_end ??
+    subscription.items?.data?.[0]?.current_period_end;
+  return periodEnd ? new Date(periodEnd * 1000) : null;
+}
+
+export function getInvoiceSubscriptionId(invoice) {
+  return getStripeId(
+    invoice.subscription ?? invoice.parent?.subscription_details?.subscription
+  );
+}
+
+// The subscription that should drive a customer's state: the newest one that
+// is still billable, or null if they have none
+export function pickCurrentSubscription(subscriptions) {
+  return (
+    subscriptions
+      .filter((sub) => CANCELABLE_SUBSCRIPTION_STATUSES.includes(sub.status))
+      .sort((a, b) => b.created - a.created)[0] ?? null
+  );
+}
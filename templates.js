@@ -0,0 +1,160 @@
+// templates.js
+// Saved bulk-edit recipes. A recipe says which events to act on (the
+// extension's current selection, or a title match within a date range) and
+// the steps to run on them, in order:
+//
+//   {
+//     target: { type: "selection" }
+//           | { type: "query", title_contains, range_days: { start, end } },
+//     steps: [
+//       { op: "move", offset_minutes },
+//       { op: "duplicate", offset_minutes },
+//       { op: "recolor", color },
+//       { op: "delete" },
+//     ],
+//   }
+//
+// range_days is relative to the day the template runs (0 = today).
+
+export const TEMPLATE_SCHEMA_VERSION = 1;
+
+// Google Calendar's event color names
+const EVENT_COLORS = [
+  "tomato",
+  "flamingo",
+  "tangerine",
+  "banana",
+  "sage",
+  "basil",
+  "peacock",
+  "blueberry",
+  "lavender",
+  "grape",
+  "graphite",
+];
+const MAX_STEPS = 20;
+const MAX_OFFSET_MINUTES = 366 * 24 * 60;
+const MAX_RANGE_DAYS = 366;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function validateOffset(value, errors, field) {
+  if (
+    !Number.isInteger(value) ||
+    Math.abs(value) > MAX_OFFSET_MINUTES ||
+    value === 0
+  ) {
+    errors.push(`${field} must be a non-zero number of minutes within a year`);
+    return;
+  }
+  return value;
+}
+
+function validateTarget(target, errors) {
+  if (!isPlainObject(target)) {
+    errors.push("target must be an object");
+    return;
+  }
+  if (target.type === "selection") return { type: "selection" };
+  if (target.type !== "query") {
+    errors.push('target.type must be "selection" or "query"');
+    return;
+  }
+
+  const { title_contains, range_days } = target;
+  if (
+    typeof title_contains !== "string" ||
+    !title_contains.trim() ||
+    title_contains.length > 200
+  )
+    errors.push("target.title_contains must be 1-200 characters");
+  const { start, end } = isPlainObject(range_days) ? range_days : {};
+  if (
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start > end ||
+    Math.abs(start) > MAX_RANGE_DAYS ||
+    Math.abs(end) > MAX_RANGE_DAYS
+  )
+    errors.push(
+      `target.range_days must be { start, end } days from today, start <= end, within ${MAX_RANGE_DAYS}`
+    );
+
+  return {
+    type: "query",
+    title_contains: title_contains?.trim?.(),
+    range_days: { start, end },
+  };
+}
+
+function validateStep(step, errors, field) {
+  if (!isPlainObject(step)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  switch (step.op) {
+    case "move":
+    case "duplicate":
+      return {
+        op: step.op,
+        offset_minutes: validateOffset(
+          step.offset_minutes,
+          errors,
+          `${field}.offset_minutes`
+        ),
+      };
+    case "recolor":
+      if (!EVENT_COLORS.includes(step.color))
+        errors.push(
+          `${field}.color must be one of: ${EVENT_COLORS.join(", ")}`
+        );
+      return { op: "recolor", color: step.color };
+    case "delete":
+      return { op: "delete" };
+    default:
+      errors.push(`${field}.op must be move, duplicate, recolor or delete`);
+  }
+}
+
+// Returns { recipe, errors }; only recipe fields known here are kept
+export function validateRecipe(recipe) {
+  const errors = [];
+  if (!isPlainObject(recipe))
+    return { recipe: null, errors: ["recipe must be an object"] };
+
+  const target = validateTarget(recipe.target, errors);
+  let steps = [];
+  if (
+    !Array.isArray(recipe.steps) ||
+    !recipe.steps.length ||
+    recipe.steps.length > MAX_STEPS
+  ) {
+    errors.push(`steps must list 1-${MAX_STEPS} steps`);
+  } else {
+    steps = recipe.steps.map((step, i) =>
+      validateStep(step, errors, `steps[${i}]`)
+    );
+    // Nothing is left to act on after a delete
+    const deleteAt = steps.findIndex((step) => step?.op === "delete");
+    if (deleteAt !== -1 && deleteAt !== steps.length - 1)
+      errors.push("delete must be the last step");
+  }
+
+  return { recipe: { target, steps }, errors };
+}
+
+// Name and description shared by create and update. Returns an error string
+// or null.
+export function validateTemplateText({ name, description }) {
+  if (typeof name !== "string" || !name.trim() || name.length > 100)
+    return "Template name must be 1-100 characters";
+  if (
+    description !== undefined &&
+    description !== null &&
+    (typeof description !== "string" || description.length > 500)
+  )
+    return "Description must be at most 500 characters";
+  return null;
+}
@@ -0,0 +1,120 @@
+// test/admin.test.js
+// Admin routes: customer lookup and support actions, each recorded in the
+// audit log.
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { ADMIN_KEY, PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const EMAIL = "support@example.com";
+
+describe("admin", () => {
+  let app;
+  let customerId;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  beforeEach(async () => {
+    app.stripeSubscriptions.clear();
+    await app.collections.customersCollection.deleteMany({});
+    const { insertedId } = await app.collections.customersCollection.insertOne({
+      customer_id: "cus_admin",
+      subscription_status: false,
+      plan: PRICE_MONTHLY,
+      emails: [EMAIL],
+      owner_email: EMAIL,
+      free_actions_remaining: 10,
+      created_at: new Date(),
+    });
+    customerId = String(insertedId);
+  });
+
+  function adminRequest(method, path, body) {
+    return app.request(method, path, { token: ADMIN_KEY, body });
+  }
+
+  test("requires an admin key", async () => {
+    const res = await app.request("GET", `/admin/customers/${customerId}`, {
+      email: EMAIL,
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("finds customers by email prefix or Stripe id", async () => {
+    const byEmail = await adminRequest("GET", "/admin/customers?q=support@");
+    assert.deepEqual(
+      byEmail.body.customers.map((c) => c.customer_id),
+      ["cus_admin"]
+    );
+    const byId = await adminRequest("GET", "/admin/customers?q=cus_admin");
+    assert.equal(byId.body.customers.length, 1);
+
+    const short = await adminRequest("GET", "/admin/customers?q=ab");
+    assert.equal(short.status, 400);
+  });
+
+  test("grants bonus actions and records it", async () => {
+    const res = await adminRequest("POST", "/admin/bonus-actions", {
+      email: EMAIL,
+      amount: 25,
+      reason: "support",
+      note: "Sorry about the outage",
+    });
+    assert.equal(res.status, 200);
+
+    const detail = await adminRequest("GET", `/admin/customers/${customerId}`);
+    assert.equal(detail.body.balance.bonus_actions_remaining, 25);
+    assert.equal(detail.body.balance.free_actions_remaining, 35);
+    assert.equal(detail.body.audit_log[0].action, "bonus_actions.grant");
+    assert.equal(detail.body.audit_log[0].admin, "tests");
+  });
+
+  test("adjusts the allowance without going below zero", async () => {
+    const res = await adminRequest(
+      "POST",
+      `/admin/customers/${customerId}/actions`,
+      { delta: -50, note: "Abuse" }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.balance.free_actions_remaining, 0);
+
+    const missingNote = await adminRequest(
+      "POST",
+      `/admin/customers/${customerId}/actions`,
+      { delta: 5 }
+    );
+    assert.equal(missingNote.status, 400);
+  });
+
+  test("syncs a customer's subscription from Stripe", async () => {
+    app.stripeSubscriptions.set("sub_admin", {
+      id: "sub_admin",
+      object: "subscription",
+      customer: "cus_admin",
+      status: "active",
+      cancel_at_period_end: false,
+      current_period_end: Math.floor(Date.UTC(2030, 0, 1) / 1000),
+      items: { data: [{ price: { id: PRICE_MONTHLY } }] },
+    });
+
+    const res = await adminRequest(
+      "POST",
+      `/admin/customers/${customerId}/sync`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.customer.subscription_status, true);
+    assert.equal(res.body.customer.subscription_id, "sub_admin");
+
+    const log = await adminRequest(
+      "GET",
+      `/admin/audit-log?target=${customerId}`
+    );
+    assert.equal(log.body.entries[0].action, "customer.sync");
+  });
+
+  test("returns 404 for unknown customers", async () => {
+    const res = await adminRequest("GET", "/admin/customers/not-an-id");
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,50 @@
+// test/app.test.js
+// What createApp sets up around the routes: static pages, security headers
+// and CORS.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers.js";
+
+describe("createApp", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  test("serves the static pages", async () => {
+    for (const path of ["/privacy", "/terms", "/payment-success"]) {
+      const res = await fetch(app.baseUrl + path);
+      assert.equal(res.status, 200, path);
+      assert.match(res.headers.get("content-type"), /text\/html/);
+    }
+  });
+
+  test("sends the configured content security policy", async () => {
+    const res = await fetch(`${app.baseUrl}/privacy`);
+    assert.match(
+      res.headers.get("content-security-policy"),
+      /default-src 'self'/
+    );
+  });
+
+  test("allows the extension's origins and no others", async () => {
+    const allowed = await fetch(`${app.baseUrl}/plans`, {
+      headers: { Origin: "chrome-extension://abcdefghijklmnop" },
+    });
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "chrome-extension://abcdefghijklmnop"
+    );
+
+    const other = await fetch(`${app.baseUrl}/plans`, {
+      headers: { Origin: "https://elsewhere.example" },
+    });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  test("answers unknown routes with 404", async () => {
+    const res = await app.request("GET", "/no-such-route");
+    assert.equal(res.status, 404);
+  });
+});
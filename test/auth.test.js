@@ -0,0 +1,87 @@
+// test/auth.test.js
+// Signing in with Google ID tokens, session tokens and admin keys.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { ADMIN_KEY, issueIdToken, startTestApp } from "./helpers.js";
+
+describe("auth", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  test("exchanges a Google ID token for a session token", async () => {
+    const res = await app.request("POST", "/auth/session", {
+      body: { id_token: issueIdToken("signin@example.com") },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, "signin@example.com");
+    assert.ok(res.body.expires_at);
+
+    const prefs = await app.request("GET", "/preferences", {
+      token: res.body.session_token,
+    });
+    assert.equal(prefs.status, 200);
+  });
+
+  test("accepts the ID token itself as a bearer token", async () => {
+    const res = await app.request("GET", "/preferences", {
+      token: issueIdToken("direct@example.com"),
+    });
+    assert.equal(res.status, 200);
+  });
+
+  test("rejects missing and invalid ID tokens", async () => {
+    const missing = await app.request("POST", "/auth/session", { body: {} });
+    assert.equal(missing.status, 400);
+
+    const invalid = await app.request("POST", "/auth/session", {
+      body: { id_token: "not-a-token" },
+    });
+    assert.equal(invalid.status, 401);
+  });
+
+  test("rejects invalid bearer tokens", async () => {
+    const res = await app.request("GET", "/preferences", {
+      token: "not-a-token",
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("accepts configured admin keys only", async () => {
+    const ok = await app.request("GET", "/admin/audit-log", {
+      token: ADMIN_KEY,
+    });
+    assert.equal(ok.status, 200);
+
+    const wrong = await app.request("GET", "/admin/audit-log", {
+      token: "wrong-key",
+    });
+    assert.equal(wrong.status, 401);
+
+    // Same number of characters as the key but more bytes
+    const multibyte = await app.request("GET", "/admin/audit-log", {
+      token: "é".repeat(ADMIN_KEY.length),
+    });
+    assert.equal(multibyte.status, 401);
+  });
+
+  test("doesn't take a bare email unless configured to", async () => {
+    const res = await app.request("GET", "/preferences?email=bare@example.com");
+    assert.equal(res.status, 401);
+
+    const legacy = await startTestApp({
+      env: { ALLOW_UNAUTHENTICATED_EMAIL: "true" },
+    });
+    try {
+      const allowed = await legacy.request(
+        "GET",
+        "/preferences?email=bare@example.com"
+      );
+      assert.equal(allowed.status, 200);
+    } finally {
+      await legacy.close();
+    }
+  });
+});
@@ -0,0 +1,205 @@
+// test/billing.test.js
+// Checkout, subscription status and the routes that manage a subscription.
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { PRICE_BASIC, PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const OWNER = "owner@example.com";
+const LINKED = "linked@example.com";
+const CUSTOMER_ID = "cus_billing";
+const PERIOD_END = Math.floor(Date.UTC(2030, 0, 1) / 1000);
+
+function buildSubscription(fields = {}) {
+  return {
+    id: "sub_billing",
+    object: "subscription",
+    customer: CUSTOMER_ID,
+    status: "active",
+    cancel_at_period_end: false,
+    current_period_end: PERIOD_END,
+    items: { data: [{ id: "si_billing", price: { id: PRICE_MONTHLY } }] },
+    ...fields,
+  };
+}
+
+describe("billing", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  // A subscribed customer whose plan is shared with a linked email
+  beforeEach(async () => {
+    app.stripeSubscriptions.clear();
+    await app.collections.customersCollection.deleteMany({});
+    await app.collections.customersCollection.insertOne({
+      customer_id: CUSTOMER_ID,
+      subscription_status: true,
+      subscription_id: "sub_billing",
+      plan: PRICE_MONTHLY,
+      emails: [OWNER, LINKED],
+      owner_email: OWNER,
+      free_actions_remaining: FREE_ACTIONS_LIMIT,
+      created_at: new Date(),
+    });
+    app.stripeSubscriptions.set("sub_billing", buildSubscription());
+  });
+
+  function findCustomer() {
+    return app.collections.customersCollection.findOne({
+      customer_id: CUSTOMER_ID,
+    });
+  }
+
+  test("creates a checkout session for a new customer", async () => {
+    const res = await app.request("POST", "/create-checkout", {
+      body: { email: "Buyer@Example.com", plan: "basic" },
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.url);
+
+    const customer = await app.collections.customersCollection.findOne({
+      emails: "buyer@example.com",
+    });
+    const session = app.checkoutSessions.at(-1);
+    assert.equal(session.customer, customer.customer_id);
+    assert.deepEqual(session.line_items, [{ price: PRICE_BASIC, quantity: 1 }]);
+    assert.match(session.success_url, /customer_id=cus_test_\d+$/);
+  });
+
+  test("rejects checkout for an unknown plan", async () => {
+    const res = await app.request("POST", "/create-checkout", {
+      body: { email: "buyer@example.com", plan: "platinum" },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("reports subscription status by Stripe customer id", async () => {
+    const res = await app.request(
+      "GET",
+      `/check-subscription?customer_id=${CUSTOMER_ID}`
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.subscribed, true);
+
+    const unknown = await app.request(
+      "GET",
+      "/check-subscription?customer_id=cus_unknown"
+    );
+    assert.equal(unknown.body.subscribed, false);
+
+    const invalid = await app.request(
+      "GET",
+      "/check-subscription?customer_id=nope"
+    );
+    assert.equal(invalid.status, 400);
+  });
+
+  test("reports an organization's status for its Stripe customer", async () => {
+    // Organization checkouts return to /payment-success with this id
+    await app.collections.organizationsCollection.insertOne({
+      name: "Team",
+      customer_id: "cus_org",
+      subscription_status: true,
+      members: [{ email: "lead@example.com", role: "owner" }],
+    });
+    const res = await app.request(
+      "GET",
+      "/check-subscription?customer_id=cus_org"
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.subscribed, true);
+  });
+
+  test("lists plans with their prices", async () => {
+    const res = await app.request("GET", "/plans");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.plans.map((plan) => plan.key),
+      ["monthly", "basic"]
+    );
+    assert.deepEqual(res.body.plans[0].price, { amount: 500, currency: "usd" });
+    assert.equal(res.body.free.actions, FREE_ACTIONS_LIMIT);
+  });
+
+  test("only lets the owner manage billing", async () => {
+    const routes = [
+      "/billing-portal",
+      "/subscription/cancel",
+      "/subscription/resume",
+      "/unsubscribe",
+    ];
+    for (const path of routes) {
+      const res = await app.request("POST", path, { email: LINKED });
+      assert.equal(res.status, 403, path);
+    }
+    const switched = await app.request("POST", "/subscription/switch-plan", {
+      email: LINKED,
+      body: { plan: "basic" },
+    });
+    assert.equal(switched.status, 403);
+
+    const customer = await findCustomer();
+    assert.equal(customer.subscription_status, true);
+    assert.equal(customer.plan, PRICE_MONTHLY);
+
+    const portal = await app.request("POST", "/billing-portal", {
+      email: OWNER,
+    });
+    assert.equal(portal.status, 200);
+    assert.ok(portal.body.url);
+  });
+
+  test("cancels at the period end and resumes", async () => {
+    const canceled = await app.request("POST", "/subscription/cancel", {
+      email: OWNER,
+    });
+    assert.equal(canceled.status, 200);
+    assert.equal(canceled.body.subscription.cancel_at_period_end, true);
+    assert.equal((await findCustomer()).cancel_at_period_end, true);
+
+    const resumed = await app.request("POST", "/subscription/resume", {
+      email: OWNER,
+    });
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.subscription.cancel_at_period_end, false);
+    assert.equal((await findCustomer()).cancel_at_period_end, false);
+  });
+
+  test("switching to a plan with a quota starts its allowance", async () => {
+    const res = await app.request("POST", "/subscription/switch-plan", {
+      email: OWNER,
+      body: { plan: "basic" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.subscription.plan, "basic");
+
+    const customer = await findCustomer();
+    assert.equal(customer.plan, PRICE_BASIC);
+    assert.equal(customer.free_actions_remaining, 500);
+  });
+
+  test("unsubscribing cancels the subscription and ends access", async () => {
+    const res = await app.request("POST", "/unsubscribe", { email: OWNER });
+    assert.equal(res.status, 200);
+    assert.equal(app.stripeSubscriptions.get("sub_billing").status, "canceled");
+
+    const customer = await findCustomer();
+    assert.equal(customer.subscription_status, false);
+    assert.equal(customer.subscription_state, "canceled");
+  });
+
+  test("unsubscribing keeps lifetime access", async () => {
+    await app.collections.customersCollection.updateOne(
+      { customer_id: CUSTOMER_ID },
+      { $set: { lifetime_access: true } }
+    );
+
+    const res = await app.request("POST", "/unsubscribe", { email: OWNER });
+    assert.equal(res.status, 200);
+    assert.equal(app.stripeSubscriptions.get("sub_billing").status, "canceled");
+    assert.equal((await findCustomer()).subscription_status, true);
+  });
+});
@@ -0,0 +1,211 @@
+// test/blog.test.js
+// Writing posts through the admin API and reading them from the public API
+// and the rendered pages.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { ADMIN_KEY, startTestApp } from "./helpers.js";
+
+describe("blog", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  function savePost(method, path, body) {
+    return app.request(method, path, { token: ADMIN_KEY, body });
+  }
+
+  test("requires an admin key to write posts", async () => {
+    const res = await app.request("POST", "/api/blog", {
+      body: { slug: "nope", title: "Nope", description: "d", markdown: "x" },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("keeps drafts private until they're published", async () => {
+    const created = await savePost("POST", "/api/blog", {
+      slug: "first-post",
+      title: "First Post",
+      description: "The first one",
+      date: "2025-01-02",
+      tags: ["news"],
+      markdown: "# Hello\n\nSome **bold** text <script>alert(1)</script>",
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.post.status, "draft");
+
+    const hidden = await app.request("GET", "/api/blog/first-post");
+    assert.equal(hidden.status, 404);
+
+    const published = await savePost("PUT", "/api/blog/first-post", {
+      status: "published",
+      revision: created.body.post.revision,
+    });
+    assert.equal(published.status, 200);
+
+    const res = await app.request("GET", "/api/blog/first-post");
+    assert.equal(res.status, 200);
+    assert.equal(
+      res.body.content,
+      "<h2>Hello</h2>\n<p>Some <strong>bold</strong> text </p>"
+    );
+
+    const list = await app.request("GET", "/api/blog?tag=news");
+    assert.deepEqual(
+      list.body.posts.map((post) => post.slug),
+      ["first-post"]
+    );
+  });
+
+  test("rejects an edit based on an old revision", async () => {
+    const created = await savePost("POST", "/api/blog", {
+      slug: "edited-post",
+      title: "Edited",
+      description: "d",
+      markdown: "v1",
+    });
+    const revision = created.body.post.revision;
+    await savePost("PUT", "/api/blog/edited-post", {
+      markdown: "v2",
+      revision,
+    });
+
+    const stale = await savePost("PUT", "/api/blog/edited-post", {
+      markdown: "v3",
+      revision,
+    });
+    assert.equal(stale.status, 409);
+  });
+
+  test("rolls a post back to an earlier revision", async () => {
+    const rolledBack = await savePost(
+      "POST",
+      "/api/blog/edited-post/rollback",
+      { revision: 1 }
+    );
+    assert.equal(rolledBack.status, 200);
+
+    const { body } = await savePost("GET", "/admin/blog/edited-post");
+    assert.equal(body.post.markdown, "v1");
+    assert.equal(body.post.content, "<p>v1</p>");
+    assert.equal(body.post.revision, 3);
+  });
+
+  test("pages through published posts by tag", async () => {
+    for (const [slug, date] of [
+      ["tips-one", "2025-02-01"],
+      ["tips-two", "2025-03-01"],
+    ]) {
+      const res = await savePost("POST", "/api/blog", {
+        slug,
+        title: slug,
+        description: "d",
+        date,
+        status: "published",
+        tags: ["Tips"],
+        markdown: "x",
+      });
+      assert.equal(res.status, 201);
+    }
+
+    const first = await app.request("GET", "/api/blog?tag=tips&limit=1");
+    assert.deepEqual(
+      first.body.posts.map((post) => post.slug),
+      ["tips-two"]
+    );
+    assert.deepEqual(first.body.posts[0].tags, ["tips"]);
+
+    const cursor = encodeURIComponent(first.body.next_cursor);
+    const second = await app.request(
+      "GET",
+      `/api/blog?tag=tips&limit=1&before=${cursor}`
+    );
+    assert.deepEqual(
+      second.body.posts.map((post) => post.slug),
+      ["tips-one"]
+    );
+
+    const tags = await app.request("GET", "/api/blog/tags");
+    assert.deepEqual(tags.body.tags, [
+      { tag: "tips", count: 2 },
+      { tag: "news", count: 1 },
+    ]);
+  });
+
+  test("rejects invalid posts", async () => {
+    const res = await savePost("POST", "/api/blog", {
+      slug: "Not A Slug",
+      title: "",
+      description: "d",
+      markdown: "x",
+    });
+    assert.equal(res.status, 400);
+    assert.ok(res.body.details.length >= 2);
+  });
+
+  test("sanitizes posts sent as HTML", async () => {
+    const created = await savePost("POST", "/api/blog", {
+      slug: "html-post",
+      title: "HTML",
+      description: "d",
+      content:
+        '<p onclick="x()">Hi</p><iframe src="https://example.com"></iframe>',
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.post.markdown, null);
+    assert.equal(created.body.post.content, "<p>Hi</p>");
+  });
+
+  test("answers 404 for unknown posts", async () => {
+    const res = await app.request("GET", "/api/blog/missing");
+    assert.equal(res.status, 404);
+
+    const page = await fetch(`${app.baseUrl}/blog/missing`);
+    assert.equal(page.status, 404);
+  });
+
+  test("renders published posts into pages, feeds and the sitemap", async () => {
+    const page = await fetch(`${app.baseUrl}/blog/first-post`);
+    assert.equal(page.status, 200);
+    const html = await page.text();
+    assert.match(html, /<h1>First Post<\/h1>/);
+    assert.match(html, /<strong>bold<\/strong>/);
+
+    const index = await (await fetch(`${app.baseUrl}/blog`)).text();
+    assert.match(index, /\/blog\/first-post/);
+    assert.doesNotMatch(index, /\/blog\/edited-post/);
+
+    const sitemap = await (await fetch(`${app.baseUrl}/sitemap.xml`)).text();
+    assert.match(sitemap, /\/blog\/first-post<\/loc>/);
+
+    const old = await fetch(`${app.baseUrl}/blog/post.html?slug=first-post`, {
+      redirect: "manual",
+    });
+    assert.equal(old.status, 301);
+    assert.equal(old.headers.get("location"), "/blog/first-post");
+  });
+
+  test("sanitizes HTML stored before posts were sanitized", async () => {
+    await app.collections.blogCollection.insertOne({
+      slug: "old-post",
+      title: "Old Post",
+      description: "From before sanitizing",
+      date: "2024-06-01",
+      content: '<p>Old</p><script>alert(1)</script><img src="x" onerror="y">',
+    });
+
+    const api = await app.request("GET", "/api/blog/old-post");
+    assert.equal(api.body.content, '<p>Old</p><img src="x" />');
+
+    const page = await fetch(`${app.baseUrl}/blog/old-post`);
+    assert.equal(page.status, 200);
+    const html = await page.text();
+    assert.match(html, /<h1>Old Post<\/h1>/);
+    assert.doesNotMatch(html, /alert\(1\)|onerror/);
+
+    const feed = await (await fetch(`${app.baseUrl}/rss.xml`)).text();
+    assert.match(feed, /&lt;p&gt;Old&lt;\/p&gt;/);
+    assert.doesNotMatch(feed, /alert\(1\)|onerror/);
+  });
+});
@@ -0,0 +1,90 @@
+// test/config.test.js
+// loadConfig collects every problem with the environment into one ConfigError.
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { ConfigError, loadConfig } from "../config.js";
+import { TEST_ENV } from "./helpers.js";
+
+function configProblems(env) {
+  try {
+    loadConfig({ ...TEST_ENV, ...env });
+  } catch (err) {
+    assert.ok(err instanceof ConfigError);
+    return err.message
+      .split("\n")
+      .slice(1)
+      .map((line) => line.slice(4));
+  }
+  return [];
+}
+
+describe("loadConfig", () => {
+  test("loads the test environment", () => {
+    const config = loadConfig(TEST_ENV);
+    assert.equal(config.env, "development");
+    assert.equal(config.stripe.mode, "test");
+    assert.deepEqual(config.freeQuota, {
+      period: "calendar_month",
+      rollingDays: 30,
+    });
+  });
+
+  test("reports every problem at once", () => {
+    assert.deepEqual(
+      configProblems({
+        MONGO_URI: "",
+        SESSION_SECRET: "short",
+        MAIL_TRANSPORT: "pigeon",
+        LOG_LEVEL: "loud",
+      }),
+      [
+        "SESSION_SECRET must be at least 32 characters",
+        "MAIL_TRANSPORT must be one of: smtp, console, file",
+        "MONGO_URI is required",
+        "LOG_LEVEL must be one of: debug, info, warn, error",
+      ]
+    );
+  });
+
+  test("rejects a Stripe key for the other mode", () => {
+    assert.deepEqual(configProblems({ STRIPE_SECRET_KEY_TEST: "sk_live_x" }), [
+      "STRIPE_SECRET_KEY_TEST is not a test-mode key (got live)",
+    ]);
+  });
+
+  test("checks the free quota settings", () => {
+    assert.deepEqual(
+      configProblems({
+        FREE_QUOTA_PERIOD: "rolling",
+        FREE_QUOTA_ROLLING_DAYS: "0",
+      }),
+      ["FREE_QUOTA_ROLLING_DAYS must be between 1 and 366"]
+    );
+    assert.deepEqual(configProblems({ FREE_QUOTA_PERIOD: "yearly" }), [
+      "FREE_QUOTA_PERIOD must be one of: calendar_month, calendar_week, rolling",
+    ]);
+    // Only rolling periods use the number of days
+    assert.deepEqual(configProblems({ FREE_QUOTA_ROLLING_DAYS: "0" }), []);
+  });
+
+  test("caps the reconciliation interval", () => {
+    assert.deepEqual(configProblems({ RECONCILE_INTERVAL_HOURS: "600" }), [
+      "RECONCILE_INTERVAL_HOURS must be at most 504",
+    ]);
+    assert.equal(
+      loadConfig({ ...TEST_ENV, RECONCILE_INTERVAL_HOURS: "24" }).reconcile
+        .intervalHours,
+      24
+    );
+  });
+
+  test("keeps scheduled jobs off in production", () => {
+    assert.ok(
+      configProblems({
+        APP_ENV: "production",
+        JOB_EXECUTOR: "dry-run",
+      }).includes("JOB_EXECUTOR must be none when APP_ENV is production")
+    );
+    assert.deepEqual(configProblems({ JOB_EXECUTOR: "dry-run" }), []);
+  });
+});
@@ -0,0 +1,115 @@
+// test/emails.test.js
+// Linking emails to a customer with an emailed code, and unlinking them.
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const OWNER = "owner@example.com";
+const MEMBER = "member@example.com";
+
+describe("linked emails", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  beforeEach(async () => {
+    app.sentMail.length = 0;
+    await app.collections.customersCollection.deleteMany({});
+    await app.collections.emailLinkRequestsCollection.deleteMany({});
+    await app.collections.customersCollection.insertOne({
+      customer_id: "cus_emails",
+      subscription_status: true,
+      plan: PRICE_MONTHLY,
+      emails: [OWNER, MEMBER],
+      owner_email: OWNER,
+      free_actions_remaining: FREE_ACTIONS_LIMIT,
+      created_at: new Date(),
+    });
+  });
+
+  // The code in the last confirmation email
+  function sentCode() {
+    return /confirmation code is (\d{6})/.exec(app.sentMail.at(-1).text)[1];
+  }
+
+  async function listEmails() {
+    const res = await app.request("GET", "/linked-emails", { email: OWNER });
+    return res.body.emails;
+  }
+
+  test("links an email once it confirms the emailed code", async () => {
+    const res = await app.request("POST", "/link-email", {
+      email: OWNER,
+      body: { new_email: "New@Example.com" },
+    });
+    assert.equal(res.status, 202);
+    assert.equal(app.sentMail.at(-1).to, "new@example.com");
+    assert.deepEqual(await listEmails(), [OWNER, MEMBER]);
+
+    const wrong = await app.request("POST", "/link-email/confirm", {
+      email: OWNER,
+      body: { new_email: "new@example.com", code: "xxxxxx" },
+    });
+    assert.equal(wrong.status, 400);
+
+    const confirmed = await app.request("POST", "/link-email/confirm", {
+      email: OWNER,
+      body: { new_email: "new@example.com", code: sentCode() },
+    });
+    assert.equal(confirmed.status, 200);
+    assert.deepEqual(await listEmails(), [OWNER, MEMBER, "new@example.com"]);
+  });
+
+  test("only lets the owner link emails", async () => {
+    const res = await app.request("POST", "/link-email", {
+      email: MEMBER,
+      body: { new_email: "friend@example.com" },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(app.sentMail.length, 0);
+  });
+
+  test("won't link past the customer's limit", async () => {
+    await app.collections.customersCollection.updateOne(
+      { owner_email: OWNER },
+      { $set: { linked_email_limit: 2 } }
+    );
+    const res = await app.request("POST", "/link-email", {
+      email: OWNER,
+      body: { new_email: "third@example.com" },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("won't link an email another customer has", async () => {
+    await app.collections.customersCollection.insertOne({
+      customer_id: "cus_other",
+      emails: ["taken@example.com"],
+      owner_email: "taken@example.com",
+      created_at: new Date(),
+    });
+    const res = await app.request("POST", "/link-email", {
+      email: OWNER,
+      body: { new_email: "taken@example.com" },
+    });
+    assert.equal(res.status, 409);
+  });
+
+  test("lets members unlink only themselves", async () => {
+    const owner = await app.request("POST", "/unlink-email", {
+      email: MEMBER,
+      body: { email: OWNER },
+    });
+    assert.equal(owner.status, 403);
+
+    const self = await app.request("POST", "/unlink-email", {
+      email: MEMBER,
+      body: { email: MEMBER },
+    });
+    assert.equal(self.status, 200);
+    assert.deepEqual(await listEmails(), [OWNER]);
+  });
+});
@@ -0,0 +1,283 @@
+// test/fakeDb.js
+// An in-memory stand-in for the parts of the Mongo driver the app uses, so
+// routes can be tested without a database server. Queries, projections,
+// update operators (with arrayFilters) and update pipelines are evaluated by
+// mingo; upserts, returnDocument and unique indexes (on scalar keys,
+// honouring partialFilterExpression) are handled here the way Mongo does.
+import { Aggregator, Query, update as applyUpdate } from "mingo";
+import { ObjectId } from "mongodb";
+
+class DuplicateKeyError extends Error {
+  constructor(index) {
+    super(`E11000 duplicate key error index: ${index}`);
+    this.code = 11000;
+  }
+}
+
+// Documents handed out are copies, like the driver's, so routes can't change
+// stored state by mutating what they read
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+  if (value && typeof value === "object")
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [key, clone(field)])
+    );
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => value?.[key], doc);
+}
+
+// Fields an upsert copies from its filter: plain equality conditions, and
+// single-value $in the way Mongo treats them
+function seedFromFilter(filter) {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith("$") || key.includes(".")) continue;
+    const isOperator =
+      condition &&
+      typeof condition === "object" &&
+      !(condition instanceof ObjectId) &&
+      !(condition instanceof Date) &&
+      !Array.isArray(condition);
+    if (!isOperator) seed[key] = clone(condition);
+    else if (Array.isArray(condition.$in) && condition.$in.length === 1)
+      seed[key] = clone(condition.$in[0]);
+  }
+  return seed;
+}
+
+function createCursor(docs, filter, options = {}) {
+  let sort = options.sort ?? null;
+  let skip = options.skip ?? 0;
+  let limit = options.limit ?? 0;
+  const projection = options.projection;
+
+  return {
+    sort(spec) {
+      sort = spec;
+      return this;
+    },
+    skip(count) {
+      skip = count;
+      return this;
+    },
+    limit(count) {
+      limit = count;
+      return this;
+    },
+    async toArray() {
+      let cursor = new Query(filter).find(docs, projection);
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return cursor.all().map(clone);
+    },
+    async *[Symbol.asyncIterator]() {
+      yield* await this.toArray();
+    },
+  };
+}
+
+function createCollection(name) {
+  let docs = [];
+  const uniqueIndexes = [];
+
+  function findMatches(filter, { sort } = {}) {
+    let cursor = new Query(filter).find(docs);
+    if (sort) cursor = cursor.sort(sort);
+    return cursor.all();
+  }
+
+  // Throws a duplicate key error if `doc` clashes with a stored document
+  // other than `replacing`
+  function checkUnique(doc, replacing = null) {
+    for (const { keys, partial } of uniqueIndexes) {
+      if (partial && !new Query(partial).test(doc)) continue;
+      const values = keys.map((key) => getPath(doc, key));
+      if (values.some((value) => Array.isArray(value))) continue;
+      const clash = docs.find(
+        (other) =>
+          other !== replacing &&
+          (!partial || new Query(partial).test(other)) &&
+          keys.every(
+            (key, i) =>
+              String(getPath(other, key) ?? null) === String(values[i] ?? null)
+          )
+      );
+      if (clash) throw new DuplicateKeyError(`${name}.${keys.join("_")}`);
+    }
+  }
+
+  function insert(doc) {
+    // The driver adds _id to the document it was given
+    doc._id ??= new ObjectId();
+    const stored = clone(doc);
+    checkUnique(stored);
+    docs.push(stored);
+    return stored;
+  }
+
+  function replace(existing, updated) {
+    checkUnique(updated, existing);
+    docs[docs.indexOf(existing)] = updated;
+  }
+
+  function applyTo(doc, updateSpec, { inserting = false, arrayFilters } = {}) {
+    // Update pipelines run as an aggregation over the one document
+    if (Array.isArray(updateSpec))
+      return clone(new Aggregator(updateSpec).run([clone(doc)])[0]);
+    const { $setOnInsert, ...modifier } = updateSpec;
+    const updated = clone(doc);
+    if (inserting && $setOnInsert) applyUpdate(updated, { $set: $setOnInsert });
+    if (!arrayFilters) {
+      if (Object.keys(modifier).length) applyUpdate(updated, modifier);
+      return updated;
+    }
+    // mingo rejects setting several fields of one filtered array element in a
+    // single update, which Mongo allows, so apply those a field at a time
+    for (const [operator, fields] of Object.entries(modifier))
+      for (const [path, value] of Object.entries(fields))
+        applyUpdate(updated, { [operator]: { [path]: value } }, arrayFilters);
+    return updated;
+  }
+
+  // Update the first match, or insert when upserting; returns the stored
+  // document before and after, and whether it was inserted
+  function updateFirst(
+    filter,
+    updateSpec,
+    { upsert = false, sort, arrayFilters } = {}
+  ) {
+    const [existing] = findMatches(filter, { sort });
+    if (existing) {
+      const updated = applyTo(existing, updateSpec, { arrayFilters });
+      replace(existing, updated);
+      return { before: existing, after: updated, inserted: false };
+    }
+    if (!upsert) return { before: null, after: null, inserted: false };
+    const after = insert(
+      applyTo(seedFromFilter(filter), updateSpec, { inserting: true })
+    );
+    return { before: null, after, inserted: true };
+  }
+
+  function project(doc, projection) {
+    if (!doc) return null;
+    if (!projection) return clone(doc);
+    return clone(new Query({}).find([doc], projection).all()[0]);
+  }
+
+  return {
+    collectionName: name,
+
+    async createIndex(keys, options = {}) {
+      if (options.unique)
+        uniqueIndexes.push({
+          keys: Object.keys(keys),
+          partial: options.partialFilterExpression ?? null,
+        });
+      return Object.keys(keys).join("_");
+    },
+
+    async insertOne(doc) {
+      return { acknowledged: true, insertedId: insert(doc)._id };
+    },
+
+    async insertMany(newDocs) {
+      const insertedIds = {};
+      newDocs.forEach((doc, i) => (insertedIds[i] = insert(doc)._id));
+      return { acknowledged: true, insertedCount: newDocs.length, insertedIds };
+    },
+
+    async findOne(filter = {}, options = {}) {
+      const [doc] = findMatches(filter, options);
+      return project(doc, options.projection);
+    },
+
+    find(filter = {}, options = {}) {
+      return createCursor(docs, filter, options);
+    },
+
+    async countDocuments(filter = {}) {
+      return findMatches(filter).length;
+    },
+
+    async updateOne(filter, updateSpec, options = {}) {
+      const { before, after, inserted } = updateFirst(
+        filter,
+        updateSpec,
+        options
+      );
+      return {
+        acknowledged: true,
+        matchedCount: before ? 1 : 0,
+        modifiedCount: before ? 1 : 0,
+        upsertedCount: inserted ? 1 : 0,
+        upsertedId: inserted ? after._id : null,
+      };
+    },
+
+    async updateMany(filter, updateSpec, { arrayFilters } = {}) {
+      const matches = findMatches(filter);
+      for (const existing of matches)
+        replace(existing, applyTo(existing, updateSpec, { arrayFilters }));
+      return {
+        acknowledged: true,
+        matchedCount: matches.length,
+        modifiedCount: matches.length,
+      };
+    },
+
+    async findOneAndUpdate(filter, updateSpec, options = {}) {
+      const { before, after } = updateFirst(filter, updateSpec, options);
+      const result = options.returnDocument === "after" ? after : before;
+      return project(result, options.projection);
+    },
+
+    async findOneAndDelete(filter, options = {}) {
+      const [doc] = findMatches(filter, options);
+      if (!doc) return null;
+      docs = docs.filter((other) => other !== doc);
+      return project(doc, options.projection);
+    },
+
+    async deleteOne(filter) {
+      const [doc] = findMatches(filter);
+      docs = docs.filter((other) => other !== doc);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+
+    async deleteMany(filter = {}) {
+      const matches = new Set(findMatches(filter));
+      docs = docs.filter((doc) => !matches.has(doc));
+      return { acknowledged: true, deletedCount: matches.size };
+    },
+
+    aggregate(pipeline) {
+      const results = () => new Aggregator(pipeline).run(docs).map(clone);
+      return {
+        async toArray() {
+          return results();
+        },
+      };
+    },
+  };
+}
+
+export function createFakeDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection(name));
+      return collections.get(name);
+    },
+    async command(command) {
+      if (command.ping) return { ok: 1 };
+      throw new Error(`Unsupported command: ${Object.keys(command)[0]}`);
+    },
+  };
+}
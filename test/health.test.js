@@ -0,0 +1,60 @@
+// test/health.test.js
+// Probes and the metrics endpoint.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers.js";
+
+const METRICS_TOKEN = "metrics-token-for-tests";
+
+describe("health", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp({ env: { METRICS_TOKEN } });
+  });
+  after(() => app.close());
+
+  test("reports the process up and Mongo reachable", async () => {
+    const health = await app.request("GET", "/healthz");
+    assert.deepEqual(health.body, { status: "ok" });
+
+    const ready = await app.request("GET", "/readyz");
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.body.checks, { mongo: "ok" });
+  });
+
+  test("serves metrics to the metrics token only", async () => {
+    await app.request("GET", "/plans");
+    const res = await app.request("GET", "/metrics", { token: METRICS_TOKEN });
+    assert.equal(res.status, 200);
+    assert.match(res.text, /http_request_duration_seconds/);
+
+    for (const token of [
+      undefined,
+      "wrong",
+      "é".repeat(METRICS_TOKEN.length),
+    ]) {
+      const denied = await app.request("GET", "/metrics", { token });
+      assert.equal(denied.status, 401);
+    }
+  });
+
+  test("only serves metrics without a token in development", async () => {
+    const staging = await startTestApp({
+      env: { APP_ENV: "staging", PUBLIC_URL: "https://staging.example.com" },
+    });
+    try {
+      const res = await staging.request("GET", "/metrics");
+      assert.equal(res.status, 401);
+    } finally {
+      await staging.close();
+    }
+
+    const development = await startTestApp();
+    try {
+      const res = await development.request("GET", "/metrics");
+      assert.equal(res.status, 200);
+    } finally {
+      await development.close();
+    }
+  });
+});
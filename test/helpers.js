@@ -0,0 +1,233 @@
+// test/helpers.js
+// Builds the app the way index.js does, but against the in-memory database
+// in fakeDb.js and a fake Stripe whose webhooks are signed with a local
+// secret, and serves it on a free local port.
+import { UnsecuredJWT } from "jose";
+import Stripe from "stripe";
+import { createApp } from "../app.js";
+import { AuthError, createSessionTokenService } from "../auth.js";
+import { ensureIndexes, getCollections } from "../collections.js";
+import { loadConfig } from "../config.js";
+import { createLogger } from "../logger.js";
+import { createFakeDb } from "./fakeDb.js";
+
+export const WEBHOOK_SECRET = "whsec_test_local";
+export const PRICE_MONTHLY = "price_monthly_test";
+export const PRICE_BASIC = "price_basic_test";
+export const ADMIN_KEY = "admin-key-for-tests";
+
+export const TEST_ENV = {
+  GOOGLE_CLIENT_IDS: "test-client-id",
+  SESSION_SECRET: "s".repeat(32),
+  STRIPE_SECRET_KEY_TEST: "sk_test_local",
+  STRIPE_WEBHOOK_SECRET_TEST: WEBHOOK_SECRET,
+  STRIPE_PRICE_ID_TEST: PRICE_MONTHLY,
+  STRIPE_PRICE_ID_BASIC_TEST: PRICE_BASIC,
+  MONGO_URI: "mongodb://localhost/test",
+  ADMIN_API_KEYS: `tests:${ADMIN_KEY}`,
+};
+
+function resourceMissing(message) {
+  const err = new Error(message);
+  err.code = "resource_missing";
+  return err;
+}
+
+// The Stripe calls the routes under test make. Webhook signatures are checked
+// by the real SDK. Subscriptions live in `stripeSubscriptions`, which tests
+// fill with the state Stripe should report; updates and cancels change them
+// there. Checkout sessions created are kept in `checkoutSessions`.
+function createFakeStripe() {
+  const { webhooks } = new Stripe(TEST_ENV.STRIPE_SECRET_KEY_TEST);
+  const stripeSubscriptions = new Map();
+  const checkoutSessions = [];
+  let nextCustomer = 1;
+
+  function retrieveSubscription(id) {
+    const subscription = stripeSubscriptions.get(id);
+    if (!subscription) throw resourceMissing(`No such subscription: '${id}'`);
+    return subscription;
+  }
+
+  function saveSubscription(subscription) {
+    stripeSubscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  const stripe = {
+    webhooks,
+    customers: {
+      async create({ email }) {
+        return { id: `cus_test_${nextCustomer++}`, email };
+      },
+      async retrieve(id) {
+        return { id, object: "customer" };
+      },
+    },
+    subscriptions: {
+      async retrieve(id) {
+        return retrieveSubscription(id);
+      },
+      async list({ customer }) {
+        const data = [...stripeSubscriptions.values()].filter(
+          (subscription) => subscription.customer === customer
+        );
+        return { data, has_more: false };
+      },
+      async update(id, { items, ...fields }) {
+        const current = retrieveSubscription(id);
+        const subscription = { ...current, ...fields };
+        if (items)
+          subscription.items = {
+            data: items.map(({ id: itemId, price, quantity }) => ({
+              ...current.items?.data.find((item) => item.id === itemId),
+              id: itemId,
+              ...(price && { price: { id: price } }),
+              ...(quantity !== undefined && { quantity }),
+            })),
+          };
+        return saveSubscription(subscription);
+      },
+      async cancel(id) {
+        return saveSubscription({
+          ...retrieveSubscription(id),
+          status: "canceled",
+        });
+      },
+    },
+    checkout: {
+      sessions: {
+        async create(params) {
+          const session = {
+            id: `cs_test_${checkoutSessions.length + 1}`,
+            url: `https://checkout.stripe.test/${checkoutSessions.length + 1}`,
+            ...params,
+          };
+          checkoutSessions.push(session);
+          return session;
+        },
+      },
+    },
+    billingPortal: {
+      sessions: {
+        async create({ customer }) {
+          return { url: `https://billing.stripe.test/${customer}` };
+        },
+      },
+    },
+    prices: {
+      async retrieve(id) {
+        return { id, unit_amount: 500, currency: "usd" };
+      },
+    },
+    promotionCodes: {
+      async list() {
+        return { data: [] };
+      },
+    },
+  };
+  return { stripe, stripeSubscriptions, checkoutSessions };
+}
+
+// Google ID tokens for tests: unsigned JWTs only this verifier accepts
+const issuedIdTokens = new Map();
+
+export function issueIdToken(email) {
+  const token = new UnsecuredJWT({ email })
+    .setIssuer("https://accounts.google.com")
+    .setAudience(TEST_ENV.GOOGLE_CLIENT_IDS)
+    .encode();
+  issuedIdTokens.set(token, email);
+  return token;
+}
+
+const idTokenVerifier = {
+  async verify(token) {
+    const email = issuedIdTokens.get(token);
+    if (!email) throw new AuthError("Unknown ID token");
+    return { email };
+  },
+};
+
+// Start the app; call close() when done. `env` adds to or overrides the
+// test environment config is loaded from. `jobExecutor` runs scheduled jobs,
+// which are off without one.
+export async function startTestApp({ env = {}, jobExecutor = null } = {}) {
+  const config = loadConfig({ ...TEST_ENV, ...env });
+  const db = createFakeDb();
+  await ensureIndexes(db);
+  const { stripe, stripeSubscriptions, checkoutSessions } = createFakeStripe();
+  const sentMail = [];
+
+  const app = createApp({
+    stripe,
+    db,
+    config,
+    logger: createLogger({ level: "error", write: () => {} }),
+    mailer: {
+      async send(message) {
+        sentMail.push(message);
+      },
+    },
+    idTokenVerifier,
+    jobExecutor,
+  });
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const sessions = createSessionTokenService({
+    secret: config.auth.sessionSecret,
+  });
+
+  // JSON request as `email` (signed in with a session token), with a bearer
+  // `token` such as an admin key, or anonymous
+  async function request(method, path, { email, token, body } = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (email) token = (await sessions.issue(email)).token;
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not every response is JSON, e.g. pages and webhook errors
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  // Deliver a Stripe event to /webhook, signed with `secret`
+  async function sendWebhook(event, { secret = WEBHOOK_SECRET } = {}) {
+    const payload = JSON.stringify(event);
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret,
+    });
+    const res = await fetch(`${baseUrl}/webhook`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Stripe-Signature": signature,
+      },
+      body: payload,
+    });
+    return { status: res.status, text: await res.text() };
+  }
+
+  return {
+    config,
+    baseUrl,
+    collections: getCollections(db),
+    services: app.locals.context,
+    stripeSubscriptions,
+    checkoutSessions,
+    sentMail,
+    request,
+    sendWebhook,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,158 @@
+// test/metering.test.js
+// /check-action reserves free actions and /consume-actions commits them.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+describe("action metering", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("POST", "/check-action", {
+      body: { action_count: 1 },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  test("creates new customers with the free allowance and reserves actions", async () => {
+    const email = "new@example.com";
+    const res = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 5 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.allowed, true);
+    assert.equal(res.body.plan, "free");
+    assert.equal(res.body.free_actions_remaining, FREE_ACTIONS_LIMIT - 5);
+    assert.ok(res.body.reservation_id);
+
+    const customer = await app.collections.customersCollection.findOne({
+      emails: email,
+    });
+    assert.equal(customer.customer_id, "cus_test_1");
+    assert.equal(customer.owner_email, email);
+  });
+
+  test("rejects an invalid action_count", async () => {
+    const res = await app.request("POST", "/check-action", {
+      email: "new@example.com",
+      body: { action_count: 0 },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("returns unused reserved actions when consuming", async () => {
+    const email = "consume@example.com";
+    const check = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 5 },
+    });
+    const res = await app.request("POST", "/consume-actions", {
+      email,
+      body: {
+        action_count: 3,
+        reservation_id: check.body.reservation_id,
+        action_type: "move",
+      },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.free_actions_remaining, FREE_ACTIONS_LIMIT - 3);
+
+    const usage = await app.collections.actionUsageCollection.findOne({
+      email,
+    });
+    assert.equal(usage.count, 3);
+    assert.equal(usage.charged, 3);
+    assert.equal(usage.action_type, "move");
+
+    // A reservation is committed once
+    const again = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 3, reservation_id: check.body.reservation_id },
+    });
+    assert.equal(again.status, 409);
+  });
+
+  test("commits the open reservation when no reservation_id is sent", async () => {
+    const email = "legacy@example.com";
+    await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 4 },
+    });
+    const res = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 4 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.free_actions_remaining, FREE_ACTIONS_LIMIT - 4);
+
+    const customer = await app.collections.customersCollection.findOne({
+      emails: email,
+    });
+    const open = await app.collections.actionReservationsCollection.findOne({
+      customer_doc_id: customer._id,
+      status: "reserved",
+    });
+    assert.equal(open, null);
+  });
+
+  test("refuses when the balance is too low", async () => {
+    const email = "empty@example.com";
+    await app.request("POST", "/check-action", { email, body: {} });
+    await app.collections.customersCollection.updateOne(
+      { emails: email },
+      { $set: { free_actions_remaining: 2 } }
+    );
+
+    const res = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 5 },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.allowed, false);
+    assert.equal(res.body.reservation_id, null);
+    assert.equal(res.body.free_actions_remaining, 2);
+  });
+
+  test("lets unlimited plans through without reserving", async () => {
+    const email = "pro@example.com";
+    await app.collections.customersCollection.insertOne({
+      customer_id: "cus_pro",
+      subscription_status: true,
+      plan: PRICE_MONTHLY,
+      emails: [email],
+      owner_email: email,
+      free_actions_remaining: FREE_ACTIONS_LIMIT,
+      created_at: new Date(),
+    });
+
+    const check = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 500 },
+    });
+    assert.equal(check.status, 200);
+    assert.equal(check.body.allowed, true);
+    assert.equal(check.body.plan, "monthly");
+    assert.equal(check.body.reservation_id, null);
+
+    const consume = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 500 },
+    });
+    assert.equal(consume.status, 200);
+    assert.equal(consume.body.free_actions_remaining, FREE_ACTIONS_LIMIT);
+  });
+
+  test("returns 404 when consuming for an unknown customer", async () => {
+    const res = await app.request("POST", "/consume-actions", {
+      email: "nobody@example.com",
+      body: { action_count: 1 },
+    });
+    assert.equal(res.status, 404);
+  });
+});
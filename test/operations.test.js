@@ -0,0 +1,165 @@
+// test/operations.test.js
+// Operation history, undo payloads and free undos.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { startTestApp } from "./helpers.js";
+
+function movedEvent(eventId) {
+  return {
+    event_id: eventId,
+    calendar_id: "primary",
+    before: {
+      start: "2026-01-05T09:00:00Z",
+      end: "2026-01-05T10:00:00Z",
+      color: null,
+    },
+    after: {
+      start: "2026-01-05T10:00:00Z",
+      end: "2026-01-05T11:00:00Z",
+      color: null,
+    },
+  };
+}
+
+describe("/operations", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  // Pay for and run a move of `count` events, then record it
+  async function recordMove(email, count) {
+    const check = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: count },
+    });
+    const { reservation_id } = check.body;
+    await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: count, reservation_id, action_type: "move" },
+    });
+    const events = Array.from({ length: count }, (_, i) => movedEvent(`e${i}`));
+    return app.request("POST", "/operations", {
+      email,
+      body: { op_type: "move", events, reservation_id },
+    });
+  }
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/operations");
+    assert.equal(res.status, 401);
+  });
+
+  test("records a paid operation and lists it", async () => {
+    const email = "history@example.com";
+    const recorded = await recordMove(email, 2);
+    assert.equal(recorded.status, 201);
+    assert.equal(recorded.body.operation.event_count, 2);
+
+    const res = await app.request("GET", "/operations", { email });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.operations.map((operation) => operation.id),
+      [recorded.body.operation.id]
+    );
+  });
+
+  test("won't record an operation nobody paid for", async () => {
+    const email = "unpaid@example.com";
+    await recordMove(email, 1);
+
+    const missing = await app.request("POST", "/operations", {
+      email,
+      body: { op_type: "move", events: [movedEvent("e1")] },
+    });
+    assert.equal(missing.status, 400);
+
+    // A reservation backs a single operation
+    const check = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 1 },
+    });
+    const { reservation_id } = check.body;
+    await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 1, reservation_id, action_type: "move" },
+    });
+    const body = {
+      op_type: "move",
+      events: [movedEvent("e1")],
+      reservation_id,
+    };
+    const first = await app.request("POST", "/operations", { email, body });
+    assert.equal(first.status, 201);
+    const again = await app.request("POST", "/operations", { email, body });
+    assert.equal(again.status, 409);
+  });
+
+  test("undoes an operation once, without charging for it", async () => {
+    const email = "undo@example.com";
+    const recorded = await recordMove(email, 2);
+    const { id } = recorded.body.operation;
+
+    const payload = await app.request("GET", `/operations/${id}/undo`, {
+      email,
+    });
+    assert.equal(payload.status, 200);
+    assert.deepEqual(
+      payload.body.undo.events[0].after,
+      movedEvent("e0").before
+    );
+
+    const check = await app.request("POST", "/check-action", {
+      email,
+      body: { action_count: 2, undo_of: id },
+    });
+    assert.equal(check.body.allowed, true);
+    assert.equal(check.body.reservation_id, null);
+
+    // An undo can't cover more events than the operation had
+    const tooLarge = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 3, undo_of: id, action_type: "move" },
+    });
+    assert.equal(tooLarge.status, 400);
+
+    const consumed = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 2, undo_of: id, action_type: "move" },
+    });
+    assert.equal(consumed.status, 200);
+    assert.equal(consumed.body.free_actions_remaining, FREE_ACTIONS_LIMIT - 2);
+
+    const twice = await app.request("POST", "/consume-actions", {
+      email,
+      body: { action_count: 2, undo_of: id, action_type: "move" },
+    });
+    assert.equal(twice.status, 409);
+  });
+
+  test("marks the original undone when the undo is recorded", async () => {
+    const email = "recorded-undo@example.com";
+    const recorded = await recordMove(email, 1);
+    const { id } = recorded.body.operation;
+    const { undo } = (
+      await app.request("GET", `/operations/${id}/undo`, { email })
+    ).body;
+
+    const res = await app.request("POST", "/operations", {
+      email,
+      body: undo,
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.operation.undo_of, id);
+
+    const original = await app.request("GET", `/operations/${id}`, { email });
+    assert.ok(original.body.operation.undone_at);
+    const again = await app.request("POST", "/operations", {
+      email,
+      body: undo,
+    });
+    assert.equal(again.status, 409);
+  });
+});
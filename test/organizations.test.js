@@ -0,0 +1,180 @@
+// test/organizations.test.js
+// Organizations: team checkout, invitations, members' access and the
+// default preferences profile.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const OWNER = "lead@example.com";
+const MEMBER = "teammate@example.com";
+
+describe("/organization", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  async function isSubscribed(email) {
+    const res = await app.request("GET", "/action-status", { email });
+    return res.body.subscribed;
+  }
+
+  // Stripe reporting the organization's subscription as active with `seats`
+  async function activateSubscription(customerId, seats) {
+    const subscription = {
+      id: "sub_org",
+      object: "subscription",
+      customer: customerId,
+      status: "active",
+      cancel_at_period_end: false,
+      current_period_end: Math.floor(Date.UTC(2030, 0, 1) / 1000),
+      items: {
+        data: [{ id: "si_org", price: { id: PRICE_MONTHLY }, quantity: seats }],
+      },
+    };
+    app.stripeSubscriptions.set(subscription.id, subscription);
+    const res = await app.sendWebhook({
+      id: `evt_org_${seats}`,
+      object: "event",
+      type: "customer.subscription.updated",
+      data: { object: subscription },
+    });
+    assert.equal(res.status, 200);
+  }
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/organization");
+    assert.equal(res.status, 401);
+  });
+
+  test("creates one organization per email", async () => {
+    const created = await app.request("POST", "/organization", {
+      email: OWNER,
+      body: { name: "Planning team" },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.organization.role, "owner");
+    assert.equal(created.body.organization.seats, 1);
+
+    const again = await app.request("POST", "/organization", {
+      email: OWNER,
+      body: { name: "Second team" },
+    });
+    assert.equal(again.status, 409);
+  });
+
+  test("only sells plans with unlimited actions", async () => {
+    const basic = await app.request("POST", "/organization/checkout", {
+      email: OWNER,
+      body: { plan: "basic", seats: 3 },
+    });
+    assert.equal(basic.status, 400);
+
+    const res = await app.request("POST", "/organization/checkout", {
+      email: OWNER,
+      body: { seats: 3 },
+    });
+    assert.equal(res.status, 200);
+    const session = app.checkoutSessions.at(-1);
+    assert.deepEqual(session.line_items, [
+      { price: PRICE_MONTHLY, quantity: 3 },
+    ]);
+
+    await activateSubscription(session.customer, 3);
+    const { body } = await app.request("GET", "/organization", {
+      email: OWNER,
+    });
+    assert.equal(body.organization.subscribed, true);
+    assert.equal(body.organization.seats, 3);
+    assert.equal(await isSubscribed(OWNER), true);
+  });
+
+  test("members join by invitation and share the plan", async () => {
+    const invited = await app.request("POST", "/organization/invites", {
+      email: OWNER,
+      body: { email: MEMBER },
+    });
+    assert.equal(invited.status, 202);
+    const mail = app.sentMail.at(-1);
+    assert.equal(mail.to, MEMBER);
+    const token = mail.text.match(/org_invite=([\w-]+)/)[1];
+
+    // The invitation is for the address it was sent to
+    const wrongEmail = await app.request("POST", "/organization/join", {
+      email: "someone@example.com",
+      body: { token },
+    });
+    assert.equal(wrongEmail.status, 403);
+
+    const joined = await app.request("POST", "/organization/join", {
+      email: MEMBER,
+      body: { token },
+    });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.body.organization.role, "member");
+    assert.equal(await isSubscribed(MEMBER), true);
+
+    // Members don't see the member list or manage the organization
+    const { body } = await app.request("GET", "/organization", {
+      email: MEMBER,
+    });
+    assert.equal(body.organization.members, undefined);
+    const invite = await app.request("POST", "/organization/invites", {
+      email: MEMBER,
+      body: { email: "another@example.com" },
+    });
+    assert.equal(invite.status, 403);
+  });
+
+  test("pushes the default profile to every member", async () => {
+    const res = await app.request("PUT", "/organization/default-profile", {
+      email: OWNER,
+      body: { name: "Team layout", preferences: { hideLeftSidebar: true } },
+    });
+    assert.equal(res.status, 200);
+
+    const profiles = await app.request("GET", "/preferences/profiles", {
+      email: MEMBER,
+    });
+    assert.ok(
+      profiles.body.profiles.some((profile) => profile.name === "Team layout")
+    );
+  });
+
+  test("won't drop seats below the members", async () => {
+    const res = await app.request("PATCH", "/organization/seats", {
+      email: OWNER,
+      body: { seats: 1 },
+    });
+    assert.equal(res.status, 409);
+
+    const updated = await app.request("PATCH", "/organization/seats", {
+      email: OWNER,
+      body: { seats: 5 },
+    });
+    assert.equal(updated.status, 200);
+    const { body } = await app.request("GET", "/organization", {
+      email: OWNER,
+    });
+    assert.equal(body.organization.seats, 5);
+  });
+
+  test("removed members lose access", async () => {
+    const res = await app.request(
+      "DELETE",
+      `/organization/members/${encodeURIComponent(MEMBER)}`,
+      { email: OWNER }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(await isSubscribed(MEMBER), false);
+    assert.equal(await isSubscribed(OWNER), true);
+
+    const owner = await app.request(
+      "DELETE",
+      `/organization/members/${encodeURIComponent(OWNER)}`,
+      { email: OWNER }
+    );
+    assert.equal(owner.status, 403);
+  });
+});
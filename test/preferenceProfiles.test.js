@@ -0,0 +1,137 @@
+// test/preferenceProfiles.test.js
+// Named preference profiles, switching between them, and export/import.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestApp } from "./helpers.js";
+
+describe("/preferences/profiles", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  // A customer with some saved preferences
+  async function customerWithPreferences(email, preferences) {
+    const res = await app.request("POST", "/preferences", {
+      email,
+      body: { version: 0, preferences },
+    });
+    assert.equal(res.status, 200);
+  }
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/preferences/profiles");
+    assert.equal(res.status, 401);
+  });
+
+  test("turns existing preferences into a Default profile", async () => {
+    const email = "default-profile@example.com";
+    await customerWithPreferences(email, { hideLeftSidebar: true });
+
+    const res = await app.request("GET", "/preferences/profiles", { email });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.active_profile_id, "default");
+    assert.deepEqual(
+      res.body.profiles.map(({ name, active }) => ({ name, active })),
+      [{ name: "Default", active: true }]
+    );
+  });
+
+  test("rejects a name already taken, ignoring case", async () => {
+    const email = "names@example.com";
+    await customerWithPreferences(email, { hideLeftSidebar: true });
+
+    const created = await app.request("POST", "/preferences/profiles", {
+      email,
+      body: { name: "Work" },
+    });
+    assert.equal(created.status, 201);
+    const duplicate = await app.request("POST", "/preferences/profiles", {
+      email,
+      body: { name: " work " },
+    });
+    assert.equal(duplicate.status, 409);
+  });
+
+  test("switching profiles swaps the live preferences", async () => {
+    const email = "switch@example.com";
+    await customerWithPreferences(email, { hideLeftSidebar: true });
+
+    const created = await app.request("POST", "/preferences/profiles", {
+      email,
+      body: { name: "Planning", preferences: { highlightColor: "#00FF00" } },
+    });
+    const { id } = created.body.profile;
+
+    const activated = await app.request(
+      "POST",
+      `/preferences/profiles/${id}/activate`,
+      { email, body: {} }
+    );
+    assert.equal(activated.status, 200);
+    assert.equal(activated.body.active_profile_id, id);
+    assert.equal(activated.body.version, 2);
+    assert.deepEqual(activated.body.preferences, { highlightColor: "#00ff00" });
+
+    // The active profile can't be deleted; the one left behind can
+    const blocked = await app.request("DELETE", `/preferences/profiles/${id}`, {
+      email,
+    });
+    assert.equal(blocked.status, 409);
+    const back = await app.request(
+      "POST",
+      "/preferences/profiles/default/activate",
+      { email, body: {} }
+    );
+    assert.deepEqual(back.body.preferences, { hideLeftSidebar: true });
+    const deleted = await app.request("DELETE", `/preferences/profiles/${id}`, {
+      email,
+    });
+    assert.equal(deleted.status, 200);
+  });
+
+  test("exports a profile that can be imported elsewhere", async () => {
+    await customerWithPreferences("exporter@example.com", {
+      keybinds: { moveEvents: "Alt+M" },
+    });
+    const exported = await app.request(
+      "GET",
+      "/preferences/profiles/default/export",
+      { email: "exporter@example.com" }
+    );
+    assert.equal(exported.status, 200);
+    assert.match(
+      exported.headers.get("content-disposition"),
+      /filename="default\.json"/
+    );
+
+    const email = "importer@example.com";
+    await customerWithPreferences(email, { hideLeftSidebar: true });
+    const imported = await app.request("POST", "/preferences/profiles/import", {
+      email,
+      body: { profile: exported.body, name: "Shared" },
+    });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.profile.name, "Shared");
+
+    const activated = await app.request(
+      "POST",
+      `/preferences/profiles/${imported.body.profile.id}/activate`,
+      { email, body: {} }
+    );
+    assert.deepEqual(activated.body.preferences, {
+      keybinds: { moveEvents: "Alt+M" },
+    });
+  });
+
+  test("rejects a file that isn't an exported profile", async () => {
+    const email = "bad-import@example.com";
+    await customerWithPreferences(email, { hideLeftSidebar: true });
+    const res = await app.request("POST", "/preferences/profiles/import", {
+      email,
+      body: { profile: { preferences: {} } },
+    });
+    assert.equal(res.status, 400);
+  });
+});
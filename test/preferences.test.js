@@ -0,0 +1,153 @@
+// test/preferences.test.js
+// Synced extension settings and their version checks.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { PREFERENCES_SCHEMA_VERSION } from "../preferences.js";
+import { startTestApp } from "./helpers.js";
+
+describe("/preferences", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/preferences");
+    assert.equal(res.status, 401);
+  });
+
+  test("starts empty at version 0", async () => {
+    const res = await app.request("GET", "/preferences", {
+      email: "fresh@example.com",
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      preferences: null,
+      version: 0,
+      updated_at: null,
+    });
+  });
+
+  test("applies writes without a version unconditionally", async () => {
+    // Extension builds from before versioning send no version
+    const email = "unversioned@example.com";
+    for (const hideLeftSidebar of [true, false]) {
+      const res = await app.request("POST", "/preferences", {
+        email,
+        body: { preferences: { hideLeftSidebar } },
+      });
+      assert.equal(res.status, 200);
+    }
+    const res = await app.request("GET", "/preferences", { email });
+    assert.equal(res.body.version, 2);
+    assert.deepEqual(res.body.preferences, { hideLeftSidebar: false });
+  });
+
+  test("saves, normalizes and versions preferences", async () => {
+    const email = "prefs@example.com";
+    const saved = await app.request("POST", "/preferences", {
+      email,
+      body: {
+        version: 0,
+        preferences: {
+          keybinds: { moveEvents: "alt + m" },
+          highlightColor: "#4285F4",
+          futureSetting: 1,
+        },
+      },
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.version, 1);
+    assert.deepEqual(saved.body.preferences, {
+      keybinds: { moveEvents: "Alt+M" },
+      highlightColor: "#4285f4",
+    });
+    assert.deepEqual(saved.body.ignored_fields, ["futureSetting"]);
+
+    // A customer document is created for users who haven't used an action
+    const customer = await app.collections.customersCollection.findOne({
+      emails: email,
+    });
+    assert.equal(customer.preferences_version, 1);
+
+    const patched = await app.request("PATCH", "/preferences", {
+      email,
+      body: {
+        version: 1,
+        preferences: { hideLeftSidebar: true, highlightColor: null },
+      },
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.version, 2);
+    assert.deepEqual(patched.body.preferences, {
+      keybinds: { moveEvents: "Alt+M" },
+      hideLeftSidebar: true,
+    });
+  });
+
+  test("rejects a write based on an old version", async () => {
+    const email = "conflict@example.com";
+    await app.request("POST", "/preferences", {
+      email,
+      body: { version: 0, preferences: { hideLeftSidebar: true } },
+    });
+
+    const res = await app.request("POST", "/preferences", {
+      email,
+      body: { version: 0, preferences: { hideLeftSidebar: false } },
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.version, 1);
+    assert.deepEqual(res.body.preferences, { hideLeftSidebar: true });
+  });
+
+  test("rejects invalid values", async () => {
+    const res = await app.request("POST", "/preferences", {
+      email: "invalid@example.com",
+      body: {
+        version: 0,
+        preferences: { hourRange: { start: 20, end: 8 } },
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details.length, 1);
+  });
+
+  test("migrates version 1 preferences and keeps keybinds it can't read", async () => {
+    const email = "legacy@example.com";
+    await app.collections.customersCollection.insertOne({
+      emails: [email],
+      owner_email: email,
+      preferences: {
+        hourRange: [8, 18],
+        keybinds: { moveEvents: "ctrl+m", recolor: "Ctrl+§" },
+      },
+      preferences_schema_version: 1,
+    });
+
+    const res = await app.request("GET", "/preferences", { email });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.preferences, {
+      hourRange: { start: 8, end: 18 },
+      keybinds: { moveEvents: "Ctrl+M" },
+      legacyKeybinds: { recolor: "Ctrl+§" },
+    });
+
+    // Saved back in the current shape on the next write
+    await app.request("PATCH", "/preferences", {
+      email,
+      body: { version: 0, preferences: { hideRightSidebar: true } },
+    });
+    const customer = await app.collections.customersCollection.findOne({
+      emails: email,
+    });
+    assert.equal(
+      customer.preferences_schema_version,
+      PREFERENCES_SCHEMA_VERSION
+    );
+    assert.deepEqual(customer.preferences.legacyKeybinds, {
+      recolor: "Ctrl+§",
+    });
+  });
+});
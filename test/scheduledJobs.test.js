@@ -0,0 +1,166 @@
+// test/scheduledJobs.test.js
+// Queueing scheduled bulk edits and running them with a stand-in executor.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { startTestApp } from "./helpers.js";
+
+const RECIPE = {
+  target: { type: "selection" },
+  steps: [{ op: "recolor", color: "sage" }],
+};
+
+function inAnHour() {
+  return new Date(Date.now() + 60 * 60 * 1000).toISOString();
+}
+
+async function createCustomer(app, email) {
+  await app.collections.customersCollection.insertOne({
+    emails: [email],
+    owner_email: email,
+    subscription_status: false,
+    free_actions_remaining: FREE_ACTIONS_LIMIT,
+  });
+}
+
+describe("/scheduled-jobs without an executor", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+    await createCustomer(app, "off@example.com");
+  });
+  after(() => app.close());
+
+  test("refuses new jobs", async () => {
+    const res = await app.request("POST", "/scheduled-jobs", {
+      email: "off@example.com",
+      body: {
+        name: "Recolor",
+        recipe: RECIPE,
+        schedule: { type: "once", run_at: inAnHour() },
+      },
+    });
+    assert.equal(res.status, 503);
+
+    const list = await app.request("GET", "/scheduled-jobs", {
+      email: "off@example.com",
+    });
+    assert.equal(list.body.enabled, false);
+  });
+});
+
+describe("/scheduled-jobs", () => {
+  let app;
+  const runs = [];
+  before(async () => {
+    app = await startTestApp({
+      jobExecutor: {
+        async execute({ job, maxActions }) {
+          runs.push({ name: job.name, maxActions });
+          if (job.name === "Broken")
+            throw Object.assign(new Error("Calendar unavailable"), {
+              retryable: false,
+            });
+          return { action_count: 3 };
+        },
+      },
+    });
+    for (const email of ["jobs@example.com", "other@example.com"])
+      await createCustomer(app, email);
+  });
+  after(() => app.close());
+
+  // Queue a one-off job an hour from now
+  async function queueJob(email, name) {
+    const created = await app.request("POST", "/scheduled-jobs", {
+      email,
+      body: {
+        name,
+        recipe: RECIPE,
+        max_actions: 10,
+        schedule: { type: "once", run_at: inAnHour() },
+      },
+    });
+    assert.equal(created.status, 201);
+    return created.body.job;
+  }
+
+  // Move a queued one-off job's run into the past
+  async function makeDue(name) {
+    const runAt = new Date(Date.now() - 1000);
+    await app.collections.scheduledJobsCollection.updateOne(
+      { name },
+      { $set: { "schedule.run_at": runAt, next_run_at: runAt } }
+    );
+  }
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/scheduled-jobs");
+    assert.equal(res.status, 401);
+  });
+
+  test("rejects an invalid schedule", async () => {
+    const res = await app.request("POST", "/scheduled-jobs", {
+      email: "jobs@example.com",
+      body: {
+        name: "Weekly",
+        recipe: RECIPE,
+        schedule: { type: "weekly", days: [1], time: "25:00", timezone: "UTC" },
+      },
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details, ["schedule.time must be HH:MM"]);
+  });
+
+  test("runs a due job and charges what it used", async () => {
+    const email = "jobs@example.com";
+    const job = await queueJob(email, "Recolor");
+    assert.equal(job.status, "scheduled");
+    await makeDue("Recolor");
+
+    const ran = await app.services.scheduledJobs.runDueJobs("test-worker");
+    assert.equal(ran, 1);
+    assert.deepEqual(runs.at(-1), { name: "Recolor", maxActions: 10 });
+
+    const res = await app.request("GET", `/scheduled-jobs/${job.id}`, {
+      email,
+    });
+    assert.equal(res.body.job.status, "succeeded");
+    assert.equal(res.body.job.recent_runs[0].action_count, 3);
+
+    const status = await app.request("GET", "/action-status", { email });
+    assert.equal(status.body.free_actions_remaining, FREE_ACTIONS_LIMIT - 3);
+  });
+
+  test("fails a job without retrying when the executor says so", async () => {
+    const job = await queueJob("jobs@example.com", "Broken");
+    await makeDue("Broken");
+    await app.services.scheduledJobs.runDueJobs("test-worker");
+
+    const res = await app.request("GET", `/scheduled-jobs/${job.id}`, {
+      email: "jobs@example.com",
+    });
+    assert.equal(res.body.job.status, "failed");
+    assert.equal(res.body.job.last_error, "Calendar unavailable");
+  });
+
+  test("cancels a job so it doesn't run", async () => {
+    const email = "other@example.com";
+    const job = await queueJob(email, "Cancelled");
+
+    // Only the owner can see or cancel it
+    const stranger = await app.request("DELETE", `/scheduled-jobs/${job.id}`, {
+      email: "jobs@example.com",
+    });
+    assert.equal(stranger.status, 404);
+
+    const cancelled = await app.request("DELETE", `/scheduled-jobs/${job.id}`, {
+      email,
+    });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.job.status, "cancelled");
+
+    await makeDue("Cancelled");
+    assert.equal(await app.services.scheduledJobs.runDueJobs("test-worker"), 0);
+  });
+});
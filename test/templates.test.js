@@ -0,0 +1,152 @@
+// test/templates.test.js
+// Saved bulk-edit templates, the plan limit on them and share links.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const RECIPE = {
+  target: { type: "selection" },
+  steps: [{ op: "move", offset_minutes: 60 }],
+};
+
+describe("/templates", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+    await app.collections.customersCollection.insertMany([
+      {
+        emails: ["free@example.com"],
+        owner_email: "free@example.com",
+        subscription_status: false,
+      },
+      {
+        emails: ["pro@example.com"],
+        owner_email: "pro@example.com",
+        subscription_status: true,
+        plan: PRICE_MONTHLY,
+      },
+      {
+        emails: ["copier@example.com"],
+        owner_email: "copier@example.com",
+        subscription_status: false,
+      },
+    ]);
+  });
+  after(() => app.close());
+
+  function saveTemplate(email, name) {
+    return app.request("POST", "/templates", {
+      email,
+      body: { name, recipe: RECIPE },
+    });
+  }
+
+  test("requires a signed-in user", async () => {
+    const res = await app.request("GET", "/templates");
+    assert.equal(res.status, 401);
+  });
+
+  test("saves, updates and lists templates", async () => {
+    const email = "pro@example.com";
+    const saved = await saveTemplate(email, "Push back an hour");
+    assert.equal(saved.status, 201);
+    const { id } = saved.body.template;
+
+    const updated = await app.request("PUT", `/templates/${id}`, {
+      email,
+      body: { name: "Push back two hours", recipe: RECIPE },
+    });
+    assert.equal(updated.status, 200);
+
+    const res = await app.request("GET", "/templates", { email });
+    assert.equal(res.body.limit, 100);
+    assert.equal(res.body.can_share, true);
+    assert.deepEqual(
+      res.body.templates.map((template) => template.name),
+      ["Push back two hours"]
+    );
+  });
+
+  test("rejects an invalid recipe", async () => {
+    const res = await app.request("POST", "/templates", {
+      email: "pro@example.com",
+      body: { name: "Broken", recipe: { target: { type: "everything" } } },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("enforces the plan's template limit", async () => {
+    const email = "free@example.com";
+    for (const name of ["One", "Two", "Three"])
+      assert.equal((await saveTemplate(email, name)).status, 201);
+    const full = await saveTemplate(email, "Four");
+    assert.equal(full.status, 403);
+
+    // Deleting one frees its slot
+    const list = await app.request("GET", "/templates", { email });
+    const deleted = await app.request(
+      "DELETE",
+      `/templates/${list.body.templates[0].id}`,
+      { email }
+    );
+    assert.equal(deleted.status, 200);
+    assert.equal((await saveTemplate(email, "Four")).status, 201);
+  });
+
+  test("only lets Pro customers share", async () => {
+    const list = await app.request("GET", "/templates", {
+      email: "free@example.com",
+    });
+    const res = await app.request(
+      "POST",
+      `/templates/${list.body.templates[0].id}/share`,
+      { email: "free@example.com" }
+    );
+    assert.equal(res.status, 403);
+  });
+
+  test("shares a template by link until the link is revoked", async () => {
+    const email = "pro@example.com";
+    const saved = await saveTemplate(email, "Shared");
+    const { id } = saved.body.template;
+    const shared = await app.request("POST", `/templates/${id}/share`, {
+      email,
+    });
+    assert.equal(shared.status, 200);
+    assert.match(shared.body.share_url, /\/\?template=/);
+    const { share_token } = shared.body;
+
+    const preview = await app.request(
+      "GET",
+      `/templates/shared/${share_token}`,
+      { email: "copier@example.com" }
+    );
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.template.name, "Shared");
+
+    const copied = await app.request(
+      "POST",
+      `/templates/shared/${share_token}/copy`,
+      { email: "copier@example.com" }
+    );
+    assert.equal(copied.status, 201);
+
+    await app.request("DELETE", `/templates/${id}/share`, { email });
+    const revoked = await app.request(
+      "GET",
+      `/templates/shared/${share_token}`,
+      { email: "copier@example.com" }
+    );
+    assert.equal(revoked.status, 404);
+  });
+
+  test("doesn't show another customer's template", async () => {
+    const saved = await saveTemplate("pro@example.com", "Private");
+    const res = await app.request(
+      "GET",
+      `/templates/${saved.body.template.id}`,
+      { email: "copier@example.com" }
+    );
+    assert.equal(res.status, 404);
+  });
+});
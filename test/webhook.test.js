@@ -0,0 +1,147 @@
+// test/webhook.test.js
+// Stripe webhook deliveries, signed locally with the test webhook secret.
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { FREE_ACTIONS_LIMIT } from "../metering.js";
+import { PRICE_MONTHLY, startTestApp } from "./helpers.js";
+
+const CUSTOMER_ID = "cus_webhook";
+const PERIOD_END = Math.floor(Date.UTC(2030, 0, 1) / 1000);
+
+function buildSubscription(status) {
+  return {
+    id: "sub_webhook",
+    object: "subscription",
+    customer: CUSTOMER_ID,
+    status,
+    cancel_at_period_end: false,
+    current_period_end: PERIOD_END,
+    items: { data: [{ price: { id: PRICE_MONTHLY } }] },
+  };
+}
+
+let nextEvent = 1;
+function buildEvent(type, object) {
+  return {
+    id: `evt_test_${nextEvent++}`,
+    object: "event",
+    type,
+    data: { object },
+  };
+}
+
+describe("POST /webhook", () => {
+  let app;
+  before(async () => {
+    app = await startTestApp();
+  });
+  after(() => app.close());
+
+  beforeEach(async () => {
+    app.stripeSubscriptions.clear();
+    await app.collections.customersCollection.deleteMany({});
+    await app.collections.customersCollection.insertOne({
+      customer_id: CUSTOMER_ID,
+      subscription_status: false,
+      plan: PRICE_MONTHLY,
+      emails: ["payer@example.com"],
+      owner_email: "payer@example.com",
+      free_actions_remaining: FREE_ACTIONS_LIMIT,
+      created_at: new Date(),
+    });
+  });
+
+  function findCustomer() {
+    return app.collections.customersCollection.findOne({
+      customer_id: CUSTOMER_ID,
+    });
+  }
+
+  test("rejects payloads not signed with the webhook secret", async () => {
+    const event = buildEvent(
+      "customer.subscription.updated",
+      buildSubscription("active")
+    );
+    const res = await app.sendWebhook(event, { secret: "whsec_wrong" });
+    assert.equal(res.status, 400);
+    assert.match(res.text, /Webhook Error/);
+    assert.equal((await findCustomer()).subscription_status, false);
+  });
+
+  test("syncs subscription changes onto the customer", async () => {
+    const subscription = buildSubscription("active");
+    app.stripeSubscriptions.set(subscription.id, subscription);
+
+    const event = buildEvent("customer.subscription.created", subscription);
+    const res = await app.sendWebhook(event);
+    assert.equal(res.status, 200);
+
+    const customer = await findCustomer();
+    assert.equal(customer.subscription_status, true);
+    assert.equal(customer.subscription_id, "sub_webhook");
+    assert.equal(customer.subscription_state, "active");
+    assert.deepEqual(customer.current_period_end, new Date(PERIOD_END * 1000));
+
+    const entry = await app.collections.stripeEventsCollection.findOne({
+      event_id: event.id,
+    });
+    assert.equal(entry.status, "processed");
+  });
+
+  test("acknowledges a repeated delivery without processing it again", async () => {
+    const subscription = buildSubscription("active");
+    app.stripeSubscriptions.set(subscription.id, subscription);
+    const event = buildEvent("customer.subscription.updated", subscription);
+    await app.sendWebhook(event);
+
+    const res = await app.sendWebhook(event);
+    assert.equal(res.status, 200);
+    assert.equal(JSON.parse(res.text).duplicate, true);
+    const entry = await app.collections.stripeEventsCollection.findOne({
+      event_id: event.id,
+    });
+    assert.equal(entry.attempts, 1);
+  });
+
+  test("applies the subscription as Stripe has it, not the event's snapshot", async () => {
+    // An "active" update delivered after the subscription was canceled
+    app.stripeSubscriptions.set("sub_webhook", buildSubscription("canceled"));
+    const event = buildEvent(
+      "customer.subscription.updated",
+      buildSubscription("active")
+    );
+    const res = await app.sendWebhook(event);
+    assert.equal(res.status, 200);
+
+    const customer = await findCustomer();
+    assert.equal(customer.subscription_status, false);
+    assert.equal(customer.subscription_state, "canceled");
+  });
+
+  test("grants access for a completed subscription checkout", async () => {
+    const subscription = buildSubscription("active");
+    app.stripeSubscriptions.set(subscription.id, subscription);
+    const session = {
+      id: "cs_test_1",
+      object: "checkout.session",
+      customer: CUSTOMER_ID,
+      subscription: subscription.id,
+      mode: "subscription",
+      metadata: {},
+    };
+
+    const res = await app.sendWebhook(
+      buildEvent("checkout.session.completed", session)
+    );
+    assert.equal(res.status, 200);
+    assert.equal((await findCustomer()).subscription_status, true);
+  });
+
+  test("ignores event types it doesn't handle", async () => {
+    const res = await app.sendWebhook(
+      buildEvent("customer.created", { id: CUSTOMER_ID })
+    );
+    assert.equal(res.status, 200);
+    assert.equal((await findCustomer()).subscription_status, false);
+  });
+});